@@ -0,0 +1,120 @@
+// scripts/build-acs-tracts.js
+//
+// Builds src/services/data/acsTracts.js from American Community Survey 5-year estimates
+// downloaded from the Census Data API (API_ENDPOINTS.CENSUS_ACS), plus the OMB core-based
+// statistical area delineation file (list1) that says which counties are metropolitan.
+//
+//   node scripts/build-acs-tracts.js \
+//     --tracts tracts-01.json,tracts-02.json,... \
+//     --states states.json --metros metros.json --delineation list1_2020.csv \
+//     [--national national.json] [--vintage 2016-2020]
+//
+// API queries (one tracts file per state, since tract queries require a state):
+//   ?get=B17001_001E,B17001_002E,B19113_001E,B23025_003E,B23025_005E&for=tract:*&in=state:01
+//   ?get=B19113_001E&for=state:*
+//   ?get=B19113_001E&for=metropolitan%20statistical%20area/micropolitan%20statistical%20area:*
+//   ?get=B23025_003E,B23025_005E&for=us:1
+//
+// Without --national the national unemployment rate is summed from the tract files, which is
+// only correct when every state is included.
+import { readFileSync } from 'node:fs';
+import { parseCSVRecords, pick } from '../src/services/utils/csv.js';
+import { readCensusAPIFiles, censusEstimate } from './lib/census.js';
+import { writeDataModule, parseArgs } from './lib/writeModule.js';
+import { API_ENDPOINTS } from '../src/services/utils/constants.js';
+
+const OUTPUT = 'src/services/data/acsTracts.js';
+const METRO_AREA_COLUMN = 'metropolitan statistical area/micropolitan statistical area';
+
+const { options } = parseArgs(process.argv.slice(2));
+
+if (!options.tracts || !options.states || !options.metros || !options.delineation) {
+  console.error('Usage: node scripts/build-acs-tracts.js --tracts <tracts.json[,...]> --states <states.json> --metros <metros.json> --delineation <list1.csv> [--national <national.json>] [--vintage 2016-2020]');
+  process.exit(1);
+}
+
+// County FIPS -> metropolitan CBSA code. Micropolitan counties are non-metro for the LIC test.
+const delineationText = readFileSync(options.delineation, 'utf8');
+const headerStart = delineationText.search(/^"?CBSA Code/m);
+const countyMetro = new Map();
+for (const record of parseCSVRecords(delineationText.slice(Math.max(0, headerStart)))) {
+  const type = pick(record, 'Metropolitan/Micropolitan Statistical Area');
+  if (!type || !/^metropolitan/i.test(type)) continue;
+  const state = pick(record, 'FIPS State Code');
+  const county = pick(record, 'FIPS County Code');
+  if (!state || !county) continue;
+  countyMetro.set(state.padStart(2, '0') + county.padStart(3, '0'), pick(record, 'CBSA Code'));
+}
+
+const stateMedians = {};
+for (const record of readCensusAPIFiles(options.states)) {
+  const income = censusEstimate(record.b19113_001e);
+  if (income !== null) stateMedians[record.state] = income;
+}
+
+const metroMedians = {};
+for (const record of readCensusAPIFiles(options.metros)) {
+  const income = censusEstimate(record.b19113_001e);
+  const cbsa = record[METRO_AREA_COLUMN];
+  if (income !== null && cbsa) metroMedians[cbsa] = income;
+}
+
+const rows = [];
+let totalLaborForce = 0;
+let totalUnemployed = 0;
+for (const record of readCensusAPIFiles(options.tracts)) {
+  const geoid = `${record.state}${record.county}${record.tract}`;
+  if (!/^\d{11}$/.test(geoid)) continue;
+
+  const povertyUniverse = censusEstimate(record.b17001_001e);
+  const belowPoverty = censusEstimate(record.b17001_002e);
+  const povertyRate = povertyUniverse > 0 && belowPoverty !== null ? percent(belowPoverty, povertyUniverse) : null;
+  const medianFamilyIncome = censusEstimate(record.b19113_001e);
+  const cbsa = countyMetro.get(geoid.substring(0, 5)) || null;
+  const laborForce = censusEstimate(record.b23025_003e);
+  const unemployed = censusEstimate(record.b23025_005e);
+  const unemploymentRate = laborForce > 0 && unemployed !== null ? percent(unemployed, laborForce) : null;
+  if (laborForce > 0 && unemployed !== null) {
+    totalLaborForce += laborForce;
+    totalUnemployed += unemployed;
+  }
+
+  rows.push([geoid, povertyRate, medianFamilyIncome, cbsa, unemploymentRate]);
+}
+
+let nationalUnemploymentRate = totalLaborForce > 0 ? percent(totalUnemployed, totalLaborForce) : null;
+if (options.national) {
+  const [national] = readCensusAPIFiles(options.national);
+  nationalUnemploymentRate = percent(censusEstimate(national.b23025_005e), censusEstimate(national.b23025_003e));
+} else {
+  console.warn('No --national file; national unemployment rate computed from the tract files');
+}
+
+rows.sort((a, b) => a[0].localeCompare(b[0]));
+
+writeDataModule(OUTPUT, {
+  script: 'scripts/build-acs-tracts.js',
+  description: 'ACS 5-year tract poverty, income and unemployment for the NMTC low-income community and distress tests',
+  exports: {
+    ACS_TRACTS_META: {
+      vintage: options.vintage || '2016-2020',
+      source: API_ENDPOINTS.CENSUS_ACS,
+      tractVintage: 2020,
+      generatedAt: new Date().toISOString().substring(0, 10),
+      recordCount: rows.length,
+      stateCount: Object.keys(stateMedians).length,
+      metroCount: Object.keys(metroMedians).length,
+      nationalUnemploymentRate,
+      fields: ['geoid', 'povertyRate', 'medianFamilyIncome', 'metroCbsa', 'unemploymentRate']
+    },
+    ACS_STATE_MEDIAN_FAMILY_INCOME: stateMedians,
+    ACS_METRO_MEDIAN_FAMILY_INCOME: metroMedians,
+    ACS_TRACTS: rows
+  }
+});
+
+console.log(`Wrote ${rows.length} tracts, ${Object.keys(stateMedians).length} states and ${Object.keys(metroMedians).length} metro areas to ${OUTPUT}`);
+
+function percent(part, whole) {
+  return Math.round(part / whole * 10000) / 100;
+}
@@ -0,0 +1,153 @@
+// scripts/build-cde-allocations.js
+//
+// Builds src/services/data/cdeAllocations.js from CDFI Fund NMTC allocation award lists
+// (one CSV export per round) and, optionally, the QEI Issuance Report for remaining allocation.
+//
+//   node scripts/build-cde-allocations.js --awards cy2023.csv=2023,cy2024.csv=2024 [--qei qei-issuance.csv]
+//
+// The award year comes from an "Award Year"/"Round" column when present, otherwise from the
+// =YEAR suffix on the file name. CDEs are merged across rounds by name.
+import { readFileSync } from 'node:fs';
+import { parseCSVRecords, pick, parseNumber } from '../src/services/utils/csv.js';
+import { writeDataModule, parseArgs } from './lib/writeModule.js';
+import { API_ENDPOINTS } from '../src/services/utils/constants.js';
+import { STATE_FIPS } from '../src/services/data/stateFips.js';
+import { focusTagsFromText, CDE_SERVICE_AREAS } from '../src/services/calculators/cdeMatching.js';
+
+const OUTPUT = 'src/services/data/cdeAllocations.js';
+
+const { options } = parseArgs(process.argv.slice(2));
+
+if (!options.awards) {
+  console.error('Usage: node scripts/build-cde-allocations.js --awards <round.csv=YEAR[,...]> [--qei <qei-issuance.csv>]');
+  process.exit(1);
+}
+
+const states = Object.values(STATE_FIPS).sort((a, b) => b.name.length - a.name.length);
+const cdes = new Map();
+
+for (const entry of options.awards.split(',').filter(Boolean)) {
+  const [path, fileYear] = entry.split('=');
+
+  for (const record of parseCSVRecords(readFileSync(path.trim(), 'utf8'))) {
+    const name = pick(record, 'Name of Allocatee', 'Allocatee', 'CDE Name', 'Name');
+    const amount = parseNumber(pick(record, 'Total Allocation Amount', 'Allocation Amount', 'Award Amount'));
+    if (!name || !amount) continue;
+
+    const year = Number(pick(record, 'Award Year', 'Round', 'Allocation Round') || fileYear) || null;
+    const serviceAreaText = pick(record, 'Service Area', 'Service Area Type') || '';
+    const statesText = pick(record, 'Service Area States', 'States Served') || serviceAreaText;
+    const focusText = [
+      pick(record, 'Predominant Financing'),
+      pick(record, 'Predominant Market Served'),
+      pick(record, 'Focus', 'Investment Focus')
+    ].filter(Boolean).join(' ');
+
+    const key = normalizeName(name);
+    if (!cdes.has(key)) {
+      cdes.set(key, {
+        name,
+        controllingEntity: pick(record, 'Controlling Entity') || null,
+        city: pick(record, 'City', 'Headquarters City') || null,
+        state: parseStates(pick(record, 'State', 'Headquarters State') || '')[0] || null,
+        serviceArea: parseServiceArea(serviceAreaText),
+        serviceStates: new Set(),
+        focus: new Set(),
+        awards: []
+      });
+    }
+
+    const cde = cdes.get(key);
+    cde.awards.push([year, amount]);
+    parseStates(statesText).forEach(abbr => cde.serviceStates.add(abbr));
+    focusTagsFromText(focusText).forEach(tag => cde.focus.add(tag));
+    // Keep the service area from the most recent round
+    if (year && year >= Math.max(...cde.awards.map(([awardYear]) => awardYear || 0))) {
+      cde.serviceArea = parseServiceArea(serviceAreaText);
+    }
+  }
+}
+
+const remaining = new Map();
+if (options.qei) {
+  for (const record of parseCSVRecords(readFileSync(options.qei, 'utf8'))) {
+    const name = pick(record, 'Allocatee Name', 'Name of Allocatee', 'CDE Name', 'Name');
+    if (!name) continue;
+    const direct = parseNumber(pick(record, 'Remaining Allocation', 'Amount Remaining'));
+    const allocated = parseNumber(pick(record, 'Allocation Amount', 'Total Allocation'));
+    const issued = parseNumber(pick(record, 'QEI Issued', 'Amount Finalized', 'Total QEIs Issued'));
+    const value = direct ?? (allocated !== null && issued !== null ? allocated - issued : null);
+    if (value !== null) {
+      const key = normalizeName(name);
+      remaining.set(key, (remaining.get(key) || 0) + Math.max(0, value));
+    }
+  }
+}
+
+// Local service areas usually name a city or county; fall back to the headquarters state
+for (const cde of cdes.values()) {
+  if (cde.serviceStates.size === 0 && cde.serviceArea !== CDE_SERVICE_AREAS.NATIONAL && cde.state) {
+    cde.serviceStates.add(cde.state);
+  }
+}
+
+// CDEs missing from the QEI report keep a null (unknown) remaining allocation
+const rows = [...cdes.entries()]
+  .map(([key, cde]) => [
+    cde.name,
+    cde.controllingEntity,
+    cde.city,
+    cde.state,
+    cde.serviceArea,
+    [...cde.serviceStates].sort(),
+    [...cde.focus].sort(),
+    cde.awards.sort((a, b) => (a[0] || 0) - (b[0] || 0)),
+    remaining.get(key) ?? null
+  ])
+  .sort((a, b) => a[0].localeCompare(b[0]));
+
+writeDataModule(OUTPUT, {
+  script: 'scripts/build-cde-allocations.js',
+  description: 'NMTC allocatees with service areas, focus and remaining allocation',
+  exports: {
+    CDE_ALLOCATIONS_META: {
+      source: API_ENDPOINTS.NMTC_DIRECTORY,
+      generatedAt: new Date().toISOString().substring(0, 10),
+      recordCount: rows.length,
+      awardYears: [...new Set(rows.flatMap(row => row[7].map(([year]) => year)).filter(Boolean))].sort(),
+      includesRemainingAllocation: !!options.qei,
+      fields: ['name', 'controllingEntity', 'city', 'state', 'serviceArea', 'serviceStates', 'focus', 'awards', 'remainingAllocation']
+    },
+    CDE_ALLOCATIONS: rows
+  }
+});
+
+console.log(`Wrote ${rows.length} CDEs to ${OUTPUT}`);
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[.,]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function parseServiceArea(text) {
+  if (/national/i.test(text)) return CDE_SERVICE_AREAS.NATIONAL;
+  if (/multi/i.test(text)) return CDE_SERVICE_AREAS.MULTI_STATE;
+  if (/statewide/i.test(text)) return CDE_SERVICE_AREAS.STATEWIDE;
+  return CDE_SERVICE_AREAS.LOCAL;
+}
+
+// Service areas list states by name or postal abbreviation
+function parseStates(text) {
+  const found = new Set();
+  let remainingText = text;
+  for (const state of states) {
+    const pattern = new RegExp(`\\b${state.name}\\b`, 'i');
+    if (pattern.test(remainingText)) {
+      found.add(state.abbr);
+      remainingText = remainingText.replace(pattern, ' ');
+    }
+  }
+  for (const token of remainingText.match(/\b[A-Z]{2}\b/g) || []) {
+    if (states.some(state => state.abbr === token)) found.add(token);
+  }
+  return [...found];
+}
@@ -0,0 +1,91 @@
+// scripts/build-lihtc-designations.js
+//
+// Builds src/services/data/lihtcDesignations.js from HUD's Qualified Census Tract and Difficult
+// Development Area files (API_ENDPOINTS.HUD_QCT_DDA), saved as CSV.
+//
+//   node scripts/build-lihtc-designations.js --qct qct_data_2025.csv --sadda sadda_2025.csv \
+//     --dda nonmetro_dda_2025.csv [--year 2025]
+//
+// --qct      tract file; rows with a qct flag of 0 are dropped when the column is present
+// --sadda    metropolitan Small Area DDAs by ZIP Code Tabulation Area
+// --dda      nonmetropolitan DDAs by county
+// Designations start on 2020 tracts for 2023 and later, matching the Census geocoder.
+import { readFileSync } from 'node:fs';
+import { parseCSVRecords, pick } from '../src/services/utils/csv.js';
+import { writeDataModule, parseArgs } from './lib/writeModule.js';
+import { API_ENDPOINTS } from '../src/services/utils/constants.js';
+
+const OUTPUT = 'src/services/data/lihtcDesignations.js';
+
+const { options } = parseArgs(process.argv.slice(2));
+
+if (!options.qct && !options.sadda && !options.dda) {
+  console.error('Usage: node scripts/build-lihtc-designations.js --qct <qct.csv> --sadda <sadda.csv> --dda <nonmetro-dda.csv> [--year YYYY]');
+  process.exit(1);
+}
+
+const read = path => (path ? parseCSVRecords(readFileSync(path, 'utf8')) : []);
+const digits = value => (value || '').replace(/\D/g, '');
+const isFlagged = value => value === null || /^(1|y|yes|true)$/i.test(value);
+
+const qcts = new Set();
+for (const record of read(options.qct)) {
+  if (!isFlagged(pick(record, 'qct', 'QCT Flag'))) continue;
+
+  let geoid = digits(pick(record, 'fips', 'GEOID', 'tract_id'));
+  if (!geoid) {
+    const state = digits(pick(record, 'state', 'STATE'));
+    const county = digits(pick(record, 'county', 'COUNTY'));
+    const tract = digits(pick(record, 'tract', 'TRACT'));
+    if (state && county && tract) geoid = state.padStart(2, '0') + county.padStart(3, '0') + tract.padStart(6, '0');
+  }
+  // Excel drops the leading zero of low-numbered states
+  if (geoid.length === 10) geoid = `0${geoid}`;
+  if (geoid.length === 11) qcts.add(geoid);
+}
+
+const smallAreaDDAs = new Set();
+for (const record of read(options.sadda)) {
+  // The flag column is named for the year (SDDA_2025); files listing only DDAs have none
+  const flagColumn = Object.keys(record).find(key => /^s?a?dda/.test(key));
+  if (!isFlagged(flagColumn ? record[flagColumn] || null : null)) continue;
+  const zcta = digits(pick(record, 'zcta5', 'ZCTA', 'zip', 'zip code'));
+  if (zcta) smallAreaDDAs.add(zcta.padStart(5, '0'));
+}
+
+const nonMetroDDAs = new Set();
+for (const record of read(options.dda)) {
+  let county = digits(pick(record, 'county fips', 'fips', 'GEOID'));
+  if (!county) {
+    const state = digits(pick(record, 'state', 'STATE'));
+    const code = digits(pick(record, 'county', 'COUNTY'));
+    if (state && code) county = state.padStart(2, '0') + code.padStart(3, '0');
+  }
+  // HUD county codes sometimes carry a trailing 99999 subdivision suffix
+  if (county.length === 10) county = county.substring(0, 5);
+  if (county.length === 4) county = `0${county}`;
+  if (county.length === 5) nonMetroDDAs.add(county);
+}
+
+const sorted = set => [...set].sort();
+
+writeDataModule(OUTPUT, {
+  script: 'scripts/build-lihtc-designations.js',
+  description: 'HUD Qualified Census Tracts and Difficult Development Areas',
+  exports: {
+    LIHTC_DESIGNATIONS_META: {
+      year: options.year ? Number(options.year) : null,
+      source: API_ENDPOINTS.HUD_QCT_DDA,
+      tractVintage: 2020,
+      generatedAt: new Date().toISOString().substring(0, 10),
+      qctCount: qcts.size,
+      smallAreaDDACount: smallAreaDDAs.size,
+      nonMetroDDACount: nonMetroDDAs.size
+    },
+    LIHTC_QCTS: sorted(qcts),
+    LIHTC_SMALL_AREA_DDAS: sorted(smallAreaDDAs),
+    LIHTC_NONMETRO_DDAS: sorted(nonMetroDDAs)
+  }
+});
+
+console.log(`Wrote ${qcts.size} QCTs, ${smallAreaDDAs.size} Small Area DDAs and ${nonMetroDDAs.size} nonmetro DDA counties to ${OUTPUT}`);
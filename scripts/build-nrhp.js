@@ -0,0 +1,120 @@
+// scripts/build-nrhp.js
+//
+// Builds src/services/data/nrhp.js from National Register of Historic Places spatial data
+// published by the National Park Service (GeoJSON exports of the NRHP point and polygon layers).
+//
+//   node scripts/build-nrhp.js --points nrhp_points.geojson --districts nrhp_districts.geojson [--version 2024-06]
+//
+// Points become listed properties; polygon features become historic district boundaries.
+import { readFileSync } from 'node:fs';
+import { normalizeHeader, pick } from '../src/services/utils/csv.js';
+import { writeDataModule, parseArgs } from './lib/writeModule.js';
+import { API_ENDPOINTS } from '../src/services/utils/constants.js';
+
+const OUTPUT = 'src/services/data/nrhp.js';
+const COORDINATE_PRECISION = 5; // ~1 m
+
+const { options } = parseArgs(process.argv.slice(2));
+
+if (!options.points && !options.districts) {
+  console.error('Usage: node scripts/build-nrhp.js --points <points.geojson> --districts <districts.geojson> [--version label]');
+  process.exit(1);
+}
+
+const properties = options.points ? readFeatures(options.points).map(toProperty).filter(Boolean) : [];
+const districts = options.districts ? readFeatures(options.districts).map(toDistrict).filter(Boolean) : [];
+
+properties.sort((a, b) => a[0].localeCompare(b[0]));
+districts.sort((a, b) => a[0].localeCompare(b[0]));
+
+writeDataModule(OUTPUT, {
+  script: 'scripts/build-nrhp.js',
+  description: 'National Register listed properties and historic district boundaries',
+  exports: {
+    NRHP_META: {
+      version: options.version || new Date().toISOString().substring(0, 7),
+      source: API_ENDPOINTS.HISTORIC_PLACES,
+      generatedAt: new Date().toISOString().substring(0, 10),
+      propertyCount: properties.length,
+      districtCount: districts.length,
+      propertyFields: ['refnum', 'name', 'lat', 'lon', 'listedDate', 'resourceType', 'city', 'state'],
+      districtFields: ['refnum', 'name', 'listedDate', 'state', 'bbox', 'polygons']
+    },
+    NRHP_PROPERTIES: properties,
+    NRHP_DISTRICTS: districts
+  }
+});
+
+console.log(`Wrote ${properties.length} properties and ${districts.length} districts to ${OUTPUT}`);
+
+function readFeatures(path) {
+  const collection = JSON.parse(readFileSync(path, 'utf8'));
+  return (collection.features || []).map(feature => ({
+    geometry: feature.geometry,
+    record: normalizeProperties(feature.properties || {})
+  }));
+}
+
+function normalizeProperties(properties) {
+  const record = {};
+  for (const [key, value] of Object.entries(properties)) {
+    record[normalizeHeader(key)] = value === null || value === undefined ? '' : String(value).trim();
+  }
+  return record;
+}
+
+function describe(record) {
+  return {
+    refnum: pick(record, 'NRIS_Refnum', 'Refnum', 'REFNUM', 'NR_Ref_Num'),
+    name: pick(record, 'RESNAME', 'Resource_Name', 'Name'),
+    listedDate: parseListingDate(pick(record, 'CertDate', 'Listed_Date', 'ListDate', 'Date_Listed')),
+    resourceType: pick(record, 'ResType', 'Resource_Type', 'Category'),
+    city: pick(record, 'City', 'CITY'),
+    state: pick(record, 'State', 'STATE')
+  };
+}
+
+function toProperty({ geometry, record }) {
+  if (!geometry || geometry.type !== 'Point') return null;
+  const { refnum, name, listedDate, resourceType, city, state } = describe(record);
+  if (!refnum) return null;
+
+  const [lon, lat] = geometry.coordinates;
+  return [refnum, name, round(lat), round(lon), listedDate, resourceType, city, state];
+}
+
+function toDistrict({ geometry, record }) {
+  if (!geometry) return null;
+  const { refnum, name, listedDate, state } = describe(record);
+  if (!refnum) return null;
+
+  let polygons;
+  if (geometry.type === 'Polygon') polygons = [geometry.coordinates];
+  else if (geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+  else return null;
+
+  polygons = polygons.map(rings => rings.map(ring => ring.map(([lon, lat]) => [round(lon), round(lat)])));
+
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [lon, lat] of polygons.flatMap(rings => rings[0])) {
+    bbox[0] = Math.min(bbox[0], lon);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lon);
+    bbox[3] = Math.max(bbox[3], lat);
+  }
+
+  return [refnum, name, listedDate, state, bbox, polygons];
+}
+
+// NPS exports use YYYYMMDD strings, epoch milliseconds or ISO dates depending on the layer
+function parseListingDate(value) {
+  if (!value) return null;
+  if (/^\d{8}$/.test(value)) return `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}`;
+  const date = /^\d{11,}$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+function round(value) {
+  const factor = Math.pow(10, COORDINATE_PRECISION);
+  return Math.round(value * factor) / factor;
+}
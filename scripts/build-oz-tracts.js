@@ -0,0 +1,65 @@
+// scripts/build-oz-tracts.js
+//
+// Builds src/services/data/opportunityZoneTracts.js from a CSV export of the
+// CDFI Fund "Designated QOZs" spreadsheet (API_ENDPOINTS.OPPORTUNITY_ZONES).
+//
+//   node scripts/build-oz-tracts.js "Designated QOZs.12.14.18.csv" [--rounds rounds.json] [--version 2018-12-14]
+//
+// The spreadsheet has no designation round column; pass --rounds with a JSON map of
+// state FIPS -> round number (1-4) to record it.
+import { readFileSync } from 'node:fs';
+import { parseCSVRecords, pick } from '../src/services/utils/csv.js';
+import { writeDataModule, parseArgs } from './lib/writeModule.js';
+import { API_ENDPOINTS } from '../src/services/utils/constants.js';
+
+const OUTPUT = 'src/services/data/opportunityZoneTracts.js';
+const EXPECTED_COUNT = 8764;
+
+const { positional, options } = parseArgs(process.argv.slice(2));
+const [input] = positional;
+
+if (!input) {
+  console.error('Usage: node scripts/build-oz-tracts.js <designated-qozs.csv> [--rounds rounds.json] [--version YYYY-MM-DD]');
+  process.exit(1);
+}
+
+const rounds = options.rounds ? JSON.parse(readFileSync(options.rounds, 'utf8')) : {};
+const records = parseCSVRecords(readFileSync(input, 'utf8'));
+const tracts = new Map();
+
+for (const record of records) {
+  const rawGeoid = pick(record, 'Census Tract Number', 'GEOID', 'Tract');
+  if (!rawGeoid || !/^\d+$/.test(rawGeoid)) continue;
+
+  // Excel drops leading zeros from FIPS-prefixed GEOIDs
+  const geoid = rawGeoid.padStart(11, '0');
+  const type = pick(record, 'Tract Type', 'Type');
+  const tractType = type ? (/contiguous/i.test(type) ? 'C' : 'L') : null;
+  const round = rounds[geoid.substring(0, 2)] || null;
+
+  tracts.set(geoid, [geoid, tractType, round]);
+}
+
+const rows = [...tracts.values()].sort((a, b) => a[0].localeCompare(b[0]));
+
+writeDataModule(OUTPUT, {
+  script: 'scripts/build-oz-tracts.js',
+  description: 'designated Qualified Opportunity Zone census tracts',
+  exports: {
+    OZ_TRACTS_META: {
+      version: options.version || '2018-12-14',
+      source: API_ENDPOINTS.OPPORTUNITY_ZONES,
+      tractVintage: 2010,
+      generatedAt: new Date().toISOString().substring(0, 10),
+      recordCount: rows.length,
+      expectedCount: EXPECTED_COUNT,
+      fields: ['geoid', 'tractType', 'round']
+    },
+    OZ_TRACTS: rows
+  }
+});
+
+console.log(`Wrote ${rows.length} tracts to ${OUTPUT}`);
+if (rows.length !== EXPECTED_COUNT) {
+  console.warn(`Expected ${EXPECTED_COUNT} designated tracts - check the input file`);
+}
@@ -0,0 +1,81 @@
+// scripts/build-sba-size-standards.js
+//
+// Builds src/services/data/sbaSizeStandards.js from a CSV export of the SBA "Table of Small
+// Business Size Standards Matched to NAICS Codes" (API_ENDPOINTS.SBA_SIZE_STANDARDS).
+//
+//   node scripts/build-sba-size-standards.js size-standards.csv [--effective 2023-03-17]
+//
+// The spreadsheet has title rows above the header; everything before the "NAICS Codes" row is
+// skipped. Exception rows (e.g. 541330 military and aerospace) carry the same code as the main
+// row and are kept as exceptions on it.
+import { readFileSync } from 'node:fs';
+import { parseCSV, normalizeHeader, parseNumber } from '../src/services/utils/csv.js';
+import { writeDataModule, parseArgs } from './lib/writeModule.js';
+import { API_ENDPOINTS } from '../src/services/utils/constants.js';
+
+const OUTPUT = 'src/services/data/sbaSizeStandards.js';
+
+const { positional, options } = parseArgs(process.argv.slice(2));
+const [input] = positional;
+
+if (!input) {
+  console.error('Usage: node scripts/build-sba-size-standards.js <size-standards.csv> [--effective YYYY-MM-DD]');
+  process.exit(1);
+}
+
+const rows = parseCSV(readFileSync(input, 'utf8'));
+const headerIndex = rows.findIndex(row => row.some(cell => /^naics codes?$/i.test(cell.trim())));
+if (headerIndex === -1) {
+  console.error('No "NAICS Codes" header row found');
+  process.exit(1);
+}
+
+const header = rows[headerIndex].map(normalizeHeader);
+const column = (...names) => header.findIndex(cell => names.some(name => cell.startsWith(name)));
+const codeColumn = column('naics code');
+const titleColumn = column('naics u.s. industry title', 'naics industry description', 'title');
+const receiptsColumn = column('size standards in millions of dollars', 'size standard in millions');
+const employeesColumn = column('size standards in number of employees', 'size standard in number of employees');
+const footnoteColumn = column('footnote');
+
+const standards = new Map();
+
+for (const row of rows.slice(headerIndex + 1)) {
+  const code = (row[codeColumn] || '').trim();
+  const match = code.match(/^(\d{6})\b/);
+  if (!match) continue;
+
+  const naics = match[1];
+  const receiptsMillions = parseNumber(row[receiptsColumn]);
+  const employees = parseNumber(row[employeesColumn]);
+  if (receiptsMillions === null && employees === null) continue;
+
+  const title = (row[titleColumn] || '').trim();
+  const receipts = receiptsMillions !== null ? Math.round(receiptsMillions * 1000000) : null;
+  const footnote = footnoteColumn !== -1 ? (row[footnoteColumn] || '').trim() || null : null;
+
+  if (standards.has(naics)) {
+    standards.get(naics)[5].push([title, receipts, employees]);
+  } else {
+    standards.set(naics, [naics, title, receipts, employees, footnote, []]);
+  }
+}
+
+const records = [...standards.values()].sort((a, b) => a[0].localeCompare(b[0]));
+
+writeDataModule(OUTPUT, {
+  script: 'scripts/build-sba-size-standards.js',
+  description: 'SBA size standards by 6-digit NAICS code',
+  exports: {
+    SBA_SIZE_STANDARDS_META: {
+      source: API_ENDPOINTS.SBA_SIZE_STANDARDS,
+      effectiveDate: options.effective || null,
+      generatedAt: new Date().toISOString().substring(0, 10),
+      recordCount: records.length,
+      fields: ['naics', 'title', 'receipts', 'employees', 'footnote', 'exceptions']
+    },
+    SBA_NAICS_SIZE_STANDARDS: records
+  }
+});
+
+console.log(`Wrote ${records.length} NAICS size standards to ${OUTPUT}`);
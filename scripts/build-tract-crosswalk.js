@@ -0,0 +1,82 @@
+// scripts/build-tract-crosswalk.js
+//
+// Builds src/services/data/tractCrosswalk.js from the Census Bureau 2020-to-2010 census
+// tract relationship file (tab20_tract20_tract10_natl.txt, pipe-delimited).
+//
+//   node scripts/build-tract-crosswalk.js tab20_tract20_tract10_natl.txt
+//
+// Only 2020 tracts whose geography changed are written; any GEOID missing from the
+// output is treated as unchanged since 2010.
+import { readFileSync } from 'node:fs';
+import { parseCSVRecords, pick, parseNumber } from '../src/services/utils/csv.js';
+import { writeDataModule, parseArgs } from './lib/writeModule.js';
+
+const OUTPUT = 'src/services/data/tractCrosswalk.js';
+// Overlaps below this share of both tracts are digitizing slivers, not real parts
+const SLIVER_THRESHOLD = 0.001;
+const UNCHANGED_THRESHOLD = 0.999;
+
+const { positional } = parseArgs(process.argv.slice(2));
+const [input] = positional;
+
+if (!input) {
+  console.error('Usage: node scripts/build-tract-crosswalk.js <tab20_tract20_tract10_natl.txt>');
+  process.exit(1);
+}
+
+const records = parseCSVRecords(readFileSync(input, 'utf8'), '|');
+const tracts2020 = new Map();
+
+for (const record of records) {
+  const geoid2020 = pick(record, 'GEOID_TRACT_20');
+  const geoid2010 = pick(record, 'GEOID_TRACT_10');
+  if (!geoid2020 || !geoid2010) continue;
+
+  const land2020 = parseNumber(pick(record, 'AREALAND_TRACT_20')) || 0;
+  const land2010 = parseNumber(pick(record, 'AREALAND_TRACT_10')) || 0;
+  const landPart = parseNumber(pick(record, 'AREALAND_PART')) || 0;
+
+  // Water-only tracts have no land area; treat them as wholly inside their parent
+  const shareOf2020 = land2020 > 0 ? landPart / land2020 : 1;
+  const shareOf2010 = land2010 > 0 ? landPart / land2010 : 1;
+  if (shareOf2020 < SLIVER_THRESHOLD && shareOf2010 < SLIVER_THRESHOLD) continue;
+
+  if (!tracts2020.has(geoid2020)) tracts2020.set(geoid2020, []);
+  tracts2020.get(geoid2020).push([geoid2010, round4(shareOf2020), round4(shareOf2010)]);
+}
+
+const crosswalk = {};
+let changed = 0;
+
+for (const [geoid2020, parts] of [...tracts2020.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+  const [only] = parts;
+  const unchanged = parts.length === 1 && only[0] === geoid2020 &&
+    only[1] >= UNCHANGED_THRESHOLD && only[2] >= UNCHANGED_THRESHOLD;
+  if (unchanged) continue;
+
+  crosswalk[geoid2020] = parts.sort((a, b) => b[1] - a[1]);
+  changed++;
+}
+
+writeDataModule(OUTPUT, {
+  script: 'scripts/build-tract-crosswalk.js',
+  description: '2020 to 2010 census tract relationships',
+  exports: {
+    TRACT_CROSSWALK_META: {
+      source: 'https://www2.census.gov/geo/docs/maps-data/data/rel2020/tract/tab20_tract20_tract10_natl.txt',
+      fromVintage: 2020,
+      toVintage: 2010,
+      generatedAt: new Date().toISOString().substring(0, 10),
+      tracts2020: tracts2020.size,
+      changedTracts: changed,
+      fields: ['geoid2010', 'shareOf2020', 'shareOf2010']
+    },
+    TRACT_CROSSWALK: crosswalk
+  }
+});
+
+console.log(`Wrote ${changed} changed tracts (of ${tracts2020.size}) to ${OUTPUT}`);
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,22 @@
+// scripts/lib/census.js
+import { readFileSync } from 'node:fs';
+import { normalizeHeader, parseNumber } from '../../src/services/utils/csv.js';
+
+// Census Data API responses are a JSON array of rows with the header first. Several files
+// (e.g. one tract query per state) can be passed as a comma-separated list.
+export function readCensusAPIFiles(paths) {
+  return String(paths)
+    .split(',')
+    .filter(Boolean)
+    .flatMap(path => {
+      const [header, ...rows] = JSON.parse(readFileSync(path.trim(), 'utf8'));
+      const keys = header.map(normalizeHeader);
+      return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index]])));
+    });
+}
+
+// The API reports suppressed or unavailable estimates as large negative sentinels (-666666666)
+export function censusEstimate(value) {
+  const number = parseNumber(value);
+  return number === null || number < 0 ? null : number;
+}
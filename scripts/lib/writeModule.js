@@ -0,0 +1,49 @@
+// scripts/lib/writeModule.js
+import { writeFileSync } from 'node:fs';
+
+// Write a generated data module: header comment plus named exports serialized as JSON
+export function writeDataModule(path, { script, description, exports }) {
+  const lines = [
+    `// ${path}`,
+    `// Generated by ${script} - ${description}`,
+    '// Re-run the script to refresh; do not edit by hand.',
+    ''
+  ];
+
+  for (const [name, value] of Object.entries(exports)) {
+    lines.push(`export const ${name} = ${serialize(value)};`);
+    lines.push('');
+  }
+
+  writeFileSync(path, lines.join('\n'));
+}
+
+// Rows and keyed entries are written one per line to keep diffs of refreshed data readable
+function serialize(value) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `  ${JSON.stringify(item)}`).join(',\n')}\n]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, item]) => `  ${JSON.stringify(key)}: ${JSON.stringify(item)}`).join(',\n')}\n}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  return { positional, options };
+}
@@ -148,7 +148,7 @@ const ChatUI = () => {
     if (lowerQuery.includes('help') || lowerQuery.includes('how')) {
       addAssistantMessage({
         type: 'help',
-        content: 'I can help you analyze commercial real estate properties for financial incentives. Here\'s what I can do:\n\n• **Opportunity Zones** - Check if a property qualifies for OZ tax benefits\n• **Historic Tax Credits** - Identify properties eligible for 20% federal tax credits\n• **New Markets Tax Credits** - Find NMTC opportunities in low-income communities\n• **C-PACE Financing** - Locate energy efficiency financing programs\n• **SBA 504 Loans** - Assess eligibility for low down payment SBA financing\n\nTo get started, simply provide a property address like "123 Main St, City, State" and I\'ll analyze all available programs.'
+        content: 'I can help you analyze commercial real estate properties for financial incentives. Here\'s what I can do:\n\n• **Opportunity Zones** - Check if a property qualifies for OZ tax benefits\n• **Historic Tax Credits** - Identify properties eligible for 20% federal tax credits\n• **New Markets Tax Credits** - Find NMTC opportunities in low-income communities\n• **C-PACE Financing** - Locate energy efficiency financing programs\n• **SBA 504 Loans** - Assess eligibility for low down payment SBA financing\n• **Low-Income Housing Tax Credits** - Check QCT/DDA basis boost and estimate housing credits\n\nTo get started, simply provide a property address like "123 Main St, City, State" and I\'ll analyze all available programs.'
       });
     } else if (lowerQuery.includes('report') && analysis) {
       handleGenerateReport();
@@ -586,7 +586,8 @@ const ProgramCard = ({ program, programKey }) => {
     historicTaxCredits: 'Historic Tax Credits',
     newMarketsTC: 'New Markets Tax Credits',
     cpace: 'C-PACE Financing',
-    sba504: 'SBA 504 Loans'
+    sba504: 'SBA 504 Loans',
+    lihtc: 'Low-Income Housing Tax Credits'
   };
   
   const name = programNames[programKey] || programKey;
@@ -4,6 +4,7 @@ import HistoricTaxCreditsService from './api/HistoricTaxCreditsService.js';
 import NMTCService from './api/NMTCService.js';
 import CPACEService from './api/CPACEService.js';
 import SBAService from './api/SBAService.js';
+import LIHTCService from './api/LIHTCService.js';
 import { APIError, ValidationError } from './errors/index.js';
 
 class CREIncentivesService {
@@ -13,6 +14,7 @@ class CREIncentivesService {
     this.nmtcService = new NMTCService();
     this.cpaceService = new CPACEService();
     this.sbaService = new SBAService();
+    this.lihtcService = new LIHTCService();
   }
 
   async analyzeProperty(address, projectDetails = {}) {
@@ -25,12 +27,16 @@ class CREIncentivesService {
       }
 
       // Run all analyses in parallel for better performance
-      const [ozResults, htcResults, nmtcResults, cpaceResults, sbaResults] = await Promise.allSettled([
+      const [ozResults, htcResults, nmtcResults, cpaceResults, sbaResults, lihtcResults] = await Promise.allSettled([
         this.ozService.checkOpportunityZone(address),
-        this.htcService.checkHistoricTaxCredits(address),
-        this.nmtcService.checkNMTCEligibility(address),
-        this.cpaceService.checkCPACEAvailability(address),
-        this.sbaService.checkSBA504Eligibility(address, projectDetails.business || {})
+        this.htcService.checkHistoricTaxCredits(address, projectDetails.historicRehab || null),
+        this.nmtcService.checkNMTCEligibility(address, projectDetails),
+        this.cpaceService.checkCPACEAvailability(address, projectDetails),
+        this.sbaService.checkSBA504Eligibility(address, {
+          projectCost: projectDetails.projectCost,
+          ...projectDetails.business
+        }),
+        this.lihtcService.checkLIHTCEligibility(address, projectDetails)
       ]);
 
       // Process results and handle any failures gracefully
@@ -44,12 +50,22 @@ class CREIncentivesService {
           historicTaxCredits: this.processResult(htcResults, 'Historic Tax Credits'),
           newMarketsTC: this.processResult(nmtcResults, 'New Markets Tax Credits'),
           cpace: this.processResult(cpaceResults, 'C-PACE Financing'),
-          sba504: this.processResult(sbaResults, 'SBA 504 Loans')
+          sba504: this.processResult(sbaResults, 'SBA 504 Loans'),
+          lihtc: this.processResult(lihtcResults, 'Low-Income Housing Tax Credits')
         },
         summary: null, // Will be populated below
         recommendations: null // Will be populated below
       };
 
+      // Deal models run on optional project inputs; a bad input is reported on that program
+      // instead of failing the whole analysis
+      this.attachProgramEstimate(analysis.incentives.opportunityZones, 'investorBenefits',
+        () => this.estimateOZInvestorBenefits(projectDetails));
+      this.attachProgramEstimate(analysis.incentives.newMarketsTC, 'leveragedModel',
+        () => this.estimateNMTCTransaction(projectDetails));
+      this.attachProgramEstimate(analysis.incentives.historicTaxCredits, 'qualifiedRehabilitation',
+        () => projectDetails.historicRehab ? this.htcService.calculateQualifiedRehabilitation(projectDetails.historicRehab) : null);
+
       // Generate summary and recommendations
       analysis.summary = this.generateSummary(analysis.incentives);
       analysis.recommendations = this.generateRecommendations(analysis.incentives, projectDetails);
@@ -92,6 +108,16 @@ class CREIncentivesService {
     }
   }
 
+  attachProgramEstimate(program, field, estimate) {
+    if (program?.status !== 'success' || !program.data) return;
+    try {
+      program.data[field] = estimate();
+    } catch (error) {
+      program.data[field] = null;
+      program.estimateError = { field: error.field || field, message: error.message };
+    }
+  }
+
   determineAvailability(data, programName) {
     switch (programName) {
       case 'Opportunity Zones':
@@ -104,6 +130,8 @@ class CREIncentivesService {
         return data?.cpaceAvailable || false;
       case 'SBA 504 Loans':
         return data?.eligible || false;
+      case 'Low-Income Housing Tax Credits':
+        return data?.lihtcEligible || false;
       default:
         return false;
     }
@@ -141,7 +169,7 @@ class CREIncentivesService {
       opportunityZones: {
         name: 'Opportunity Zones',
         shortDescription: 'Tax deferral and elimination on capital gains',
-        estimatedValue: 150000, // Estimated based on typical project
+        estimatedValue: null, // Investor tax savings from the OZ benefit model, set below
         timeframe: '10 years for maximum benefit',
         complexity: 'Medium'
       },
@@ -155,7 +183,7 @@ class CREIncentivesService {
       newMarketsTC: {
         name: 'New Markets Tax Credits',
         shortDescription: '39% tax credit over 7 years',
-        estimatedValue: 390000, // 39% of $1M investment
+        estimatedValue: null, // Net subsidy from the leveraged NMTC model, set below
         timeframe: '7 years',
         complexity: 'High'
       },
@@ -172,9 +200,23 @@ class CREIncentivesService {
         estimatedValue: 75000, // Estimated interest savings vs conventional
         timeframe: '10-20 years',
         complexity: 'Medium'
+      },
+      lihtc: {
+        name: 'Low-Income Housing Tax Credits',
+        shortDescription: '9% or 4% annual credit on qualified basis of affordable units',
+        estimatedValue: data?.credits?.equity || 0, // Equity raised from the 10-year credits
+        timeframe: '10-year credit period, 15-year compliance',
+        complexity: 'High'
       }
     };
 
+    if (key === 'opportunityZones') {
+      programMap.opportunityZones.estimatedValue = data?.investorBenefits?.comparison.taxSavings ?? null;
+    }
+    if (key === 'newMarketsTC') {
+      programMap.newMarketsTC.estimatedValue = data?.leveragedModel?.netSubsidy.amount ?? null;
+    }
+
     return programMap[key] || {
       name: 'Unknown Program',
       shortDescription: 'Program details not available',
@@ -220,13 +262,18 @@ class CREIncentivesService {
     }
 
     if (availableIncentives.includes('newMarketsTC')) {
+      // CDEs concentrate allocations in severely distressed tracts
+      const distress = incentives.newMarketsTC.data?.distress;
       recommendations.push({
-        priority: 'Medium',
+        priority: distress?.competitive ? 'High' : 'Medium',
         program: 'New Markets Tax Credits',
         action: 'Contact local CDEs for funding availability',
         timeline: '6-12 months for structuring and closing',
         benefit: '39% tax credit over 7 years',
-        requirements: ['Located in Low-Income Community', 'Meet CDE investment criteria']
+        distressTier: distress?.tier || null,
+        requirements: distress?.competitive ?
+          ['Located in Low-Income Community', 'Meet CDE investment criteria'] :
+          ['Located in Low-Income Community', 'Meet CDE investment criteria', 'Tract is not severely distressed - expect limited CDE interest']
       });
     }
 
@@ -236,8 +283,39 @@ class CREIncentivesService {
         program: 'SBA 504 Loans',
         action: 'Contact Certified Development Company',
         timeline: '3-6 months for approval and closing',
-        benefit: 'Fixed-rate financing with only 10% down payment',
-        requirements: ['Owner occupancy', 'Job creation/retention', '2+ years in business']
+        benefit: 'Fixed-rate financing with 10-20% down payment',
+        requirements: ['Owner occupancy', 'Job creation/retention or a public policy goal', 'Higher equity for startups and special-purpose properties']
+      });
+    }
+
+    if (availableIncentives.includes('lihtc')) {
+      const lihtc = incentives.lihtc.data;
+      recommendations.push({
+        priority: 'High',
+        program: 'Low-Income Housing Tax Credits',
+        action: lihtc?.credits?.creditType === '4%' ?
+          'Apply to the state issuer for tax-exempt bonds and 4% credits' :
+          'Prepare a 9% application under the state Qualified Allocation Plan',
+        timeline: '6-18 months depending on the allocation round',
+        benefit: lihtc?.designation?.basisBoostEligible ?
+          'Annual credits on 130% of eligible basis (QCT/DDA boost)' :
+          lihtc?.designation?.basisBoostDetermination === 'unknown' ?
+            'Annual credits on eligible basis of affordable units (QCT/DDA boost not yet confirmed)' :
+            'Annual credits on eligible basis of affordable units',
+        requirements: ['Minimum income set-aside', '15-year compliance period', 'Rent restrictions on affordable units']
+      });
+    }
+
+    // 7(a) is reported alongside 504 rather than as a separate program
+    const sbaData = incentives.sba504?.data;
+    if (sbaData?.sba7a?.eligible && (!availableIncentives.includes('sba504') || sbaData.comparison?.recommended === 'sba7a')) {
+      recommendations.push({
+        priority: 'Medium',
+        program: 'SBA 7(a) Loans',
+        action: 'Contact an SBA 7(a) lender',
+        timeline: '1-3 months for approval and closing',
+        benefit: 'Single loan that can include working capital, inventory and acquisition costs',
+        requirements: ['Owner occupancy for real estate', 'Variable rate capped at prime plus the SBA maximum spread']
       });
     }
 
@@ -299,6 +377,17 @@ class CREIncentivesService {
       });
     }
 
+    // LIHTC + Historic Tax Credits, common in adaptive reuse
+    if (available.includes('lihtc') && available.includes('historicTaxCredits')) {
+      stackingOpportunities.push({
+        programs: ['Low-Income Housing Tax Credits', 'Historic Tax Credits'],
+        compatibility: 'High',
+        combinedBenefit: 'Housing credits on residential basis plus HTC on qualified rehabilitation',
+        considerations: ['HTC reduces LIHTC eligible basis', 'Same investor typically takes both credits'],
+        estimatedValue: 'Very High'
+      });
+    }
+
     // SBA 504 + Other Programs
     if (available.includes('sba504')) {
       const otherPrograms = available.filter(p => p !== 'sba504');
@@ -334,7 +423,8 @@ class CREIncentivesService {
       historicTaxCredits: 'Historic Tax Credits',
       newMarketsTC: 'New Markets Tax Credits',
       cpace: 'C-PACE',
-      sba504: 'SBA 504'
+      sba504: 'SBA 504',
+      lihtc: 'LIHTC'
     };
     return nameMap[key] || key;
   }
@@ -345,7 +435,7 @@ class CREIncentivesService {
       locationAnalysis: this.generateLocationAnalysis(analysis),
       incentiveDetails: this.generateIncentiveDetails(analysis),
       financialProjections: this.generateFinancialProjections(analysis, projectDetails),
-      implementationPlan: this.generateImplementationPlan(analysis),
+      implementationPlan: this.generateImplementationPlan(analysis, projectDetails),
       riskAssessment: this.generateRiskAssessment(analysis),
       nextSteps: this.generateNextSteps(analysis),
       appendices: this.generateAppendices(analysis),
@@ -426,7 +516,13 @@ class CREIncentivesService {
     const projectCost = projectDetails.projectCost || 2000000; // Default $2M project
     const projections = {
       baseCase: this.calculateBaseCase(projectCost),
-      withIncentives: this.calculateWithIncentives(projectCost, analysis),
+      withIncentives: this.calculateWithIncentives(projectCost, analysis, projectDetails),
+      opportunityZone: analysis.incentives.opportunityZones?.available ?
+        analysis.incentives.opportunityZones.data?.investorBenefits ?? null : null,
+      newMarketsTransaction: analysis.incentives.newMarketsTC?.available ?
+        analysis.incentives.newMarketsTC.data?.leveragedModel ?? null : null,
+      historicRehabilitation: analysis.incentives.historicTaxCredits?.available ?
+        analysis.incentives.historicTaxCredits.data?.qualifiedRehabilitation ?? null : null,
       comparison: null
     };
 
@@ -459,20 +555,25 @@ class CREIncentivesService {
     };
   }
 
-  calculateWithIncentives(projectCost, analysis) {
+  calculateWithIncentives(projectCost, analysis, projectDetails = {}) {
     // This is a simplified calculation - in practice, each incentive would need detailed modeling
     let adjustedCost = projectCost;
     let taxCredits = 0;
     let interestSavings = 0;
+    let investorTaxSavings = 0;
 
     Object.entries(analysis.incentives).forEach(([key, program]) => {
       if (program.available) {
         switch (key) {
+          case 'opportunityZones':
+            // Accrues to the QOF investor, so it does not reduce project cost
+            investorTaxSavings += program.data?.investorBenefits?.comparison.taxSavings || 0;
+            break;
           case 'historicTaxCredits':
-            taxCredits += projectCost * 0.20; // 20% HTC
+            taxCredits += this.estimateHistoricTaxCredit(projectCost, projectDetails, program.data);
             break;
           case 'newMarketsTC':
-            taxCredits += (projectCost * 0.25) * 0.39; // 39% of 25% equity
+            taxCredits += program.data?.leveragedModel?.netSubsidy.amount || 0;
             break;
           case 'sba504':
             interestSavings += 50000; // Estimated annual savings
@@ -480,6 +581,9 @@ class CREIncentivesService {
           case 'cpace':
             interestSavings += 25000; // Estimated annual savings
             break;
+          case 'lihtc':
+            taxCredits += program.data?.credits?.equity || 0;
+            break;
         }
       }
     });
@@ -488,6 +592,7 @@ class CREIncentivesService {
       projectCost,
       taxCredits,
       interestSavings,
+      investorTaxSavings,
       netProjectCost: adjustedCost - taxCredits,
       estimatedROI: ((taxCredits + (interestSavings * 10)) / projectCost * 100).toFixed(1) + '%'
     };
@@ -507,7 +612,7 @@ class CREIncentivesService {
   }
 
   assessImplementationComplexity(analysis) {
-    const complexPrograms = ['historicTaxCredits', 'newMarketsTC'];
+    const complexPrograms = ['historicTaxCredits', 'newMarketsTC', 'lihtc'];
     const availablePrograms = Object.entries(analysis.incentives)
       .filter(([, program]) => program.available)
       .map(([key]) => key);
@@ -529,7 +634,8 @@ class CREIncentivesService {
       historicTaxCredits: 18,
       newMarketsTC: 12,
       cpace: 6,
-      sba504: 6
+      sba504: 6,
+      lihtc: 18
     };
 
     const maxTime = Math.max(...availablePrograms.map(p => timeframes[p] || 6));
@@ -540,7 +646,7 @@ class CREIncentivesService {
     return '3-6 months';
   }
 
-  generateImplementationPlan(analysis) {
+  generateImplementationPlan(analysis, projectDetails = {}) {
     return {
       phase1: 'Initial Planning and Applications (Months 1-3)',
       phase2: 'Approvals and Structuring (Months 4-9)',
@@ -552,10 +658,21 @@ class CREIncentivesService {
         'Finalize financing structure',
         'Begin project implementation',
         'Achieve compliance milestones'
-      ]
+      ],
+      historicCertification: analysis.incentives.historicTaxCredits?.available && projectDetails.htcCertification ?
+        this.getCertificationStatus(projectDetails.htcCertification) : null
     };
   }
 
+  // An invalid saved tracker is reported on the HTC step instead of failing the plan
+  getCertificationStatus(certification) {
+    try {
+      return this.htcService.getCertificationTracker(certification).getStatus();
+    } catch (error) {
+      return { error: { field: error.field || 'htcCertification', message: error.message } };
+    }
+  }
+
   generateRiskAssessment(analysis) {
     return {
       overallRisk: analysis.summary.riskLevel,
@@ -603,17 +720,65 @@ class CREIncentivesService {
 
   // Helper methods for detailed calculations
   calculateProgramValue(key, data) {
+    if (key === 'opportunityZones') {
+      return data?.investorBenefits?.comparison.taxSavings ?? null;
+    }
+    if (key === 'newMarketsTC') {
+      return data?.leveragedModel?.netSubsidy.amount ?? null;
+    }
+    if (key === 'lihtc') {
+      return data?.credits?.equity || 0;
+    }
+
     // Simplified value calculations - would be more sophisticated in production
     const estimates = {
-      opportunityZones: 150000,
       historicTaxCredits: 200000,
-      newMarketsTC: 390000,
       cpace: 50000,
       sba504: 75000
     };
     return estimates[key] || 0;
   }
 
+  // Model the QOF investor's position; without investor inputs assume the 25% equity slice
+  // of the project is funded with a capital gain realized and invested today
+  estimateOZInvestorBenefits(projectDetails = {}) {
+    const projectCost = projectDetails.projectCost || 2000000;
+    const today = new Date().toISOString().substring(0, 10);
+
+    return this.ozService.calculateInvestorBenefits({
+      gainAmount: projectCost * 0.25,
+      gainRealizationDate: today,
+      investmentDate: today,
+      ...projectDetails.ozInvestment
+    });
+  }
+
+  // Leveraged NMTC deal; without deal terms assume a QEI of half the project cost at
+  // market pricing and fees
+  estimateNMTCTransaction(projectDetails = {}) {
+    const projectCost = projectDetails.projectCost || 2000000;
+
+    return this.nmtcService.calculateLeveragedNMTC({
+      qei: projectCost * 0.5,
+      ...projectDetails.nmtcTransaction
+    });
+  }
+
+  // Federal plus state credit on QREs; without a cost breakdown treat project cost less
+  // acquisition and land as rehabilitation spend
+  estimateHistoricTaxCredit(projectCost, projectDetails = {}, htcData = null) {
+    const combined = htcData?.combinedBenefits;
+    if (projectDetails.historicRehab && typeof combined?.totalCredit === 'number') {
+      return combined.totalCredit;
+    }
+
+    const rehabSpend = Math.max(0, projectCost - (projectDetails.acquisitionCost || 0) - (projectDetails.landCost || 0));
+    return this.htcService.calculateCombinedCredits({
+      qre: rehabSpend,
+      state: htcData?.statePrograms?.state
+    }).totalCredit;
+  }
+
   getApplicationProcess(key) {
     // Return program-specific application processes
     return `Detailed application process for ${this.getProgramName(key)}`;
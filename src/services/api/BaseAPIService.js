@@ -148,7 +148,8 @@ class BaseAPIService {
           tract: tract.TRACT,
           county: tract.COUNTY,
           state: tract.STATE,
-          geoid: tract.GEOID
+          geoid: tract.GEOID,
+          tractVintage: 2020 // Current_Current vintage returns 2020 tract geography
         };
       }
       
@@ -1,12 +1,23 @@
 // src/services/api/CPACEService.js
 import BaseAPIService from './BaseAPIService.js';
+import { CPACE_REGISTRY_META } from '../data/cpacePrograms.js';
+import {
+  findCPACEPrograms,
+  getCPACEStateRegistry,
+  CPACE_AVAILABILITY,
+  CPACE_LEGISLATION_STATUS
+} from '../calculators/cpaceRegistry.js';
+import { calculateCPACELifecycle } from '../calculators/cpaceLifecycle.js';
+import { calculateCPACEMaxAssessment } from '../calculators/cpaceLTV.js';
+import { estimateEnergyAudit } from '../calculators/energyAudit.js';
+import { importPortfolioManager } from '../importers/portfolioManager.js';
 
 class CPACEService extends BaseAPIService {
   constructor() {
     super('https://pacenation.org');
   }
 
-  async checkCPACEAvailability(address) {
+  async checkCPACEAvailability(address, projectDetails = {}) {
     const normalized = this.validateAddress(address);
     
     const coordinates = await this.geocodeAddress(normalized);
@@ -14,136 +25,163 @@ class CPACEService extends BaseAPIService {
       throw new Error('Unable to geocode address');
     }
 
-    const state = await this.determineState(coordinates);
-    const county = await this.determineCounty(coordinates);
+    const { state, county, municipality } = await this.determineLocation(coordinates);
     
     const stateProgram = this.getStatePACEProgram(state);
-    const localProgram = await this.getLocalPACEProgram(state, county);
+    const localProgram = await this.getLocalPACEProgram(state, county, municipality, projectDetails);
     
-    const available = stateProgram.available || localProgram.available;
+    const available = localProgram.available;
+    const energyBaseline = projectDetails.portfolioManager ?
+      this.loadEnergyBaseline(projectDetails.portfolioManager) :
+      null;
+    const financingLimits = projectDetails.cpaceFinancing ?
+      this.getFinancingLimits(localProgram, projectDetails) :
+      null;
     
     return {
       address: normalized,
       coordinates,
       state,
       county,
+      municipality,
       cpaceAvailable: available,
+      availabilityStatus: localProgram.status,
+      availabilityReason: localProgram.reason,
       stateProgram,
       localProgram,
+      financingLimits,
       benefits: available ? this.getCPACEBenefits() : null,
-      eligibleImprovements: available ? this.getEligibleImprovements() : null
+      energyBaseline,
+      eligibleImprovements: available ?
+        this.getEligibleImprovements(this.buildingWithBaseline(projectDetails.building || null, energyBaseline)) :
+        null
     };
   }
 
-  async determineState(coordinates) {
+  async determineLocation(coordinates) {
     try {
       const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${coordinates.lat}&lon=${coordinates.lon}&zoom=6`
+        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${coordinates.lat}&lon=${coordinates.lon}&zoom=10`
       );
       const data = await response.json();
-      return data?.address?.state || 'Unknown';
+      const address = data?.address || {};
+      return {
+        state: address.state || 'Unknown',
+        county: address.county || null,
+        municipality: address.city || address.town || address.village || address.municipality || null
+      };
     } catch {
-      return 'Unknown';
+      return { state: 'Unknown', county: null, municipality: null };
     }
   }
 
-  async determineCounty(coordinates) {
-    try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${coordinates.lat}&lon=${coordinates.lon}&zoom=8`
-      );
-      const data = await response.json();
-      return data?.address?.county || 'Unknown County';
-    } catch {
-      return 'Unknown County';
+  getStatePACEProgram(state) {
+    const registry = getCPACEStateRegistry(state);
+    const { legislation, programs } = registry;
+
+    if (programs.length === 0) {
+      return {
+        available: false,
+        state: registry.state,
+        legislation,
+        program: 'Not available',
+        programs: [],
+        note: legislation.status === CPACE_LEGISLATION_STATUS.ENACTED ?
+          `C-PACE is authorized by ${legislation.citation} but no program is operating yet` :
+          legislation.status === CPACE_LEGISLATION_STATUS.UNKNOWN ?
+            `${registry.state} is not in the C-PACE registry - check with the state energy office whether C-PACE is authorized` :
+            `Check with ${registry.state} energy office for potential future programs`,
+        alternatives: 'Consider utility rebates or federal programs',
+        registryAsOf: CPACE_REGISTRY_META.asOf
+      };
     }
-  }
 
-  getStatePACEProgram(state) {
-    const statePrograms = {
-      'California': {
-        available: true,
-        program: 'HERO Program & CaliforniaFIRST',
-        administrator: 'Multiple administrators',
-        coverage: 'Statewide',
-        maxFinancing: 'Up to 20-30% of property value',
-        terms: 'Up to 25 years',
-        rateRange: '4-8%',
-        specialFeatures: ['Open Market', 'Contractor networks']
-      },
-      'New York': {
-        available: true,
-        program: 'Energize NY',
-        administrator: 'Energy Improvement Corporation',
-        coverage: 'Most counties participating',
-        maxFinancing: 'Up to 10% of property value',
-        terms: 'Up to 20 years',
-        rateRange: '4-7%',
-        specialFeatures: ['Green jobs focus', 'Solar emphasis']
-      },
-      'Texas': {
-        available: true,
-        program: 'Multiple local programs',
-        administrator: 'Various local authorities',
-        coverage: 'Major metro areas',
-        maxFinancing: 'Varies by locality',
-        terms: 'Up to 20 years',
-        rateRange: '5-8%',
-        specialFeatures: ['Local control', 'Varied eligibility']
-      },
-      'Florida': {
-        available: true,
-        program: 'Florida PACE',
-        administrator: 'Ygrene Energy Fund',
-        coverage: 'Most counties',
-        maxFinancing: 'Up to 20% of property value',
-        terms: 'Up to 30 years',
-        rateRange: '4-8%',
-        specialFeatures: ['Hurricane resilience', 'Water efficiency']
-      },
-      'Colorado': {
-        available: true,
-        program: 'C-PACE programs',
-        administrator: 'Multiple administrators',
-        coverage: 'Denver, Boulder, other metros',
-        maxFinancing: 'Varies by program',
-        terms: 'Up to 25 years',
-        rateRange: '4-7%',
-        specialFeatures: ['Renewable energy focus']
-      }
+    const ltvLimits = programs.map(program => program.maxLTV).filter(ltv => ltv !== null);
+    return {
+      available: true,
+      state: registry.state,
+      legislation,
+      program: programs.map(program => program.name).join(' & '),
+      administrator: programs.map(program => program.administrator).join('; '),
+      coverage: programs.some(program => program.participation === 'statewide') ?
+        'Statewide' :
+        'Participating counties and municipalities only',
+      maxFinancing: ltvLimits.length > 0 ?
+        `Up to ${Math.round(Math.max(...ltvLimits) * 100)}% of property value` :
+        'No program LTV limit - lender consent and underwriting govern',
+      terms: `Up to ${Math.max(...programs.map(program => program.maxTermYears))} years`,
+      newConstruction: programs.some(program => program.newConstruction),
+      programs: programs.map(program => ({
+        id: program.id,
+        name: program.name,
+        administrator: program.administrator,
+        participation: program.participation,
+        propertyTypes: program.propertyTypes,
+        newConstruction: program.newConstruction,
+        maxLTV: program.maxLTV,
+        maxTermYears: program.maxTermYears,
+        website: program.website
+      })),
+      note: CPACE_REGISTRY_META.note,
+      registryAsOf: CPACE_REGISTRY_META.asOf
     };
+  }
 
-    return statePrograms[state] || {
-      available: false,
-      program: 'Not available',
-      note: `Check with ${state} energy office for potential future programs`,
-      alternatives: 'Consider utility rebates or federal programs'
+  async getLocalPACEProgram(state, county, municipality = null, projectDetails = {}) {
+    const result = findCPACEPrograms({
+      state,
+      county,
+      municipality,
+      propertyType: projectDetails.propertyType || projectDetails.projectType || null,
+      newConstruction: isNewConstruction(projectDetails)
+    });
+    const primary = result.programs[0];
+
+    return {
+      ...result,
+      program: result.status === CPACE_AVAILABILITY.NOT_AVAILABLE ? 'No local program' : primary?.name || 'Unknown',
+      administrator: result.status === CPACE_AVAILABILITY.NOT_AVAILABLE ? null : primary?.administrator || null,
+      note: result.status === CPACE_AVAILABILITY.AVAILABLE ? CPACE_REGISTRY_META.note :
+        'Check with local economic development office'
     };
   }
 
-  async getLocalPACEProgram(state, county) {
-    // Simulate local program lookup
-    const hasLocalProgram = Math.random() > 0.7; // 30% chance of local program
-    
-    if (!hasLocalProgram) {
+  // Maximum assessment under each program that may reach the property. Invalid financing inputs
+  // are reported on the limits instead of failing the C-PACE check.
+  getFinancingLimits(localProgram, projectDetails) {
+    const candidates = localProgram.programs.filter(program => program.status !== CPACE_AVAILABILITY.NOT_AVAILABLE);
+    let byProgram;
+    try {
+      byProgram = candidates.map(program => this.calculateMaxAssessment({
+        ...projectDetails.cpaceFinancing,
+        program,
+        newConstruction: isNewConstruction(projectDetails)
+      }));
+    } catch (error) {
       return {
-        available: false,
-        program: 'No local program',
-        note: 'Check with local economic development office'
+        byProgram: [],
+        maxAssessment: null,
+        program: null,
+        bindingConstraint: null,
+        lenderConsentRequired: null,
+        error: { field: error.field || null, message: error.message }
       };
     }
+    const best = byProgram.reduce((top, result) => !top || result.maxAssessment > top.maxAssessment ? result : top, null);
 
     return {
-      available: true,
-      program: `${county} C-PACE Program`,
-      administrator: `${county} Economic Development Authority`,
-      maxFinancing: 'Up to $5M per project',
-      terms: 'Up to 25 years',
-      rateRange: '4-6%',
-      specialFeatures: ['Local economic development focus', 'Expedited approvals']
+      byProgram,
+      maxAssessment: best ? best.maxAssessment : 0,
+      program: best ? best.program : null,
+      bindingConstraint: best ? best.bindingConstraint : null,
+      lenderConsentRequired: byProgram.some(result => result.lenderConsentRequired)
     };
   }
 
+  calculateMaxAssessment(inputs) {
+    return calculateCPACEMaxAssessment(inputs);
+  }
+
   getCPACEBenefits() {
     return {
       program: 'Commercial Property Assessed Clean Energy (C-PACE)',
@@ -184,8 +222,10 @@ class CPACEService extends BaseAPIService {
     };
   }
 
-  getEligibleImprovements() {
+  // With a building description, adds audit-based candidate measures to the generic list
+  getEligibleImprovements(building = null) {
     return {
+      candidateMeasures: building ? this.estimateCandidateMeasures(building) : null,
       energyEfficiency: [
         'HVAC system upgrades',
         'LED lighting retrofits',
@@ -233,33 +273,88 @@ class CPACEService extends BaseAPIService {
     };
   }
 
-  calculateCPACESavings(improvementCost, annualSavings, term = 20, interestRate = 0.06) {
-    const monthlyRate = interestRate / 12;
-    const totalPayments = term * 12;
-    
-    // Calculate monthly payment
-    const monthlyPayment = improvementCost * 
-      (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) / 
-      (Math.pow(1 + monthlyRate, totalPayments) - 1);
-    
-    const annualPayment = monthlyPayment * 12;
-    const totalInterest = (annualPayment * term) - improvementCost;
-    const netAnnualSavings = annualSavings - annualPayment;
-    const paybackPeriod = improvementCost / annualSavings;
+  estimateEnergyAudit(building) {
+    return estimateEnergyAudit(building);
+  }
+
+  // An invalid building description is reported on the measures instead of failing the C-PACE check
+  estimateCandidateMeasures(building) {
+    try {
+      return this.estimateEnergyAudit(building);
+    } catch (error) {
+      return { error: { field: error.field || null, message: error.message } };
+    }
+  }
+
+  importPortfolioManager(exports) {
+    return importPortfolioManager(exports);
+  }
+
+  // A malformed export is reported on the baseline instead of failing the C-PACE check
+  loadEnergyBaseline(exports) {
+    try {
+      return this.importPortfolioManager(exports);
+    } catch (error) {
+      return {
+        imported: false,
+        error: { field: error.field || null, message: error.message },
+        warnings: [`Portfolio Manager import failed: ${error.message}`]
+      };
+    }
+  }
+
+  // Fill the audit inputs from a Portfolio Manager baseline; explicit building fields win
+  buildingWithBaseline(building, baseline) {
+    if (!baseline || baseline.imported === false) return building;
+    const property = baseline.property || {};
+    const merged = {
+      buildingType: baseline.buildingType,
+      squareFeet: property.grossFloorArea,
+      yearBuilt: property.yearBuilt,
+      utilitySpend: baseline.costByFuel ? {
+        electricity: baseline.costByFuel.electricity || 0,
+        naturalGas: baseline.costByFuel.naturalGas || 0,
+        other: baseline.annualCost - (baseline.costByFuel.electricity || 0) - (baseline.costByFuel.naturalGas || 0)
+      } : null,
+      ...Object.fromEntries(Object.entries(building || {}).filter(([, value]) => value !== null && value !== undefined)),
+      baseline
+    };
+    return merged.buildingType && merged.squareFeet ? merged : building;
+  }
+
+  // Quick estimate for a single measure with flat first-year savings; use
+  // calculateCPACELifecycle for measure-level savings, escalation and degradation
+  calculateCPACESavings(improvementCost, annualSavings, term = 20, interestRate = 0.06, paymentsPerYear = 2) {
+    const lifecycle = calculateCPACELifecycle({
+      measures: [{ name: 'Improvements', cost: improvementCost, annualSavings, usefulLife: term }],
+      interestRate,
+      termYears: term,
+      paymentsPerYear,
+      utilityEscalation: 0
+    });
+    const netAnnualSavings = annualSavings - lifecycle.assessment.annualAssessment;
     
     return {
       improvementCost,
       annualSavings,
-      annualPayment: Math.round(annualPayment),
+      annualPayment: lifecycle.assessment.annualAssessment,
+      installment: lifecycle.assessment.installment,
+      paymentsPerYear,
       netAnnualSavings: Math.round(netAnnualSavings),
-      totalInterest: Math.round(totalInterest),
-      paybackPeriod: Math.round(paybackPeriod * 10) / 10,
+      totalInterest: lifecycle.assessment.totalInterest,
+      paybackPeriod: Math.round(improvementCost / annualSavings * 10) / 10,
+      sir: lifecycle.sir,
+      meetsSIR: lifecycle.meetsSIR,
       cashFlowPositive: netAnnualSavings > 0,
       term,
       interestRate: (interestRate * 100) + '%'
     };
   }
 
+  calculateCPACELifecycle(inputs) {
+    return calculateCPACELifecycle(inputs);
+  }
+
   async getCPACEProviders(state) {
     const providers = {
       'California': [
@@ -323,4 +418,8 @@ class CPACEService extends BaseAPIService {
   }
 }
 
+function isNewConstruction(projectDetails) {
+  return projectDetails.projectType === 'new_construction' || projectDetails.constructionType === 'ground_up';
+}
+
 export default CPACEService;
\ No newline at end of file
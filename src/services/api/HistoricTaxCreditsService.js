@@ -1,13 +1,26 @@
 // src/services/api/HistoricTaxCreditsService.js
 import BaseAPIService from './BaseAPIService.js';
-import { CACHE_TTL } from '../utils/constants.js';
+import { CACHE_TTL, PROGRAM_LIMITS } from '../utils/constants.js';
+import { cache } from '../utils/cache.js';
+import { GridIndex, bboxContains, pointInPolygon } from '../utils/geo.js';
+import { NRHP_META, NRHP_PROPERTIES, NRHP_DISTRICTS } from '../data/nrhp.js';
+import { STATE_HTC_CATALOG_META, STATE_HISTORIC_PROPERTY_TAX_PROGRAMS } from '../data/stateHistoricCredits.js';
+import { getStateByName } from '../data/stateFips.js';
+import { calculateQualifiedRehabilitation } from '../calculators/historicRehabilitation.js';
+import { calculateCombinedHistoricCredits, getStateHTCProgram } from '../calculators/stateHistoricCredits.js';
+import HTCCertificationTracker from '../workflows/HTCCertificationTracker.js';
+
+const NEARBY_RADIUS_MILES = 0.5;
+const INDIVIDUAL_LISTING_RADIUS_MILES = 0.02; // ~100 ft of geocoding tolerance
 
 class HistoricTaxCreditsService extends BaseAPIService {
   constructor() {
     super('https://www.nps.gov/subjects/taxincentives');
   }
 
-  async checkHistoricTaxCredits(address) {
+  // rehab is optional calculateQualifiedRehabilitation input; with it the combined
+  // benefit is priced in dollars from the project's QREs
+  async checkHistoricTaxCredits(address, rehab = null) {
     const normalized = this.validateAddress(address);
     
     // Get coordinates for the address
@@ -25,32 +38,44 @@ class HistoricTaxCreditsService extends BaseAPIService {
       coordinates,
       federalHTC: historicData,
       statePrograms,
-      combinedBenefits: this.calculateCombinedBenefits(historicData, statePrograms)
+      combinedBenefits: this.calculateCombinedBenefits(historicData, statePrograms, rehab)
     };
   }
 
   async checkHistoricProperties(coordinates) {
     try {
-      // In production, this would query the National Register of Historic Places API
-      // For now, we'll simulate the check
-      const isInHistoricDistrict = await this.checkHistoricDistrict(coordinates);
+      const district = await this.checkHistoricDistrict(coordinates);
       const nearbyHistoricProperties = await this.findNearbyHistoricProperties(coordinates);
+      // A listed point this close to the geocoded address is the building itself
+      const listedProperty = nearbyHistoricProperties.find(
+        property => property.distanceMiles <= INDIVIDUAL_LISTING_RADIUS_MILES
+      ) || null;
+      const eligible = !!district || !!listedProperty;
+      // Without the National Register data a miss means "not checked", not "not listed"
+      const dataset = this.getNRHPDatasetInfo();
+      let determination = eligible ? 'listed' : 'not_listed';
+      if (!eligible && !dataset.loaded) determination = 'unknown';
       
       return {
-        eligible: isInHistoricDistrict || nearbyHistoricProperties.length > 0,
-        type: isInHistoricDistrict ? 'Historic District' : 'Individual Property',
+        eligible,
+        determination,
+        type: district ? 'Historic District' : listedProperty ? 'Individual Property' : null,
         details: {
-          inHistoricDistrict: isInHistoricDistrict,
+          inHistoricDistrict: !!district,
+          historicDistrict: district,
+          individuallyListed: !!listedProperty,
+          listedProperty,
           nearbyProperties: nearbyHistoricProperties,
+          dataset,
           requirements: this.getFederalHTCRequirements()
         },
-        benefits: isInHistoricDistrict || nearbyHistoricProperties.length > 0 ? 
-          this.getFederalHTCBenefits() : null
+        benefits: eligible ? this.getFederalHTCBenefits() : null
       };
     } catch (error) {
       console.warn('Historic property check failed:', error);
       return {
         eligible: false,
+        determination: 'unknown',
         type: null,
         details: { error: 'Unable to verify historic status' },
         benefits: null
@@ -59,28 +84,71 @@ class HistoricTaxCreditsService extends BaseAPIService {
   }
 
   async checkHistoricDistrict(coordinates) {
-    // Simulate historic district check
-    // In production, this would query NRHP database
-    const districtProbability = Math.random();
-    return districtProbability > 0.85; // Roughly 15% chance for demo
+    const { districts } = await this.getNRHPIndex();
+    const point = { lat: coordinates.lat, lon: coordinates.lon };
+
+    const district = districts.find(candidate =>
+      bboxContains(candidate.bbox, point) &&
+      candidate.polygons.some(rings => pointInPolygon(point, rings))
+    );
+
+    return district ? {
+      name: district.name,
+      nrhpId: district.refnum,
+      listingDate: district.listedDate,
+      state: district.state
+    } : null;
   }
 
-  async findNearbyHistoricProperties(coordinates) {
-    // Simulate nearby historic properties
-    const properties = [];
-    const propertyCount = Math.floor(Math.random() * 3);
-    
-    for (let i = 0; i < propertyCount; i++) {
-      properties.push({
-        name: `Historic Property ${i + 1}`,
-        nrhpId: `HP${Date.now()}${i}`,
-        distance: `${(Math.random() * 0.5 + 0.1).toFixed(2)} miles`,
-        type: ['Building', 'District', 'Site'][Math.floor(Math.random() * 3)],
-        yearListed: 1980 + Math.floor(Math.random() * 40)
-      });
-    }
-    
-    return properties;
+  async findNearbyHistoricProperties(coordinates, radiusMiles = NEARBY_RADIUS_MILES) {
+    const { properties } = await this.getNRHPIndex();
+
+    return properties
+      .withinRadius({ lat: coordinates.lat, lon: coordinates.lon }, radiusMiles)
+      .map(({ item, distance }) => ({
+        name: item.name,
+        nrhpId: item.refnum,
+        listingDate: item.listedDate,
+        yearListed: item.listedDate ? Number(item.listedDate.substring(0, 4)) : null,
+        type: item.resourceType,
+        city: item.city,
+        state: item.state,
+        distance: `${distance.toFixed(2)} miles`,
+        distanceMiles: Math.round(distance * 1000) / 1000
+      }));
+  }
+
+  async getNRHPIndex() {
+    const cacheKey = 'nrhp_index';
+    const cached = cache.get(cacheKey);
+
+    if (cached) return cached;
+
+    const properties = new GridIndex();
+    NRHP_PROPERTIES.forEach(([refnum, name, lat, lon, listedDate, resourceType, city, state]) => {
+      properties.insert({ refnum, name, lat, lon, listedDate, resourceType, city, state });
+    });
+
+    const districts = NRHP_DISTRICTS.map(([refnum, name, listedDate, state, bbox, polygons]) => ({
+      refnum, name, listedDate, state, bbox, polygons
+    }));
+
+    const index = { properties, districts };
+    cache.set(cacheKey, index, CACHE_TTL.PERMANENT);
+    return index;
+  }
+
+  getNRHPDatasetInfo() {
+    const loaded = NRHP_META.propertyCount > 0 || NRHP_META.districtCount > 0;
+    return {
+      version: NRHP_META.version,
+      source: NRHP_META.source,
+      propertyCount: NRHP_META.propertyCount,
+      districtCount: NRHP_META.districtCount,
+      loaded,
+      note: loaded ? null :
+        'National Register data not loaded - run scripts/build-nrhp.js; historic status cannot be confirmed'
+    };
   }
 
   getFederalHTCRequirements() {
@@ -92,7 +160,7 @@ class HistoricTaxCreditsService extends BaseAPIService {
       ],
       projectRequirements: [
         'Must be certified rehabilitation project',
-        'Rehabilitation costs must exceed $5,000 or adjusted basis',
+        'QREs in a 24-month measuring period (60 months if phased) must exceed the greater of $5,000 or the building adjusted basis',
         'Must meet Secretary of Interior Standards for Rehabilitation',
         'Building must be substantially rehabilitated'
       ],
@@ -154,65 +222,90 @@ class HistoricTaxCreditsService extends BaseAPIService {
   }
 
   getStateHTCPrograms(state) {
-    // State-specific HTC programs
-    const statePrograms = {
-      'California': {
-        programs: ['Mills Act Property Tax Reduction'],
-        benefits: 'Property tax reduction up to 50-75%',
-        creditRate: 'N/A (property tax benefit)',
-        additionalInfo: 'Local program administered by municipalities'
-      },
-      'New York': {
-        programs: ['NYS Historic Tax Credit'],
-        benefits: '20% state tax credit',
-        creditRate: '20%',
-        additionalInfo: 'Can be combined with federal credits'
-      },
-      'Texas': {
-        programs: ['State Historic Tax Credit'],
-        benefits: '25% state tax credit',
-        creditRate: '25%',
-        additionalInfo: 'For certified rehabilitation projects'
-      },
-      'Florida': {
-        programs: ['Special Assessment for Historic Properties'],
-        benefits: 'Property tax assessment cap',
-        creditRate: 'N/A (assessment benefit)',
-        additionalInfo: 'Limits annual assessment increases'
-      }
-    };
+    const resolved = getStateByName(state);
+    const stateName = resolved ? resolved.name : state;
+    const credit = getStateHTCProgram(stateName);
+    const propertyTaxProgram = STATE_HISTORIC_PROPERTY_TAX_PROGRAMS[stateName] || null;
 
-    return statePrograms[state] || {
-      programs: ['Contact State Historic Preservation Office'],
-      benefits: 'State programs may be available',
-      creditRate: 'Varies by state',
-      additionalInfo: 'Check with local SHPO for available programs'
+    return {
+      state: stateName,
+      hasStateCredit: !!credit,
+      credit: credit ? { ...credit } : null,
+      propertyTaxProgram,
+      programs: [credit?.program, propertyTaxProgram?.program].filter(Boolean),
+      additionalInfo: credit || propertyTaxProgram ?
+        STATE_HTC_CATALOG_META.note :
+        'No state historic credit on record - check with the SHPO for local incentives',
+      catalogAsOf: STATE_HTC_CATALOG_META.asOf
     };
   }
 
-  calculateCombinedBenefits(federalHTC, statePrograms) {
+  calculateCombinedBenefits(federalHTC, statePrograms, rehab = null) {
     if (!federalHTC.eligible) {
       return {
-        totalCredits: '0%',
+        totalCredit: 0,
         stackable: false,
-        note: 'Property not eligible for historic tax credits'
+        note: federalHTC.determination === 'unknown' ?
+          'Historic status not verified - confirm National Register listing with the SHPO' :
+          'Property not eligible for historic tax credits'
       };
     }
 
-    const federalRate = 20;
-    const stateRate = statePrograms.creditRate === '20%' ? 20 : 
-                     statePrograms.creditRate === '25%' ? 25 : 0;
-
-    return {
-      federalCredit: '20%',
-      stateCredit: statePrograms.creditRate,
-      totalCredits: federalRate + stateRate + '%',
+    const federalRate = PROGRAM_LIMITS.HISTORIC_TAX_CREDITS.CREDIT_RATE;
+    const stateRate = statePrograms.credit?.rate || 0;
+    const combined = {
+      federalRate,
+      stateRate,
+      combinedRate: federalRate + stateRate,
       stackable: stateRate > 0,
-      effectiveRate: `Up to ${federalRate + stateRate}% of qualified expenditures`,
-      note: stateRate > 0 ? 
-        'Federal and state credits can typically be combined' :
+      stateCredit: statePrograms.credit,
+      note: stateRate > 0 ?
+        'Federal and state credits are earned on the same QREs; state caps may limit the award' :
         'Check for additional state or local incentives'
     };
+
+    if (!rehab) return combined;
+
+    // Invalid rehab inputs leave the rates in place and report the error instead of dropping the result
+    let qualified;
+    let credits;
+    try {
+      qualified = this.calculateQualifiedRehabilitation(rehab);
+      credits = this.calculateCombinedCredits({
+        qre: qualified.qre.total,
+        federalEligible: qualified.eligible,
+        state: statePrograms.state,
+        ownerOccupied: rehab.ownerOccupied,
+        bonusEligible: rehab.stateBonusEligible
+      });
+    } catch (error) {
+      return {
+        ...combined,
+        rehabError: { field: error.field || null, message: error.message }
+      };
+    }
+
+    return {
+      ...combined,
+      ...credits,
+      combinedRate: credits.effectiveRate,
+      stackable: credits.stackable,
+      substantialRehabilitation: qualified.substantialRehabilitation
+    };
+  }
+
+  calculateCombinedCredits(inputs) {
+    return calculateCombinedHistoricCredits(inputs);
+  }
+
+  calculateQualifiedRehabilitation(inputs) {
+    return calculateQualifiedRehabilitation(inputs);
+  }
+
+  // Accepts a tracker, its saved toJSON() state, or project info for a new tracker
+  getCertificationTracker(project = {}) {
+    if (project instanceof HTCCertificationTracker) return project;
+    return project.parts ? HTCCertificationTracker.fromJSON(project) : new HTCCertificationTracker(project);
   }
 
   async getHTCProjectExamples() {
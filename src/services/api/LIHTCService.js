@@ -0,0 +1,184 @@
+// src/services/api/LIHTCService.js
+import BaseAPIService from './BaseAPIService.js';
+import { CACHE_TTL, PROGRAM_LIMITS } from '../utils/constants.js';
+import { cache } from '../utils/cache.js';
+import { calculateLIHTC } from '../calculators/lihtcCredits.js';
+import {
+  LIHTC_DESIGNATIONS_META,
+  LIHTC_QCTS,
+  LIHTC_SMALL_AREA_DDAS,
+  LIHTC_NONMETRO_DDAS
+} from '../data/lihtcDesignations.js';
+
+class LIHTCService extends BaseAPIService {
+  constructor() {
+    super('https://www.huduser.gov/PORTAL');
+  }
+
+  // projectDetails.lihtc holds the calculateLIHTC inputs; without it only the site's
+  // QCT/DDA status is reported
+  async checkLIHTCEligibility(address, projectDetails = {}) {
+    const normalized = this.validateAddress(address);
+
+    const coordinates = await this.geocodeAddress(normalized);
+    if (!coordinates) {
+      throw new Error('Unable to geocode address');
+    }
+
+    const censusData = await this.getCensusTract(coordinates.lat, coordinates.lon);
+    if (!censusData) {
+      throw new Error('Unable to determine census tract');
+    }
+
+    const zip = extractZip(coordinates.display_name) || extractZip(normalized, true);
+    const designation = await this.lookupDesignations(censusData, zip);
+    const credits = projectDetails.lihtc ?
+      this.calculateLIHTC({ ...projectDetails.lihtc, qctOrDda: designation.basisBoostEligible }) :
+      null;
+    const lihtcEligible = !!credits && credits.setAside.met && credits.annualCredit > 0;
+
+    return {
+      address: normalized,
+      coordinates,
+      censusData,
+      lihtcEligible,
+      determination: credits ? (lihtcEligible ? 'eligible' : 'not_eligible') : 'unit_mix_required',
+      designation,
+      credits,
+      dataset: this.getDesignationDatasetInfo(),
+      benefits: lihtcEligible ? this.getLIHTCBenefits(credits, designation) : null,
+      requirements: this.getLIHTCRequirements()
+    };
+  }
+
+  // Metro DDAs are designated by ZIP Code Tabulation Area, nonmetro DDAs by county
+  async lookupDesignations(censusData, zip = null) {
+    const index = await this.getDesignationIndex();
+    const countyFips = `${censusData.state}${censusData.county}`;
+
+    const qct = index.qcts.has(censusData.geoid);
+    const smallAreaDDA = zip ? index.smallAreaDDAs.has(zip) : false;
+    const nonMetroDDA = index.nonMetroDDAs.has(countyFips);
+
+    // Without the HUD files a miss is "not checked"; credits are then sized without the boost
+    const loaded = this.getDesignationDatasetInfo().loaded;
+    const boosted = qct || smallAreaDDA || nonMetroDDA;
+
+    const warnings = [];
+    if (!loaded) {
+      warnings.push('HUD QCT/DDA designations not loaded - basis boost undetermined and not applied');
+    }
+    if (!zip) {
+      warnings.push('ZIP code not found for the address - Small Area DDA status not checked');
+    } else if (smallAreaDDA) {
+      warnings.push('Small Area DDAs are designated by ZCTA - confirm the ZIP code matches its ZCTA');
+    }
+
+    return {
+      geoid: censusData.geoid,
+      countyFips,
+      zip,
+      qualifiedCensusTract: qct,
+      difficultDevelopmentArea: smallAreaDDA || nonMetroDDA,
+      ddaType: smallAreaDDA ? 'small_area' : nonMetroDDA ? 'nonmetro_county' : null,
+      basisBoostEligible: boosted,
+      basisBoostDetermination: boosted ? 'eligible' : loaded ? 'not_eligible' : 'unknown',
+      basisBoost: boosted ? PROGRAM_LIMITS.LIHTC.BASIS_BOOST : 1,
+      designationYear: LIHTC_DESIGNATIONS_META.year,
+      warnings
+    };
+  }
+
+  async getDesignationIndex() {
+    const cacheKey = 'lihtc_designation_index';
+    const cached = cache.get(cacheKey);
+
+    if (cached) return cached;
+
+    const index = {
+      qcts: new Set(LIHTC_QCTS),
+      smallAreaDDAs: new Set(LIHTC_SMALL_AREA_DDAS),
+      nonMetroDDAs: new Set(LIHTC_NONMETRO_DDAS)
+    };
+
+    cache.set(cacheKey, index, CACHE_TTL.PERMANENT);
+    return index;
+  }
+
+  getDesignationDatasetInfo() {
+    const loaded = LIHTC_DESIGNATIONS_META.qctCount > 0;
+    return {
+      year: LIHTC_DESIGNATIONS_META.year,
+      source: LIHTC_DESIGNATIONS_META.source,
+      qctCount: LIHTC_DESIGNATIONS_META.qctCount,
+      smallAreaDDACount: LIHTC_DESIGNATIONS_META.smallAreaDDACount,
+      nonMetroDDACount: LIHTC_DESIGNATIONS_META.nonMetroDDACount,
+      loaded,
+      note: loaded ? null :
+        'HUD QCT/DDA designations not loaded - run scripts/build-lihtc-designations.js; basis boost cannot be confirmed'
+    };
+  }
+
+  calculateLIHTC(inputs) {
+    return calculateLIHTC(inputs);
+  }
+
+  getLIHTCBenefits(credits, designation = null) {
+    return {
+      program: 'Low-Income Housing Tax Credit (LIHTC)',
+      creditType: credits.creditType,
+      annualCredit: credits.annualCredit,
+      totalCredits: credits.totalCredits,
+      estimatedEquity: credits.equity,
+      benefits: [
+        {
+          type: 'Federal Tax Credit',
+          description: `${credits.creditType} credit on qualified basis each year for ${PROGRAM_LIMITS.LIHTC.CREDIT_PERIOD_YEARS} years`,
+          value: `$${credits.annualCredit.toLocaleString()} per year`
+        },
+        {
+          type: 'Equity Investment',
+          description: 'Credits are sold to investors for project equity',
+          value: `About $${credits.equity.toLocaleString()} at $${credits.creditPrice} per credit`
+        },
+        {
+          type: 'Basis Boost',
+          description: 'QCT or DDA location increases eligible basis by 30%',
+          value: credits.basis.basisBoost > 1 ? 'Applied' :
+            designation?.basisBoostDetermination === 'unknown' ? 'Undetermined - HUD designations not loaded' : 'Not applicable'
+        }
+      ]
+    };
+  }
+
+  getLIHTCRequirements() {
+    const setAsides = PROGRAM_LIMITS.LIHTC.SET_ASIDES;
+    return {
+      setAsides: [
+        `${setAsides['20-50'].share * 100}% of units at or below ${setAsides['20-50'].amiLimit * 100}% of area median income`,
+        `${setAsides['40-60'].share * 100}% of units at or below ${setAsides['40-60'].amiLimit * 100}% of area median income`,
+        `Income averaging: ${setAsides.income_averaging.share * 100}% of units averaging no more than ${setAsides.income_averaging.averageAmiMax * 100}% AMI`
+      ],
+      compliance: [
+        `${PROGRAM_LIMITS.LIHTC.COMPLIANCE_PERIOD_YEARS}-year compliance period plus extended use commitment`,
+        'Rents capped at 30% of the imputed income limit',
+        'Annual tenant income certification'
+      ],
+      allocation: [
+        '9% credits are awarded competitively under the state Qualified Allocation Plan',
+        '4% credits come with tax-exempt bond financing of the building and land'
+      ]
+    };
+  }
+}
+
+// Nominatim display names end "..., 12345, United States"; a bare address only counts when the
+// ZIP follows the state, so house numbers are not mistaken for one
+function extractZip(text, requireState = false) {
+  if (!text) return null;
+  const pattern = requireState ? /,\s*[A-Za-z][A-Za-z ]*\s(\d{5})(?:-\d{4})?\s*$/ : /\b(\d{5})(?:-\d{4})?\b(?!.*\b\d{5}\b)/;
+  const match = String(text).match(pattern);
+  return match ? match[1] : null;
+}
+
+export default LIHTCService;
@@ -1,13 +1,26 @@
 // src/services/api/NMTCService.js
 import BaseAPIService from './BaseAPIService.js';
 import { CACHE_TTL } from '../utils/constants.js';
+import { cache } from '../utils/cache.js';
+import { getStateFromGeoid } from '../data/stateFips.js';
+import {
+  ACS_TRACTS_META,
+  ACS_TRACTS,
+  ACS_STATE_MEDIAN_FAMILY_INCOME,
+  ACS_METRO_MEDIAN_FAMILY_INCOME
+} from '../data/acsTracts.js';
+import { evaluateLowIncomeCommunity, classifyDistress } from '../calculators/nmtcLowIncome.js';
+import { calculateLeveragedNMTC } from '../calculators/nmtcLeveragedModel.js';
+import { evaluateQALICB, QALICB_EXCLUDED_BUSINESSES } from '../calculators/qalicbTests.js';
+import { rankCDEs, CDE_SERVICE_AREAS } from '../calculators/cdeMatching.js';
+import { CDE_ALLOCATIONS_META, CDE_ALLOCATIONS } from '../data/cdeAllocations.js';
 
 class NMTCService extends BaseAPIService {
   constructor() {
     super('https://www.cdfifund.gov');
   }
 
-  async checkNMTCEligibility(address) {
+  async checkNMTCEligibility(address, projectDetails = {}) {
     const normalized = this.validateAddress(address);
     
     // Get coordinates for the address
@@ -24,92 +37,122 @@ class NMTCService extends BaseAPIService {
 
     // Check NMTC eligibility criteria
     const eligibilityData = await this.checkLowIncomeEligibility(censusData);
+    // The borrower must also be a QALICB; only evaluated when the questionnaire is provided
+    const qalicb = projectDetails.qalicb ? this.evaluateQALICB(projectDetails.qalicb) : null;
     
     return {
       address: normalized,
       coordinates,
       censusData,
-      nmtcEligible: eligibilityData.eligible,
+      nmtcEligible: eligibilityData.eligible && (!qalicb || qalicb.qualified),
+      determination: eligibilityData.determination,
+      distress: eligibilityData.distress || null,
       eligibilityReason: eligibilityData.reason,
       qualificationCriteria: eligibilityData.criteria,
+      qalicb,
+      acsDataset: this.getACSDatasetInfo(),
       benefits: eligibilityData.eligible ? this.getNMTCBenefits() : null,
-      nearbyOpportunities: await this.findNearbyCDEs(coordinates)
+      // null rather than an empty list when there is no allocation data to search
+      nearbyOpportunities: this.getCDEDatasetInfo().loaded ?
+        await this.findMatchingCDEs({
+          state: getStateFromGeoid(censusData.geoid)?.abbr,
+          projectType: projectDetails.projectType
+        }) :
+        null,
+      cdeDataset: this.getCDEDatasetInfo()
     };
   }
 
   async checkLowIncomeEligibility(censusData) {
-    // NMTC Low-Income Community (LIC) qualification criteria
+    // NMTC Low-Income Community (LIC) test on ACS 5-year tract data, as applied by the CDFI Fund
     try {
-      // In production, this would query the CDFI Fund's database
-      // For now, we'll simulate based on general demographic patterns
-      
-      const demographics = await this.simulateCensusDemographics(censusData.geoid);
-      
-      // LIC qualification criteria:
-      // 1. Poverty rate ≥ 20%, OR
-      // 2. Median family income ≤ 80% of area/statewide median, OR  
-      // 3. Located in federally designated empowerment zone/enterprise community
-      
-      const qualifiesByPoverty = demographics.povertyRate >= 20;
-      const qualifiesByIncome = demographics.medianIncomeRatio <= 0.8;
-      const qualifiesByDesignation = demographics.inEmpowermentZone;
-      
-      const eligible = qualifiesByPoverty || qualifiesByIncome || qualifiesByDesignation;
-      
-      const reasons = [];
-      if (qualifiesByPoverty) reasons.push(`Poverty rate: ${demographics.povertyRate}% (≥20% required)`);
-      if (qualifiesByIncome) reasons.push(`Median income: ${Math.round(demographics.medianIncomeRatio * 100)}% of area median (≤80% required)`);
-      if (qualifiesByDesignation) reasons.push('Located in designated empowerment zone');
-      
+      const demographics = await this.getTractDemographics(censusData.geoid);
+      if (!demographics) {
+        const dataset = this.getACSDatasetInfo();
+        return {
+          eligible: false,
+          determination: 'unknown',
+          reason: dataset.loaded ? 'No ACS data for this census tract' :
+            'ACS tract data not loaded - Low-Income Community status not checked',
+          criteria: null,
+          dataset
+        };
+      }
+
+      const result = evaluateLowIncomeCommunity(demographics);
+      const distress = classifyDistress(result, demographics);
+      let determination = result.eligible ? 'eligible' : 'not_eligible';
+      if (!result.complete) determination = 'unknown';
+
       return {
-        eligible,
-        reason: eligible ? reasons.join('; ') : 'Does not meet Low-Income Community criteria',
+        eligible: result.eligible,
+        determination,
+        reason: result.eligible ? result.reasons.join('; ') :
+          result.complete ? 'Does not meet Low-Income Community criteria' :
+            `Insufficient ACS data: missing ${result.missing.join(' and ')}`,
         criteria: {
-          povertyRate: demographics.povertyRate,
-          medianIncomeRatio: demographics.medianIncomeRatio,
-          inEmpowermentZone: demographics.inEmpowermentZone,
-          qualifications: {
-            poverty: qualifiesByPoverty,
-            income: qualifiesByIncome,
-            designation: qualifiesByDesignation
-          }
-        }
+          povertyRate: result.povertyRate,
+          medianFamilyIncome: result.medianFamilyIncome,
+          areaMedianIncome: result.areaMedianIncome,
+          areaMedianBasis: result.areaMedianBasis,
+          medianIncomeRatio: result.medianIncomeRatio,
+          metro: result.metro,
+          metroCbsa: demographics.metroCbsa,
+          qualifications: result.qualifications
+        },
+        distress,
+        dataset: this.getACSDatasetInfo()
       };
     } catch (error) {
       console.warn('NMTC eligibility check failed:', error);
       return {
         eligible: false,
+        determination: 'unknown',
         reason: 'Unable to verify Low-Income Community status',
         criteria: null
       };
     }
   }
 
-  async simulateCensusDemographics(geoid) {
-    // Simulate census demographics - in production, use real ACS data
-    const random = this.seededRandom(geoid);
-    
+  async getTractDemographics(geoid) {
+    const index = await this.getACSIndex();
+    const tract = index.get(geoid);
+    if (!tract) return null;
+
+    const state = getStateFromGeoid(geoid);
     return {
-      povertyRate: 5 + random() * 35, // 5-40% range
-      medianIncomeRatio: 0.4 + random() * 0.6, // 40-100% of area median
-      inEmpowermentZone: random() < 0.1, // 10% chance
-      population: Math.floor(1000 + random() * 9000),
-      medianIncome: Math.floor(25000 + random() * 75000)
+      ...tract,
+      metro: !!tract.metroCbsa,
+      metroMedianIncome: tract.metroCbsa ? ACS_METRO_MEDIAN_FAMILY_INCOME[tract.metroCbsa] ?? null : null,
+      stateMedianIncome: state ? ACS_STATE_MEDIAN_FAMILY_INCOME[state.fips] ?? null : null,
+      nationalUnemploymentRate: ACS_TRACTS_META.nationalUnemploymentRate
     };
   }
 
-  seededRandom(seed) {
-    // Simple seeded random for consistent results
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-      const char = seed.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    
-    return function() {
-      hash = (hash * 9301 + 49297) % 233280;
-      return hash / 233280;
+  async getACSIndex() {
+    const cacheKey = 'acs_tract_index';
+    const cached = cache.get(cacheKey);
+
+    if (cached) return cached;
+
+    const index = new Map();
+    ACS_TRACTS.forEach(([geoid, povertyRate, medianFamilyIncome, metroCbsa, unemploymentRate]) => {
+      index.set(geoid, { geoid, povertyRate, medianFamilyIncome, metroCbsa, unemploymentRate });
+    });
+
+    cache.set(cacheKey, index, CACHE_TTL.PERMANENT);
+    return index;
+  }
+
+  getACSDatasetInfo() {
+    const loaded = ACS_TRACTS_META.recordCount > 0;
+    return {
+      vintage: ACS_TRACTS_META.vintage,
+      source: ACS_TRACTS_META.source,
+      recordCount: ACS_TRACTS_META.recordCount,
+      loaded,
+      note: loaded ? null :
+        'ACS tract data not loaded - run scripts/build-acs-tracts.js; Low-Income Community status cannot be determined'
     };
   }
 
@@ -146,36 +189,53 @@ class NMTCService extends BaseAPIService {
     };
   }
 
-  async findNearbyCDEs(coordinates) {
-    // Find nearby Community Development Entities
-    // In production, this would query the CDFI Fund database
-    
-    return [
-      {
-        name: 'Urban Development CDE',
-        allocation: '$50M available',
-        focus: 'Mixed-use development, community facilities',
-        contact: 'contact@urbancde.org',
-        distance: '2.3 miles',
-        specialties: ['Real Estate', 'Community Facilities', 'Healthcare']
-      },
-      {
-        name: 'Community Investment Partners',
-        allocation: '$75M available', 
-        focus: 'Commercial real estate, small business',
-        contact: 'info@cipinvest.com',
-        distance: '5.7 miles',
-        specialties: ['Grocery Stores', 'Manufacturing', 'Office Buildings']
-      },
-      {
-        name: 'Regional Development Fund',
-        allocation: '$100M available',
-        focus: 'Large-scale community development',
-        contact: 'development@rdf.org',
-        distance: '8.1 miles',
-        specialties: ['Mixed-Use', 'Charter Schools', 'Health Centers']
-      }
-    ];
+  // CDEs whose service area covers the property's state, ranked by fit for the project
+  async findMatchingCDEs({ state = null, projectType = null, limit = 10 } = {}) {
+    const cdes = await this.loadCDEs();
+    return rankCDEs(cdes, { state, projectType }).slice(0, limit);
+  }
+
+  async loadCDEs() {
+    const cacheKey = 'cde_allocations';
+    const cached = cache.get(cacheKey);
+
+    if (cached) return cached;
+
+    const cdes = CDE_ALLOCATIONS.map(([
+      name, controllingEntity, city, state, serviceArea, serviceStates, focus, awards, remainingAllocation
+    ]) => {
+      const [latestAwardYear, latestAllocation] = awards[awards.length - 1] || [null, 0];
+      return {
+        name,
+        controllingEntity,
+        headquarters: city || state ? [city, state].filter(Boolean).join(', ') : null,
+        serviceArea,
+        serviceStates,
+        focus,
+        awards: awards.map(([year, amount]) => ({ year, amount })),
+        totalAllocation: awards.reduce((sum, [, amount]) => sum + amount, 0),
+        latestAwardYear,
+        latestAllocation,
+        remainingAllocation
+      };
+    });
+
+    cache.set(cacheKey, cdes, CACHE_TTL.PERMANENT);
+    return cdes;
+  }
+
+  getCDEDatasetInfo() {
+    const loaded = CDE_ALLOCATIONS_META.recordCount > 0;
+    return {
+      source: CDE_ALLOCATIONS_META.source,
+      recordCount: CDE_ALLOCATIONS_META.recordCount,
+      awardYears: CDE_ALLOCATIONS_META.awardYears,
+      includesRemainingAllocation: CDE_ALLOCATIONS_META.includesRemainingAllocation,
+      loaded,
+      note: !loaded ? 'CDE allocation data not loaded - run scripts/build-cde-allocations.js' :
+        !CDE_ALLOCATIONS_META.includesRemainingAllocation ?
+          'Remaining allocation unknown - rebuild with the QEI Issuance Report (--qei)' : null
+    };
   }
 
   async getNMTCProjectTypes() {
@@ -191,9 +251,14 @@ class NMTCService extends BaseAPIService {
       ],
       businessRequirements: {
         location: 'Must be located in Low-Income Community',
-        employment: '40% of employees must be LIC residents, OR',
-        services: '40% of services must benefit LIC residents, OR',
-        customers: '40% of customers must be LIC residents'
+        grossIncome: '50% of gross income from active business within LICs',
+        tangibleProperty: '40% of tangible property use within LICs',
+        services: '40% of employee services performed within LICs',
+        financialProperty: 'Under 5% of property basis in collectibles and under 5% in nonqualified financial property',
+        excludedBusinesses: [
+          'Residential rental property (80% or more of rent from dwelling units)',
+          ...Object.values(QALICB_EXCLUDED_BUSINESSES)
+        ]
       },
       typicalProjectSizes: {
         small: '$1M - $5M',
@@ -204,29 +269,14 @@ class NMTCService extends BaseAPIService {
     };
   }
 
-  async getCDEDirectory() {
-    // Simplified CDE directory - in production would be comprehensive database
+  async getCDEDirectory({ state = null, projectType = null } = {}) {
+    const cdes = await this.loadCDEs();
+    const matches = state ? rankCDEs(cdes, { state, projectType }) : null;
+
     return {
-      nationalCDEs: [
-        {
-          name: 'Enterprise Community Partners',
-          allocation: '$500M+',
-          geographic: 'National',
-          focus: 'Housing, mixed-use, community facilities'
-        },
-        {
-          name: 'Stonehenge Community Development',
-          allocation: '$300M+',
-          geographic: 'National',
-          focus: 'Healthcare, education, mixed-use'
-        },
-        {
-          name: 'National Development Council',
-          allocation: '$200M+',
-          geographic: 'National',
-          focus: 'Real estate, economic development'
-        }
-      ],
+      nationalCDEs: cdes.filter(cde => cde.serviceArea === CDE_SERVICE_AREAS.NATIONAL),
+      matchingCDEs: matches,
+      dataset: this.getCDEDatasetInfo(),
       searchTips: [
         'Contact multiple CDEs for competitive terms',
         'Consider CDE specialization and track record',
@@ -236,21 +286,12 @@ class NMTCService extends BaseAPIService {
     };
   }
 
-  calculateNMTCValue(projectCost, equityPercentage = 0.25) {
-    const equityInvestment = projectCost * equityPercentage;
-    const nmtcValue = equityInvestment * 0.39; // 39% credit
-    const netEquityCost = equityInvestment - nmtcValue;
-    const effectiveRate = (projectCost - netEquityCost) / projectCost;
+  evaluateQALICB(questionnaire) {
+    return evaluateQALICB(questionnaire);
+  }
 
-    return {
-      projectCost,
-      equityInvestment,
-      nmtcCredits: nmtcValue,
-      netEquityCost,
-      effectiveSubsidy: nmtcValue,
-      effectiveRate: Math.round(effectiveRate * 100) + '%',
-      savings: nmtcValue
-    };
+  calculateLeveragedNMTC(inputs) {
+    return calculateLeveragedNMTC(inputs);
   }
 }
 
@@ -1,6 +1,26 @@
 // src/services/api/OpportunityZonesService.js
 import BaseAPIService from './BaseAPIService.js';
 import { CACHE_TTL } from '../utils/constants.js';
+import { cache } from '../utils/cache.js';
+import { getStateFromGeoid } from '../data/stateFips.js';
+import { crosswalkTract2020To2010, getCrosswalkInfo, TRACT_RELATIONSHIPS } from '../utils/tractCrosswalk.js';
+import { OZ_TRACTS, OZ_TRACTS_META } from '../data/opportunityZoneTracts.js';
+import { calculateOZInvestorBenefits } from '../calculators/opportunityZoneBenefits.js';
+import { checkSubstantialImprovement } from '../calculators/substantialImprovement.js';
+import { evaluateQOFCompliance, getQOFTestingDates } from '../calculators/qofCompliance.js';
+
+const OZ_TRACT_TYPES = {
+  L: 'Low-Income Community',
+  C: 'Non-LIC Contiguous'
+};
+
+// Treasury certified state nominations in four batches during 2018
+const OZ_DESIGNATION_ROUNDS = {
+  1: { date: '2018-04-09', label: 'First round' },
+  2: { date: '2018-04-18', label: 'Second round' },
+  3: { date: '2018-05-18', label: 'Third round' },
+  4: { date: '2018-06-14', label: 'Final round' }
+};
 
 class OpportunityZonesService extends BaseAPIService {
   constructor() {
@@ -30,72 +50,105 @@ class OpportunityZonesService extends BaseAPIService {
       coordinates,
       censusData,
       isOpportunityZone: ozData.isOpportunityZone,
+      determination: ozData.determination,
       ozDetails: ozData.details,
+      tractCrosswalk: ozData.tractCrosswalk,
+      ozDataset: ozData.dataset,
       benefits: ozData.isOpportunityZone ? this.getOZBenefits() : null
     };
   }
 
+  // QOZs were designated on 2010 tracts; the geocoder returns 2020 tracts, so go through the crosswalk
   async lookupOpportunityZone(geoid) {
-    try {
-      // Using HUD's Opportunity Zone data
-      const ozList = await this.getOpportunityZoneList();
-      const isOZ = ozList.includes(geoid);
-      
-      return {
-        isOpportunityZone: isOZ,
-        details: isOZ ? {
-          program: 'Opportunity Zones',
-          authority: 'Internal Revenue Service',
-          designation: 'Qualified Opportunity Zone',
-          geoid: geoid
-        } : null
-      };
-    } catch (error) {
-      console.warn('OZ lookup failed, using fallback method');
-      return await this.fallbackOZCheck(geoid);
-    }
+    const index = await this.getOpportunityZoneIndex();
+    const crosswalk = crosswalkTract2020To2010(geoid);
+
+    const parents = crosswalk.parents.map(parent => ({
+      ...parent,
+      isOpportunityZone: index.has(parent.geoid2010)
+    }));
+    const ozParents = parents.filter(parent => parent.isOpportunityZone);
+    const ozAreaShare = ozParents.reduce((sum, parent) => sum + parent.shareOf2020, 0);
+    const boundaryDependent = ozParents.length > 0 && ozParents.length < parents.length;
+
+    // A miss against a partial tract list, or on a tract that may have been redrawn since 2010,
+    // proves nothing
+    const dataset = this.getOZDatasetInfo();
+    const verified = dataset.complete && crosswalk.relationship !== TRACT_RELATIONSHIPS.UNVERIFIED;
+    let determination = verified ? 'not_designated' : 'unknown';
+    if (boundaryDependent) determination = 'boundary_dependent';
+    else if (ozParents.length > 0) determination = 'designated';
+
+    const tract = ozParents.length > 0 ? index.get(ozParents[0].geoid2010) : null;
+
+    return {
+      isOpportunityZone: ozParents.length > 0,
+      determination,
+      details: tract ? {
+        program: 'Opportunity Zones',
+        authority: 'Internal Revenue Service',
+        designation: 'Qualified Opportunity Zone',
+        geoid: tract.geoid,
+        tractGeoid2020: geoid,
+        state: tract.state,
+        tractType: tract.tractType,
+        lowIncomeCommunity: tract.tractType === null ? null : tract.tractType === 'L',
+        designationRound: tract.designationRound
+      } : null,
+      tractCrosswalk: {
+        relationship: crosswalk.relationship,
+        partialOverlap: crosswalk.partialOverlap,
+        tracts2010: parents,
+        ozAreaShare: Math.round(ozAreaShare * 1000) / 1000,
+        warning: boundaryDependent ?
+          `2020 tract ${geoid} overlaps both designated and non-designated 2010 tracts ` +
+          `(${Math.round(ozAreaShare * 100)}% of its land area is in a QOZ). ` +
+          'OZ status depends on which side of the 2010 boundary the parcel sits - confirm against the 2010 tract map.' :
+          null,
+        ...getCrosswalkInfo()
+      },
+      dataset
+    };
   }
 
-  async getOpportunityZoneList() {
-    const cacheKey = 'oz_list_all';
+  async getOpportunityZoneIndex() {
+    const cacheKey = 'oz_tract_index';
     const cached = cache.get(cacheKey);
     
     if (cached) return cached;
 
-    // This is a simplified approach - in production, you'd want to use the actual HUD API
-    // For now, we'll simulate with a known list of OZ census tracts
-    const ozTracts = await this.loadOZTracts();
+    const index = new Map();
+    const tracts = await this.loadOZTracts();
+    tracts.forEach(tract => index.set(tract.geoid, tract));
     
-    cache.set(cacheKey, ozTracts, CACHE_TTL.LONG);
-    return ozTracts;
+    cache.set(cacheKey, index, CACHE_TTL.PERMANENT);
+    return index;
   }
 
   async loadOZTracts() {
-    // In a real implementation, this would fetch from HUD's official API
-    // For demo purposes, we'll include some known OZ tracts
-    return [
-      // Sample OZ tract GEOIDs - these would be loaded from the official data source
-      '06037206002', '06037206100', '06037207300', // Los Angeles
-      '36061000100', '36061000200', '36061000300', // Manhattan
-      '17031081800', '17031081900', '17031082000', // Chicago
-      // Add more as needed from official sources
-    ];
+    // Bundled dataset built from the CDFI Fund designation spreadsheet (scripts/build-oz-tracts.js)
+    return OZ_TRACTS.map(([geoid, tractType, round]) => {
+      const state = getStateFromGeoid(geoid);
+      return {
+        geoid,
+        state: state ? state.name : null,
+        stateAbbr: state ? state.abbr : null,
+        tractType: tractType ? OZ_TRACT_TYPES[tractType] : null,
+        designationRound: round ? { round, ...OZ_DESIGNATION_ROUNDS[round] } : null
+      };
+    });
   }
 
-  async fallbackOZCheck(geoid) {
-    // Fallback method using publicly available data
-    const knownOZs = await this.loadOZTracts();
-    const isOZ = knownOZs.includes(geoid);
-    
+  getOZDatasetInfo() {
+    const complete = OZ_TRACTS_META.recordCount >= OZ_TRACTS_META.expectedCount;
     return {
-      isOpportunityZone: isOZ,
-      details: isOZ ? {
-        program: 'Opportunity Zones',
-        authority: 'Internal Revenue Service',
-        designation: 'Qualified Opportunity Zone (Verified via Census Data)',
-        geoid: geoid,
-        note: 'Verified through census tract lookup'
-      } : null
+      version: OZ_TRACTS_META.version,
+      source: OZ_TRACTS_META.source,
+      tractVintage: OZ_TRACTS_META.tractVintage,
+      recordCount: OZ_TRACTS_META.recordCount,
+      complete,
+      note: complete ? null :
+        `Bundled tract list has ${OZ_TRACTS_META.recordCount} of ${OZ_TRACTS_META.expectedCount} designated tracts - a negative result is not conclusive`
     };
   }
 
@@ -140,10 +193,26 @@ class OpportunityZonesService extends BaseAPIService {
     };
   }
 
+  calculateInvestorBenefits(inputs) {
+    return calculateOZInvestorBenefits(inputs);
+  }
+
+  checkSubstantialImprovement(inputs) {
+    return checkSubstantialImprovement(inputs);
+  }
+
+  evaluateQOFCompliance(inputs) {
+    return evaluateQOFCompliance(inputs);
+  }
+
+  getQOFTestingDates(certificationDate, throughDate) {
+    return getQOFTestingDates(certificationDate, throughDate);
+  }
+
   async getOZStatistics(state = null) {
     // Provide general OZ program statistics
     return {
-      totalZones: 8764,
+      totalZones: OZ_TRACTS_META.expectedCount,
       statesParticipating: 50,
       averageInvestment: '$50M+',
       programLaunch: '2018',
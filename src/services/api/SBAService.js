@@ -1,9 +1,21 @@
 // src/services/api/SBAService.js
 import BaseAPIService from './BaseAPIService.js';
+import TreasuryService, { createLocalYieldSource } from './TreasuryService.js';
+import { CACHE_TTL, PROGRAM_LIMITS } from '../utils/constants.js';
+import { cache } from '../utils/cache.js';
+import { evaluateSizeStandard, SIZE_STANDARD_BASIS } from '../calculators/sbaSizeStandards.js';
+import { evaluateSBA504JobCreation } from '../calculators/sba504JobCreation.js';
+import { priceSBA504Debenture, debentureTreasuryTenor } from '../calculators/sba504Debenture.js';
+import { calculateSBA504EquityInjection } from '../calculators/sba504EquityInjection.js';
+import { calculateSBA7aLoan, compareSBA504And7a, SBA_LOAN_USES } from '../calculators/sba7aLoan.js';
+import { amortizingPayment } from '../utils/finance.js';
+import { SBA_SIZE_STANDARDS_META, SBA_NAICS_SIZE_STANDARDS } from '../data/sbaSizeStandards.js';
 
 class SBAService extends BaseAPIService {
-  constructor() {
+  // options.yieldSource replaces the live Treasury lookup, e.g. createLocalYieldSource()
+  constructor(options = {}) {
     super('https://www.sba.gov');
+    this.yieldSource = options.yieldSource || new TreasuryService();
   }
 
   async checkSBA504Eligibility(address, businessInfo = {}) {
@@ -19,13 +31,20 @@ class SBAService extends BaseAPIService {
     
     // Check basic eligibility criteria
     const eligibility = this.assessSBA504Eligibility(businessInfo);
+    const sba7a = this.assessSBA7aEligibility(businessInfo);
+    const comparison = businessInfo.projectCost > 0 ?
+      await this.compareSBA504And7a(businessInfo.projectCost, { businessInfo }) :
+      null;
     
     return {
       address: normalized,
       coordinates,
       state,
       eligible: eligibility.eligible,
+      determination: eligibility.determination,
       eligibilityDetails: eligibility,
+      sba7a,
+      comparison,
       localCDCs,
       benefits: eligibility.eligible ? this.getSBA504Benefits() : null,
       requirements: this.getSBA504Requirements(),
@@ -47,79 +66,273 @@ class SBAService extends BaseAPIService {
 
   assessSBA504Eligibility(businessInfo) {
     const {
-      employeeCount = 0,
-      averageAnnualReceipts = 0,
-      industry = 'other',
-      businessAge = 0,
-      ownerEquity = 0,
-      projectCost = 0,
+      businessAge = null,
       ownerOccupancy = 51
     } = businessInfo;
 
+    const sizeStandard = this.checkSizeStandards(businessInfo);
+    const jobCreation = this.checkJobCreation(businessInfo);
+    const equityInjection = this.checkEquityInjection(businessInfo);
+
+    // Startups are eligible; their shorter history is priced into the equity injection. Checks
+    // that lack the inputs to run (project cost, headcount) are null and leave the result pending.
     const eligibilityChecks = {
-      sizeStandards: this.checkSizeStandards(employeeCount, averageAnnualReceipts, industry),
-      businessAge: businessAge >= 2,
-      ownerEquity: ownerEquity >= (projectCost * 0.10), // 10% minimum equity
+      sizeStandards: sizeStandard.meetsSizeStandard,
+      ownerEquity: equityInjection ? equityInjection.meetsRequirement : null,
       ownerOccupancy: ownerOccupancy >= 51, // 51% owner occupancy required
       creditworthiness: true, // Would require actual credit check
-      jobCreation: true // Generally presumed for real estate projects
+      jobCreation: jobCreation.qualifies
     };
 
     const eligible = Object.values(eligibilityChecks).every(check => check === true);
+    const pendingChecks = Object.keys(eligibilityChecks).filter(name => eligibilityChecks[name] === null);
+    const failed = Object.values(eligibilityChecks).some(check => check === false);
 
     return {
       eligible,
+      determination: eligible ? 'eligible' : failed ? 'not_eligible' : 'pending',
+      pendingChecks,
       checks: eligibilityChecks,
       details: {
         sizeStandardsMet: eligibilityChecks.sizeStandards,
-        sufficientBusinessHistory: eligibilityChecks.businessAge,
+        sizeStandard,
+        jobCreation,
+        equityInjection,
+        // Matches the equity injection rules, which treat a missing age as an existing business
+        sufficientBusinessHistory: businessAge === null || businessAge >= PROGRAM_LIMITS.SBA_504.STARTUP_BUSINESS_AGE,
         adequateEquity: eligibilityChecks.ownerEquity,
         ownerOccupancyMet: eligibilityChecks.ownerOccupancy,
-        estimatedApprovalProbability: eligible ? 'High' : 'Needs improvement'
+        estimatedApprovalProbability: eligible ? 'High' : failed ? 'Needs improvement' : 'Pending additional information'
       },
-      recommendations: this.getEligibilityRecommendations(eligibilityChecks, businessInfo)
+      recommendations: this.getEligibilityRecommendations(eligibilityChecks, businessInfo, sizeStandard, jobCreation, equityInjection)
     };
   }
 
-  checkSizeStandards(employees, receipts, industry) {
-    // SBA size standards vary by NAICS code
-    const sizeStandards = {
-      'retail': { employees: 500, receipts: 8000000 }, // $8M
-      'manufacturing': { employees: 1500, receipts: null },
-      'construction': { employees: null, receipts: 42000000 }, // $42M
-      'professional_services': { employees: null, receipts: 8500000 }, // $8.5M
-      'real_estate': { employees: null, receipts: 8000000 }, // $8M
-      'hospitality': { employees: null, receipts: 8500000 }, // $8.5M
-      'other': { employees: 500, receipts: 8000000 } // Default
+  // ownerEquity is the cash injection; landEquity and a standby sellerNote also count
+  checkEquityInjection(businessInfo = {}) {
+    const {
+      projectCost = 0,
+      businessAge = null,
+      propertyType = null,
+      specialPurpose = null,
+      ownerEquity = 0,
+      landEquity = 0,
+      sellerNote = 0,
+      sellerNoteStandby = true
+    } = businessInfo;
+
+    if (!projectCost) return null;
+
+    return calculateSBA504EquityInjection({
+      projectCost,
+      businessAge,
+      propertyType,
+      specialPurpose,
+      cashEquity: ownerEquity,
+      landEquity,
+      sellerNote,
+      sellerNoteStandby
+    });
+  }
+
+  // The debenture defaults to the CDC share of the equity injection structure
+  checkJobCreation(businessInfo = {}) {
+    const {
+      debentureAmount = null,
+      employeeCount = null,
+      currentEmployees = employeeCount,
+      projectedEmployees = null
+    } = businessInfo;
+
+    const debenture = debentureAmount ?? this.checkEquityInjection(businessInfo)?.structure.cdcDebenture;
+    if (!debenture) {
+      return {
+        qualifies: null,
+        basis: null,
+        jobRatio: null,
+        goalsMet: [],
+        warnings: [debenture === 0 ?
+          'Owner equity covers the CDC share - there is no debenture to test the job ratio against' :
+          'Project cost needed to size the debenture and test the job ratio']
+      };
+    }
+
+    return evaluateSBA504JobCreation({
+      ...businessInfo,
+      debentureAmount: debenture,
+      currentEmployees,
+      projectedEmployees
+    });
+  }
+
+  // businessInfo.naics selects the NAICS standard; receipts (5 fiscal years) and employees
+  // (24 months) may be given as series and are averaged. tangibleNetWorth and netIncome enable
+  // the 504 alternative size standard.
+  checkSizeStandards(businessInfo = {}) {
+    const {
+      naics = null,
+      industry = 'other',
+      employeeCount = 0,
+      averageAnnualReceipts = 0,
+      annualReceipts = null,
+      monthlyEmployees = null,
+      tangibleNetWorth = null,
+      netIncome = null,
+      program = '504'
+    } = businessInfo;
+
+    const loaded = SBA_SIZE_STANDARDS_META.recordCount > 0;
+    const result = evaluateSizeStandard({
+      naics,
+      industry,
+      receipts: annualReceipts ?? averageAnnualReceipts,
+      employees: monthlyEmployees ?? employeeCount,
+      tangibleNetWorth,
+      netIncome,
+      program
+    }, loaded ? this.getSizeStandardIndex() : null);
+
+    return { ...result, dataset: this.getSizeStandardsDatasetInfo() };
+  }
+
+  getSizeStandardIndex() {
+    const cacheKey = 'sba_size_standard_index';
+    const cached = cache.get(cacheKey);
+
+    if (cached) return cached;
+
+    const index = new Map();
+    SBA_NAICS_SIZE_STANDARDS.forEach(([naics, title, receipts, employees, footnote, exceptions]) => {
+      index.set(naics, { naics, title, receipts, employees, footnote, exceptions });
+    });
+
+    cache.set(cacheKey, index, CACHE_TTL.PERMANENT);
+    return index;
+  }
+
+  getSizeStandardsDatasetInfo() {
+    const loaded = SBA_SIZE_STANDARDS_META.recordCount > 0;
+    return {
+      effectiveDate: SBA_SIZE_STANDARDS_META.effectiveDate,
+      source: SBA_SIZE_STANDARDS_META.source,
+      recordCount: SBA_SIZE_STANDARDS_META.recordCount,
+      loaded,
+      note: loaded ? null :
+        'NAICS size standards not loaded - run scripts/build-sba-size-standards.js; industry estimates are used instead'
     };
+  }
 
-    const standard = sizeStandards[industry] || sizeStandards['other'];
-    
-    if (standard.employees && employees > standard.employees) return false;
-    if (standard.receipts && receipts > standard.receipts) return false;
-    
-    return true;
+  // 7(a) shares the size standard and owner-occupancy rules with 504 but funds working capital
+  // and has no job creation test; startups need a 10% injection
+  assessSBA7aEligibility(businessInfo = {}) {
+    const {
+      projectCost = 0,
+      businessAge = null,
+      ownerEquity = 0,
+      ownerOccupancy = 51,
+      uses = null
+    } = businessInfo;
+
+    const sizeStandard = this.checkSizeStandards({ ...businessInfo, program: '7a' });
+    const startup = businessAge !== null && businessAge < PROGRAM_LIMITS.SBA_504.STARTUP_BUSINESS_AGE;
+    const loan = projectCost > 0 ?
+      this.calculateSBA7aLoan({ projectCost, uses, businessAge, equityInjection: ownerEquity }) :
+      null;
+    const realEstate = !uses || (uses.realEstate || 0) + (uses.construction || 0) > 0;
+
+    const checks = {
+      sizeStandards: sizeStandard.meetsSizeStandard,
+      ownerOccupancy: !realEstate || ownerOccupancy >= 51,
+      equityInjection: !startup || !loan || ownerEquity >= loan.equityRequired,
+      loanAmount: !loan || projectCost - ownerEquity <= PROGRAM_LIMITS.SBA_7A.MAX_LOAN_AMOUNT
+    };
+    const eligible = Object.values(checks).every(check => check === true);
+
+    const recommendations = [];
+    if (!checks.sizeStandards) recommendations.push('Business exceeds the SBA size standard');
+    if (!checks.ownerOccupancy) recommendations.push('Owner must occupy at least 51% of an existing building (60% of new construction)');
+    if (!checks.equityInjection) {
+      recommendations.push(`Startups must inject $${(loan.equityRequired - ownerEquity).toLocaleString()} more equity to reach 10% of project cost`);
+    }
+    if (!checks.loanAmount) {
+      recommendations.push(`Loan request exceeds the $${PROGRAM_LIMITS.SBA_7A.MAX_LOAN_AMOUNT.toLocaleString()} 7(a) maximum`);
+    }
+
+    return {
+      program: 'SBA 7(a) Loan Program',
+      eligible,
+      checks,
+      sizeStandard,
+      loan,
+      recommendations,
+      requirements: this.getSBA7aRequirements()
+    };
+  }
+
+  calculateSBA7aLoan(inputs) {
+    return calculateSBA7aLoan(inputs);
+  }
+
+  // options: uses, bankRate, primeRate, spread, termYears and businessInfo for the equity rules
+  async compareSBA504And7a(projectCost, options = {}) {
+    const { uses = null, bankRate = 0.065, primeRate, spread, termYears = 20, businessInfo = {} } = options;
+
+    const equityInjection = this.checkEquityInjection({ ...businessInfo, projectCost });
+    const sba504 = await this.calculateSBA504Payments(projectCost, bankRate, {
+      termYears,
+      structure: equityInjection.structure
+    });
+    const sba7a = this.calculateSBA7aLoan({
+      projectCost,
+      uses: uses ?? businessInfo.uses ?? null,
+      businessAge: businessInfo.businessAge ?? null,
+      equityInjection: businessInfo.ownerEquity ?? null,
+      primeRate,
+      spread
+    });
+
+    return compareSBA504And7a({ projectCost, uses: uses ?? businessInfo.uses ?? null, sba504, sba7a });
   }
 
-  getEligibilityRecommendations(checks, businessInfo) {
+  getEligibilityRecommendations(checks, businessInfo, sizeStandard = null, jobCreation = null, equityInjection = null) {
     const recommendations = [];
 
     if (!checks.sizeStandards) {
-      recommendations.push('Business exceeds SBA size standards for this industry');
-    }
-    if (!checks.businessAge) {
-      recommendations.push('Business needs 2+ years operating history');
+      const industryStandard = sizeStandard?.industryStandard;
+      recommendations.push(industryStandard ?
+        `Business exceeds the SBA size standard: ${industryStandard.reason}` :
+        'Business exceeds SBA size standards for this industry');
+      if (sizeStandard?.alternativeStandard) {
+        recommendations.push(sizeStandard.alternativeStandard.reason);
+      }
     }
-    if (!checks.ownerEquity) {
-      recommendations.push('Increase owner equity to at least 10% of project cost');
+    if (checks.ownerEquity === null) {
+      recommendations.push('Provide projectCost to evaluate the required equity injection');
+    } else if (!checks.ownerEquity) {
+      recommendations.push(equityInjection ?
+        `Increase equity injection by $${equityInjection.shortfall.toLocaleString()} to reach ${Math.round(equityInjection.requiredRate * 100)}% of project cost ($${equityInjection.requiredInjection.toLocaleString()}, ${equityInjection.requirementBasis})` :
+        'Increase owner equity to at least 10% of project cost');
     }
     if (!checks.ownerOccupancy) {
       recommendations.push('Ensure owner will occupy at least 51% of property');
     }
+    if (checks.jobCreation === null) {
+      recommendations.push(jobCreation?.warnings?.length ?
+        `Job creation not yet tested: ${jobCreation.warnings.join('; ')}` :
+        'Provide current and projected headcount to test job creation');
+    } else if (!checks.jobCreation) {
+      const ratio = jobCreation?.jobRatio;
+      recommendations.push(ratio ?
+        `Create or retain ${ratio.jobsShortfall} more job(s) (1 per $${ratio.threshold.toLocaleString()} of debenture), or document a community development or public policy goal` :
+        'Document job creation or a community development or public policy goal');
+    }
 
     if (recommendations.length === 0) {
       recommendations.push('Business appears to meet basic SBA 504 eligibility criteria');
     }
+    if (sizeStandard?.standardApplied === SIZE_STANDARD_BASIS.INDUSTRY_ESTIMATE && !sizeStandard.dataset?.loaded) {
+      recommendations.push('Size standard checked against an industry estimate - confirm against the SBA table for the business NAICS code');
+    }
 
     return recommendations;
   }
@@ -136,8 +349,8 @@ class SBAService extends BaseAPIService {
         },
         {
           type: 'Low Down Payment',
-          description: 'Only 10% owner equity required',
-          value: '90% financing available'
+          description: '10% owner equity (15% for startups or special-purpose properties, 20% for both)',
+          value: 'Up to 90% financing available'
         },
         {
           type: 'No Personal Real Estate Required',
@@ -158,13 +371,13 @@ class SBAService extends BaseAPIService {
           description: 'First mortgage from participating bank'
         },
         sbaDebenture: {
-          portion: '40%',
+          portion: '30-40%',
           rate: 'Fixed rate based on Treasury bonds + spread',
           term: '10 or 20 years',
           description: 'SBA debenture through Certified Development Company'
         },
         ownerEquity: {
-          portion: '10%',
+          portion: '10-20%',
           rate: 'N/A',
           term: 'N/A',
           description: 'Owner equity injection'
@@ -184,16 +397,16 @@ class SBAService extends BaseAPIService {
       businessRequirements: [
         'For-profit business (no non-profits)',
         'Meet SBA size standards',
-        'Operate for 2+ years (or equivalent experience)',
+        'Startups (under 2 years) and special-purpose properties each add 5% to the 10% equity injection',
         'Demonstrate good credit and management capability',
-        'Create or retain jobs (1 job per $65,000 SBA funding)',
+        `Create or retain 1 job per $${PROGRAM_LIMITS.SBA_504.JOB_RATIO.toLocaleString()} of debenture ($${PROGRAM_LIMITS.SBA_504.SMALL_MANUFACTURER_JOB_RATIO.toLocaleString()} for small manufacturers and energy projects), or meet a community development or public policy goal`,
         'Owner must occupy 51% of property'
       ],
       projectRequirements: [
         'Purchase land and construct new facility, OR',
         'Purchase existing building and equipment, OR',
         'Expand/renovate existing facility',
-        'Project must create or retain jobs',
+        'Project must create or retain jobs, or meet a community development or public policy goal',
         'Property must be owner-occupied (51% minimum)'
       ],
       useOfFunds: [
@@ -213,6 +426,25 @@ class SBAService extends BaseAPIService {
     };
   }
 
+  getSBA7aRequirements() {
+    const limits = PROGRAM_LIMITS.SBA_7A;
+    return {
+      maximumLoan: `$${limits.MAX_LOAN_AMOUNT.toLocaleString()}`,
+      guarantee: `${limits.SMALL_LOAN_GUARANTEE * 100}% up to $${limits.SMALL_LOAN_MAX.toLocaleString()}, ${limits.STANDARD_GUARANTEE * 100}% above`,
+      maximumTerms: {
+        realEstate: `${limits.MAX_TERM_YEARS.realEstate} years`,
+        equipment: `${limits.MAX_TERM_YEARS.equipment} years (or useful life)`,
+        workingCapital: `${limits.MAX_TERM_YEARS.workingCapital} years`
+      },
+      useOfFunds: Object.values(SBA_LOAN_USES).filter(use => use.sba7a).map(use => use.label),
+      prohibited: [
+        'Passive real estate investment',
+        'Speculation or investment',
+        'Lending or investing activities'
+      ]
+    };
+  }
+
   getSBA504Process() {
     return {
       steps: [
@@ -323,26 +555,52 @@ class SBAService extends BaseAPIService {
     return cdcs;
   }
 
-  calculateSBA504Payments(projectCost, bankRate = 0.065, sbaRate = 0.055) {
-    const ownerEquity = projectCost * 0.10;
-    const bankLoan = projectCost * 0.50;
-    const sbaLoan = projectCost * 0.40;
+  // options: termYears (10, 20 or 25), treasuryYield to price without a lookup, structure from
+  // checkEquityInjection (default 50/40/10) and the priceSBA504Debenture interim loan and
+  // servicing fee inputs
+  async calculateSBA504Payments(projectCost, bankRate = 0.065, options = {}) {
+    const { termYears = 20, treasuryYield = null, structure = null, ...pricingInputs } = options;
+
+    const ownerEquity = structure ? structure.borrowerInjection : projectCost * 0.10;
+    const bankLoan = structure ? structure.bankLoan : projectCost * 0.50;
+    const sbaLoan = structure ? structure.cdcDebenture : projectCost * 0.40;
 
     // Bank loan (10-year amortization typical)
-    const bankMonthlyRate = bankRate / 12;
-    const bankPayments = 10 * 12;
-    const bankPayment = bankLoan * 
-      (bankMonthlyRate * Math.pow(1 + bankMonthlyRate, bankPayments)) / 
-      (Math.pow(1 + bankMonthlyRate, bankPayments) - 1);
-
-    // SBA loan (20-year amortization)
-    const sbaMonthlyRate = sbaRate / 12;
-    const sbaPayments = 20 * 12;
-    const sbaPayment = sbaLoan * 
-      (sbaMonthlyRate * Math.pow(1 + sbaMonthlyRate, sbaPayments)) / 
-      (Math.pow(1 + sbaMonthlyRate, sbaPayments) - 1);
-
-    const totalMonthlyPayment = bankPayment + sbaPayment;
+    const bankPayment = amortizingPayment(bankLoan, bankRate / 12, 10 * 12);
+
+    // Equity of half the project or more leaves no CDC portion to price
+    if (sbaLoan <= 0) {
+      const financed = bankLoan;
+      return {
+        projectCost,
+        ownerEquity,
+        bankLoan,
+        sbaLoan: 0,
+        bankPayment: Math.round(bankPayment),
+        sbaPayment: 0,
+        totalMonthlyPayment: Math.round(bankPayment),
+        totalAnnualPayment: Math.round(bankPayment * 12),
+        effectiveRate: financed > 0 ? ((bankPayment * 12 / financed) * 100).toFixed(2) + '%' : null,
+        bankRate: (bankRate * 100).toFixed(2) + '%',
+        sbaRate: null,
+        sbaAllInRate: null,
+        treasury: null,
+        debenture: null,
+        notes: ['Owner equity covers the CDC share - there is no 504 debenture portion']
+      };
+    }
+
+    const treasury = treasuryYield !== null ?
+      { tenorYears: debentureTreasuryTenor(termYears), rate: treasuryYield, asOf: null, source: 'provided' } :
+      await this.getTreasuryYield(debentureTreasuryTenor(termYears));
+    const debenture = priceSBA504Debenture({
+      ...pricingInputs,
+      netDebenture: sbaLoan,
+      treasuryYield: treasury.rate,
+      termYears
+    });
+
+    const totalMonthlyPayment = bankPayment + debenture.monthlyPayment;
     const totalAnnualPayment = totalMonthlyPayment * 12;
 
     return {
@@ -351,15 +609,30 @@ class SBAService extends BaseAPIService {
       bankLoan,
       sbaLoan,
       bankPayment: Math.round(bankPayment),
-      sbaPayment: Math.round(sbaPayment),
+      sbaPayment: debenture.monthlyPayment,
       totalMonthlyPayment: Math.round(totalMonthlyPayment),
       totalAnnualPayment: Math.round(totalAnnualPayment),
       effectiveRate: ((totalAnnualPayment / (bankLoan + sbaLoan)) * 100).toFixed(2) + '%',
       bankRate: (bankRate * 100).toFixed(2) + '%',
-      sbaRate: (sbaRate * 100).toFixed(2) + '%'
+      sbaRate: (debenture.rates.noteRate * 100).toFixed(2) + '%',
+      sbaAllInRate: (debenture.rates.allInRate * 100).toFixed(2) + '%',
+      treasury,
+      debenture,
+      notes: []
     };
   }
 
+  // Falls back to the bundled rate file when the configured source fails
+  async getTreasuryYield(tenorYears) {
+    try {
+      return await this.yieldSource.getYield(tenorYears);
+    } catch (error) {
+      console.warn('Treasury yield lookup failed, using local rates:', error);
+      const local = await createLocalYieldSource().getYield(tenorYears);
+      return { ...local, fallback: true };
+    }
+  }
+
   async getSBA504ProjectExamples() {
     return {
       commonProjects: [
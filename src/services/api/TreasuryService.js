@@ -0,0 +1,56 @@
+// src/services/api/TreasuryService.js
+import BaseAPIService from './BaseAPIService.js';
+import { API_ENDPOINTS, CACHE_TTL } from '../utils/constants.js';
+import { APIError, ValidationError } from '../errors/index.js';
+import { TREASURY_YIELDS_META, TREASURY_YIELDS } from '../data/treasuryYields.js';
+
+// Yield sources share one shape: getYield(tenorYears) resolves to { tenorYears, rate, asOf, source }.
+// TreasuryService reads the latest note auction from Fiscal Data; createLocalYieldSource serves
+// the bundled rate file (or any rates passed in) so pricing works offline.
+class TreasuryService extends BaseAPIService {
+  constructor() {
+    super(API_ENDPOINTS.TREASURY_API);
+  }
+
+  async getYield(tenorYears) {
+    const term = `${tenorYears}-Year`;
+    const params = new URLSearchParams({
+      fields: 'auction_date,security_type,original_security_term,high_yield',
+      filter: `security_type:eq:Note,original_security_term:eq:${term}`,
+      sort: '-auction_date',
+      'page[size]': '5'
+    });
+
+    const response = await this.makeRequest(
+      `/services/api/fiscal_service/v1/accounting/od/auctions_query?${params}`,
+      { cacheTTL: CACHE_TTL.LONG }
+    );
+
+    // Announced but unsettled auctions come back without a yield
+    const auction = (response?.data || []).find(row => row.high_yield && row.high_yield !== 'null');
+    if (!auction) {
+      throw new APIError(`No ${term} Treasury note auction yield available`, 404);
+    }
+
+    return {
+      tenorYears,
+      rate: parseFloat(auction.high_yield) / 100,
+      asOf: auction.auction_date,
+      source: 'treasury_api'
+    };
+  }
+}
+
+export function createLocalYieldSource(rates = TREASURY_YIELDS, asOf = TREASURY_YIELDS_META.asOf) {
+  return {
+    async getYield(tenorYears) {
+      const rate = rates[tenorYears];
+      if (typeof rate !== 'number') {
+        throw new ValidationError(`No local ${tenorYears}-year Treasury yield`, 'tenorYears');
+      }
+      return { tenorYears, rate, asOf, source: 'local_rate_file' };
+    }
+  };
+}
+
+export default TreasuryService;
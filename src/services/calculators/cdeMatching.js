@@ -0,0 +1,98 @@
+// src/services/calculators/cdeMatching.js
+
+// Focus areas CDEs report in their allocation applications. Keywords map the CDFI Fund's
+// "predominant financing" and "market served" text onto these tags.
+export const CDE_FOCUS_AREAS = {
+  real_estate: { label: 'Real estate', keywords: ['real estate'] },
+  operating_business: { label: 'Operating businesses', keywords: ['business', 'operating'] },
+  community_facilities: { label: 'Community facilities', keywords: ['community facilit', 'nonprofit', 'non-profit'] },
+  healthcare: { label: 'Healthcare', keywords: ['health', 'medical', 'clinic', 'hospital'] },
+  education: { label: 'Education', keywords: ['school', 'education', 'child care', 'childcare'] },
+  manufacturing: { label: 'Manufacturing', keywords: ['manufactur', 'industrial'] },
+  mixed_use: { label: 'Mixed-use', keywords: ['mixed-use', 'mixed use'] },
+  retail: { label: 'Retail', keywords: ['retail', 'commercial'] },
+  food_access: { label: 'Food access', keywords: ['grocery', 'food', 'fresh'] },
+  office: { label: 'Office', keywords: ['office'] },
+  hospitality: { label: 'Hospitality', keywords: ['hotel', 'hospitality'] }
+};
+
+export const CDE_SERVICE_AREAS = {
+  NATIONAL: 'national',
+  MULTI_STATE: 'multi_state',
+  STATEWIDE: 'statewide',
+  LOCAL: 'local'
+};
+
+// Project types from validateProjectDetails plus NMTC-specific uses
+const PROJECT_TYPE_FOCUS = {
+  new_construction: ['real_estate'],
+  renovation: ['real_estate'],
+  acquisition: ['real_estate'],
+  mixed_use: ['mixed_use', 'real_estate'],
+  office: ['office', 'real_estate'],
+  retail: ['retail', 'real_estate'],
+  industrial: ['manufacturing', 'operating_business'],
+  hospitality: ['hospitality', 'real_estate'],
+  healthcare: ['healthcare', 'community_facilities'],
+  education: ['education', 'community_facilities'],
+  community_facility: ['community_facilities'],
+  manufacturing: ['manufacturing', 'operating_business'],
+  grocery: ['food_access', 'retail'],
+  operating_business: ['operating_business']
+};
+
+export function focusTagsFromText(text) {
+  const lower = String(text || '').toLowerCase();
+  return Object.entries(CDE_FOCUS_AREAS)
+    .filter(([, area]) => area.keywords.some(keyword => lower.includes(keyword)))
+    .map(([tag]) => tag);
+}
+
+// A CDE can invest where its service area reaches; within that, local and statewide CDEs are
+// the likeliest partners, then focus fit, unused allocation and award recency
+export function rankCDEs(cdes, { state = null, projectType = null, minimumRemaining = 0, currentYear = new Date().getUTCFullYear() } = {}) {
+  const wanted = PROJECT_TYPE_FOCUS[projectType] || [];
+
+  return cdes
+    .map(cde => {
+      const reasons = [];
+      const servesState = cde.serviceArea === CDE_SERVICE_AREAS.NATIONAL ||
+        (!!state && cde.serviceStates.includes(state));
+      if (!servesState) return null;
+
+      let score = 0;
+      if (cde.serviceArea === CDE_SERVICE_AREAS.LOCAL) {
+        score += 30;
+        reasons.push(`Local CDE serving ${state}`);
+      } else if (cde.serviceArea === CDE_SERVICE_AREAS.STATEWIDE) {
+        score += 25;
+        reasons.push(`Statewide CDE for ${state}`);
+      } else if (cde.serviceArea === CDE_SERVICE_AREAS.MULTI_STATE) {
+        score += 15;
+        reasons.push(`Multi-state service area includes ${state}`);
+      } else {
+        score += 10;
+        reasons.push('National service area');
+      }
+
+      const focusMatches = wanted.filter(tag => cde.focus.includes(tag));
+      if (focusMatches.length > 0) {
+        score += 20 + 5 * (focusMatches.length - 1);
+        reasons.push(`Focus: ${focusMatches.map(tag => CDE_FOCUS_AREAS[tag].label).join(', ')}`);
+      }
+
+      // Remaining allocation is unknown until the QEI issuance report is loaded
+      if (cde.remainingAllocation !== null) {
+        if (cde.remainingAllocation <= minimumRemaining) return null;
+        score += Math.min(25, 25 * cde.remainingAllocation / Math.max(cde.latestAllocation, 1));
+        reasons.push(`${Math.round(cde.remainingAllocation).toLocaleString()} allocation remaining`);
+      }
+
+      const age = currentYear - cde.latestAwardYear;
+      score += Math.max(0, 15 - 5 * age);
+
+      return { ...cde, score: Math.round(score), matchReasons: reasons };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || b.latestAllocation - a.latestAllocation);
+}
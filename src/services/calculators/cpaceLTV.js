@@ -0,0 +1,107 @@
+// src/services/calculators/cpaceLTV.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+
+const CPACE = PROGRAM_LIMITS.CPACE;
+
+export const CPACE_LTV_CONSTRAINTS = {
+  PACE_LTV: 'pace_ltv',
+  COMBINED_LTV: 'combined_ltv'
+};
+
+// Largest assessment a program allows against the property. New construction is underwritten
+// to the as-completed value; retrofits use the as-is value. Where a program publishes no cap,
+// the capital-provider market standard in PROGRAM_LIMITS applies.
+export function calculateCPACEMaxAssessment(inputs = {}) {
+  const {
+    asIsValue = null,
+    asCompletedValue = null,
+    mortgageBalances = [],
+    requestedAmount = null,
+    program = null,
+    newConstruction = false
+  } = inputs;
+
+  if (asIsValue === null && asCompletedValue === null) {
+    throw new ValidationError('An as-is or as-completed property value is required', 'asIsValue');
+  }
+  [['asIsValue', asIsValue], ['asCompletedValue', asCompletedValue]].forEach(([field, value]) => {
+    if (value !== null && (typeof value !== 'number' || value <= 0)) {
+      throw new ValidationError('Property value must be a positive number', field);
+    }
+  });
+
+  const balances = Array.isArray(mortgageBalances) ? mortgageBalances : [mortgageBalances];
+  if (balances.some(balance => typeof balance !== 'number' || balance < 0)) {
+    throw new ValidationError('Mortgage balances must be non-negative numbers', 'mortgageBalances');
+  }
+  const existingDebt = balances.reduce((sum, balance) => sum + balance, 0);
+
+  const warnings = [];
+  let valuation;
+  if (asCompletedValue !== null && newConstruction) {
+    valuation = { basis: 'as_completed', value: asCompletedValue };
+  } else if (asIsValue !== null) {
+    valuation = { basis: 'as_is', value: asIsValue };
+    if (asCompletedValue !== null) {
+      warnings.push(`${program?.name || 'Program'} underwrites retrofits to the as-is value`);
+    }
+  } else {
+    throw new ValidationError(`${program?.name || 'Program'} requires an as-is property value`, 'asIsValue');
+  }
+
+  const paceLTV = program?.maxLTV ?? CPACE.MAX_LTV_RATIO;
+  const combinedLTV = program?.maxCombinedLTV ?? CPACE.MAX_COMBINED_LTV_RATIO;
+
+  const limits = [
+    {
+      constraint: CPACE_LTV_CONSTRAINTS.PACE_LTV,
+      ratio: paceLTV,
+      source: program?.maxLTV != null ? 'program' : 'market_default',
+      maxAssessment: Math.round(valuation.value * paceLTV)
+    },
+    {
+      constraint: CPACE_LTV_CONSTRAINTS.COMBINED_LTV,
+      ratio: combinedLTV,
+      source: program?.maxCombinedLTV != null ? 'program' : 'market_default',
+      maxAssessment: Math.max(0, Math.round(valuation.value * combinedLTV - existingDebt))
+    }
+  ];
+  const binding = limits.reduce((lowest, limit) => limit.maxAssessment < lowest.maxAssessment ? limit : lowest);
+  const maxAssessment = binding.maxAssessment;
+
+  if (maxAssessment === 0) {
+    warnings.push(`Existing debt already exceeds the ${roundTo(combinedLTV * 100, 1)}% combined LTV cap`);
+  }
+
+  // The assessment primes the mortgage, so lenders must consent to it
+  const lenderConsentRequired = existingDebt > 0;
+  if (lenderConsentRequired) {
+    warnings.push('Existing mortgage lender consent is required before the assessment is recorded');
+  }
+
+  let withinLimits = null;
+  if (requestedAmount !== null) {
+    withinLimits = requestedAmount <= maxAssessment;
+    if (!withinLimits) {
+      warnings.push(`Requested ${Math.round(requestedAmount).toLocaleString()} exceeds the ${maxAssessment.toLocaleString()} maximum`);
+    }
+  }
+  const assessment = requestedAmount !== null ? Math.min(requestedAmount, maxAssessment) : maxAssessment;
+
+  return {
+    program: program ? { id: program.id, name: program.name } : null,
+    valuation,
+    existingDebt: Math.round(existingDebt),
+    limits,
+    maxAssessment,
+    bindingConstraint: binding.constraint,
+    requestedAmount,
+    withinLimits,
+    resultingLTV: roundTo(assessment / valuation.value, 4),
+    resultingCombinedLTV: roundTo((assessment + existingDebt) / valuation.value, 4),
+    lenderConsentRequired,
+    warnings
+  };
+}
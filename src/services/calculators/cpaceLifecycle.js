@@ -0,0 +1,166 @@
+// src/services/calculators/cpaceLifecycle.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo, amortizingPayment, presentValue } from '../utils/finance.js';
+
+const CPACE = PROGRAM_LIMITS.CPACE;
+
+// Lifecycle cash flow for a C-PACE financed project. Each measure saves a first-year amount
+// that grows with utility rates, shrinks with equipment degradation and stops at the end of
+// its useful life. The assessment is a level installment on the property tax bill.
+export function calculateCPACELifecycle(inputs = {}) {
+  const {
+    measures = [],
+    closingCosts = 0, // capitalized program, legal and capital provider fees
+    interestRate = 0.06,
+    termYears = 20,
+    paymentsPerYear = 2,
+    annualAdminFee = 0, // servicing fee added to each year's tax bill
+    utilityEscalation = 0.025,
+    discountRate = null
+  } = inputs;
+
+  if (!Array.isArray(measures) || measures.length === 0) {
+    throw new ValidationError('At least one improvement measure is required', 'measures');
+  }
+  if (typeof termYears !== 'number' || termYears <= 0 || termYears > CPACE.MAX_TERM_YEARS) {
+    throw new ValidationError(`Term must be between 1 and ${CPACE.MAX_TERM_YEARS} years`, 'termYears');
+  }
+  if (!CPACE.TAX_BILL_PAYMENTS_PER_YEAR.includes(paymentsPerYear)) {
+    throw new ValidationError(`Tax bill installments must be ${CPACE.TAX_BILL_PAYMENTS_PER_YEAR.join(' or ')} per year`, 'paymentsPerYear');
+  }
+
+  const normalized = measures.map((measure, index) => normalizeMeasure(measure, index, utilityEscalation));
+  const improvementCost = normalized.reduce((sum, measure) => sum + measure.cost, 0);
+  const financedAmount = improvementCost + closingCosts;
+
+  const installment = amortizingPayment(financedAmount, interestRate / paymentsPerYear, termYears * paymentsPerYear);
+  const annualAssessment = installment * paymentsPerYear;
+
+  // Savings run to the end of the longest-lived measure, which may be past the term
+  const horizon = Math.max(termYears, ...normalized.map(measure => measure.usefulLife));
+  const measureTotals = normalized.map(() => ({ nominal: 0, present: 0 }));
+
+  let cumulative = 0;
+  let presentAssessments = 0;
+  const cashFlow = [];
+  for (let year = 1; year <= horizon; year++) {
+    let savings = 0;
+    normalized.forEach((measure, index) => {
+      if (year > measure.usefulLife) return;
+      const amount = measure.annualSavings *
+        Math.pow(1 + measure.escalation, year - 1) *
+        Math.pow(1 - measure.degradation, year - 1);
+      savings += amount;
+      measureTotals[index].nominal += amount;
+      if (discountRate !== null) measureTotals[index].present += presentValue(amount, discountRate, year);
+    });
+
+    const assessment = year <= termYears ? annualAssessment + annualAdminFee : 0;
+    if (discountRate !== null) presentAssessments += presentValue(assessment, discountRate, year);
+    const net = savings - assessment;
+    cumulative += net;
+    cashFlow.push({
+      year,
+      savings: Math.round(savings),
+      assessment: Math.round(assessment),
+      installments: year <= termYears ? paymentsPerYear : 0,
+      netCashFlow: Math.round(net),
+      cumulativeCashFlow: Math.round(cumulative)
+    });
+  }
+
+  const lifetimeSavings = measureTotals.reduce((sum, totals) => sum + totals.nominal, 0);
+  const totalAssessments = (annualAssessment + annualAdminFee) * termYears;
+
+  // SIR is lifetime savings over everything repaid through the assessment (principal, interest
+  // and admin fees); the present-value SIR discounts both sides of that same ratio
+  const sir = lifetimeSavings / totalAssessments;
+  const presentValueSIR = discountRate !== null ?
+    measureTotals.reduce((sum, totals) => sum + totals.present, 0) / presentAssessments :
+    null;
+
+  // Programs cap the term at the cost-weighted useful life of the measures
+  const weightedUsefulLife = normalized.reduce((sum, measure) => sum + measure.usefulLife * measure.cost, 0) / improvementCost;
+
+  const warnings = [];
+  if (sir < CPACE.MIN_SIR) {
+    warnings.push(`SIR of ${roundTo(sir, 2)} is below the ${CPACE.MIN_SIR.toFixed(1)} most programs require`);
+  }
+  if (termYears > weightedUsefulLife) {
+    warnings.push(`Term exceeds the ${roundTo(weightedUsefulLife, 1)}-year weighted useful life of the measures`);
+  }
+  const firstNegativeYear = cashFlow.find(row => row.installments > 0 && row.netCashFlow < 0);
+  if (firstNegativeYear) {
+    warnings.push(`Savings fall short of the assessment starting in year ${firstNegativeYear.year}`);
+  }
+
+  return {
+    improvementCost: Math.round(improvementCost),
+    closingCosts: Math.round(closingCosts),
+    financedAmount: Math.round(financedAmount),
+    assessment: {
+      interestRate,
+      termYears,
+      paymentsPerYear,
+      installment: Math.round(installment),
+      annualAssessment: Math.round(annualAssessment),
+      annualAdminFee: Math.round(annualAdminFee),
+      totalInterest: Math.round(annualAssessment * termYears - financedAmount),
+      totalRepayment: Math.round(totalAssessments)
+    },
+    measures: normalized.map((measure, index) => ({
+      name: measure.name,
+      cost: Math.round(measure.cost),
+      firstYearSavings: Math.round(measure.annualSavings),
+      usefulLife: measure.usefulLife,
+      degradationRate: measure.degradation,
+      escalationRate: measure.escalation,
+      lifetimeSavings: Math.round(measureTotals[index].nominal),
+      simplePayback: measure.annualSavings > 0 ? roundTo(measure.cost / measure.annualSavings, 1) : null,
+      savingsToCost: roundTo(measureTotals[index].nominal / measure.cost, 2)
+    })),
+    lifetimeSavings: Math.round(lifetimeSavings),
+    sir: roundTo(sir, 2),
+    presentValueSIR: presentValueSIR !== null ? roundTo(presentValueSIR, 2) : null,
+    meetsSIR: sir >= CPACE.MIN_SIR,
+    weightedUsefulLife: roundTo(weightedUsefulLife, 1),
+    cashFlowPositive: !firstNegativeYear,
+    netLifetimeBenefit: Math.round(lifetimeSavings - totalAssessments),
+    cashFlow,
+    warnings
+  };
+}
+
+function normalizeMeasure(measure, index, utilityEscalation) {
+  const {
+    name = `Measure ${index + 1}`,
+    cost,
+    annualSavings,
+    usefulLife,
+    degradationRate = 0,
+    escalationRate = utilityEscalation
+  } = measure;
+
+  if (typeof cost !== 'number' || cost <= 0) {
+    throw new ValidationError(`${name}: cost must be a positive number`, 'measures');
+  }
+  if (typeof annualSavings !== 'number' || annualSavings < 0) {
+    throw new ValidationError(`${name}: annual savings must be a non-negative number`, 'measures');
+  }
+  if (typeof usefulLife !== 'number' || usefulLife <= 0) {
+    throw new ValidationError(`${name}: useful life must be a positive number of years`, 'measures');
+  }
+  if (degradationRate < 0 || degradationRate >= 1) {
+    throw new ValidationError(`${name}: degradation rate must be between 0 and 1`, 'measures');
+  }
+
+  return {
+    name,
+    cost,
+    annualSavings,
+    usefulLife: Math.round(usefulLife),
+    degradation: degradationRate,
+    escalation: escalationRate
+  };
+}
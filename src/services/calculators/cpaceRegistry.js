@@ -0,0 +1,151 @@
+// src/services/calculators/cpaceRegistry.js
+import { getStateByName } from '../data/stateFips.js';
+import { CPACE_REGISTRY, CPACE_REGISTRY_META, CPACE_PROPERTY_TYPES } from '../data/cpacePrograms.js';
+
+export const CPACE_LEGISLATION_STATUS = {
+  ACTIVE: 'active',
+  ENACTED: 'enacted',
+  NONE: 'none',
+  // State is not in the registry; absence is not evidence that C-PACE is unavailable
+  UNKNOWN: 'unknown'
+};
+
+export const CPACE_AVAILABILITY = {
+  AVAILABLE: 'available',
+  UNCONFIRMED: 'unconfirmed',
+  NOT_AVAILABLE: 'not_available'
+};
+
+export function getCPACEStateRegistry(state) {
+  const resolved = getStateByName(state);
+  const name = resolved ? resolved.name : state;
+  const entry = CPACE_REGISTRY[name];
+
+  return {
+    state: name,
+    legislation: entry ? entry.legislation : { status: CPACE_LEGISLATION_STATUS.UNKNOWN, citation: null, enacted: null },
+    programs: entry ? entry.programs : []
+  };
+}
+
+// Resolve the programs that reach a property. Opt-in programs only count when the county or
+// municipality has joined; an unlisted jurisdiction is "unconfirmed" rather than excluded when
+// the participant list is known to be partial.
+export function findCPACEPrograms({ state, county = null, municipality = null, propertyType = null, newConstruction = false } = {}) {
+  const registry = getCPACEStateRegistry(state);
+  const base = {
+    state: registry.state,
+    county,
+    municipality,
+    legislation: registry.legislation,
+    registryAsOf: CPACE_REGISTRY_META.asOf
+  };
+
+  if (registry.legislation.status === CPACE_LEGISLATION_STATUS.UNKNOWN) {
+    return {
+      ...base,
+      status: CPACE_AVAILABILITY.UNCONFIRMED,
+      available: false,
+      programs: [],
+      reason: `${registry.state} is not in the C-PACE registry - legislation and program status unknown`
+    };
+  }
+  if (registry.legislation.status === CPACE_LEGISLATION_STATUS.NONE) {
+    return {
+      ...base,
+      status: CPACE_AVAILABILITY.NOT_AVAILABLE,
+      available: false,
+      programs: [],
+      reason: `${registry.state} has not enacted C-PACE enabling legislation`
+    };
+  }
+  if (registry.programs.length === 0) {
+    return {
+      ...base,
+      status: CPACE_AVAILABILITY.NOT_AVAILABLE,
+      available: false,
+      programs: [],
+      reason: `C-PACE is authorized by ${registry.legislation.citation} but no program is operating`
+    };
+  }
+
+  const countyKey = normalizeJurisdiction(county);
+  const municipalityKey = normalizeJurisdiction(municipality);
+
+  const programs = registry.programs.map(program => {
+    const participation = matchParticipation(program, countyKey, municipalityKey);
+    const ineligibility = [];
+    if (CPACE_PROPERTY_TYPES.includes(propertyType) && !program.propertyTypes.includes(propertyType)) {
+      ineligibility.push(`${propertyType} property is not eligible`);
+    }
+    if (newConstruction && !program.newConstruction) {
+      ineligibility.push('New construction is not eligible');
+    }
+
+    let status = CPACE_AVAILABILITY.NOT_AVAILABLE;
+    if (participation.matched && ineligibility.length === 0) {
+      status = CPACE_AVAILABILITY.AVAILABLE;
+    } else if (participation.unconfirmed && ineligibility.length === 0) {
+      status = CPACE_AVAILABILITY.UNCONFIRMED;
+    }
+
+    return {
+      ...program,
+      status,
+      participationMatch: participation.basis,
+      ineligibility
+    };
+  });
+
+  const available = programs.filter(program => program.status === CPACE_AVAILABILITY.AVAILABLE);
+  const unconfirmed = programs.filter(program => program.status === CPACE_AVAILABILITY.UNCONFIRMED);
+  const location = [municipality, county].filter(Boolean).join(', ') || 'this location';
+
+  const ineligible = programs
+    .filter(program => program.participationMatch !== null)
+    .flatMap(program => program.ineligibility.map(text => `${program.name}: ${text}`));
+
+  let status = CPACE_AVAILABILITY.NOT_AVAILABLE;
+  let reason = ineligible.length > 0 ? ineligible.join('; ') : `No ${registry.state} C-PACE program covers ${location}`;
+  if (available.length > 0) {
+    status = CPACE_AVAILABILITY.AVAILABLE;
+    reason = `${location} participates in ${available.map(program => program.name).join(', ')}`;
+  } else if (unconfirmed.length > 0) {
+    status = CPACE_AVAILABILITY.UNCONFIRMED;
+    reason = `${location} is not on record for ${unconfirmed.map(program => program.name).join(', ')} - confirm participation with the administrator`;
+  }
+
+  return {
+    ...base,
+    status,
+    available: status === CPACE_AVAILABILITY.AVAILABLE,
+    programs: [...available, ...unconfirmed, ...programs.filter(program => program.status === CPACE_AVAILABILITY.NOT_AVAILABLE)],
+    reason
+  };
+}
+
+function matchParticipation(program, countyKey, municipalityKey) {
+  if (program.participation === 'statewide') {
+    return { matched: true, unconfirmed: false, basis: 'statewide' };
+  }
+  if (countyKey && program.counties.some(name => normalizeJurisdiction(name) === countyKey)) {
+    return { matched: true, unconfirmed: false, basis: 'county' };
+  }
+  if (municipalityKey && program.municipalities.some(name => normalizeJurisdiction(name) === municipalityKey)) {
+    return { matched: true, unconfirmed: false, basis: 'municipality' };
+  }
+  return { matched: false, unconfirmed: !program.participantsComplete, basis: null };
+}
+
+// Geocoders return "Travis County", "City of Alexandria" or "Saint Paul"; the registry stores bare names
+function normalizeJurisdiction(name) {
+  if (!name) return null;
+  return String(name)
+    .toLowerCase()
+    .replace(/^(city and county of|city of|town of|village of|township of|county of)\s+/, '')
+    .replace(/\s+(county|parish|borough|municipality|township)$/, '')
+    .replace(/\bsaint\b/g, 'st')
+    .replace(/[.']/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
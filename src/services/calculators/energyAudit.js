@@ -0,0 +1,203 @@
+// src/services/calculators/energyAudit.js
+import { ValidationError } from '../errors/index.js';
+import { roundTo } from '../utils/finance.js';
+import {
+  BUILDING_BENCHMARKS,
+  VINTAGE_FACTORS,
+  CLIMATE_ZONE_FACTORS,
+  AUDIT_MEASURES,
+  DEFAULT_ENERGY_PRICES,
+  ENERGY_BENCHMARKS_META
+} from '../data/energyBenchmarks.js';
+
+const ELECTRIC_END_USES = ['lighting', 'cooling', 'ventilation', 'plugLoads'];
+
+// ASHRAE Level 1 style screening: benchmark the building, split its utility spend by end use and
+// size each candidate measure against what is left after the measures ahead of it, so savings
+// are not double counted. measures and recommendedMeasures feed calculateCPACELifecycle directly.
+export function estimateEnergyAudit(inputs = {}) {
+  const {
+    buildingType,
+    squareFeet,
+    yearBuilt = null,
+    climateZone = null,
+    floors = 1,
+    utilitySpend = null,
+    electricityRate = DEFAULT_ENERGY_PRICES.electricityPerKWh,
+    baseline = null,
+    include = null
+  } = inputs;
+
+  const benchmark = BUILDING_BENCHMARKS[buildingType];
+  if (!benchmark) {
+    throw new ValidationError(`Building type must be one of: ${Object.keys(BUILDING_BENCHMARKS).join(', ')}`, 'buildingType');
+  }
+  if (typeof squareFeet !== 'number' || squareFeet <= 0) {
+    throw new ValidationError('Square footage must be a positive number', 'squareFeet');
+  }
+  if (typeof floors !== 'number' || floors < 1) {
+    throw new ValidationError('Floors must be at least 1', 'floors');
+  }
+
+  const warnings = [];
+
+  // Zones are often given with a moisture suffix ("4A"); only the number matters here
+  let zone = climateZone !== null ? parseInt(String(climateZone), 10) : null;
+  if (zone !== null && !CLIMATE_ZONE_FACTORS[zone]) {
+    throw new ValidationError('Climate zone must be an IECC zone from 1 to 8', 'climateZone');
+  }
+  if (zone === null) {
+    zone = 4;
+    warnings.push('Climate zone not provided - assumed zone 4');
+  }
+  const climate = CLIMATE_ZONE_FACTORS[zone];
+
+  if (yearBuilt === null) {
+    warnings.push('Year built not provided - assumed 1980-1999 construction');
+  }
+  const vintage = VINTAGE_FACTORS.find(row => (yearBuilt ?? 1990) < row.builtBefore);
+
+  const endUseShares = adjustEndUses(benchmark.endUses, climate);
+
+  const expectedEUI = benchmark.medianSiteEUI * vintage.euiFactor;
+  const measured = baseline?.siteEUI != null;
+  const siteEUI = measured ? baseline.siteEUI : expectedEUI;
+  const annualEnergyKBtu = siteEUI * squareFeet;
+  // A building already beating its benchmark has less left to save, and vice versa
+  const performanceFactor = measured ? Math.min(1.5, Math.max(0.5, siteEUI / expectedEUI)) : 1;
+
+  const spend = resolveSpend(utilitySpend, benchmark, annualEnergyKBtu, baseline);
+  if (spend.source === 'estimated') {
+    warnings.push('Utility spend not provided - estimated from benchmark energy use and average prices');
+  }
+
+  const remaining = Object.fromEntries(
+    Object.entries(endUseShares).map(([endUse, share]) => [endUse, spend.total * share])
+  );
+  const endUseSpend = Object.fromEntries(Object.entries(remaining).map(([endUse, amount]) => [endUse, Math.round(amount)]));
+
+  const selected = AUDIT_MEASURES.filter(measure => !include || include.includes(measure.key));
+  const measures = [];
+  let electricSavings = 0;
+
+  selected.filter(measure => measure.category !== 'renewableEnergy').forEach(measure => {
+    let fraction = measure.savingsFraction * performanceFactor * (measure.vintageSensitive ? vintage.savingsFactor : 1);
+    if (measure.key === 'led_lighting') fraction *= 1 - vintage.ledInstalled;
+    fraction = Math.min(fraction, 0.9);
+
+    let savings = 0;
+    measure.endUses.forEach(endUse => {
+      const amount = remaining[endUse] * fraction;
+      remaining[endUse] -= amount;
+      savings += amount;
+      if (ELECTRIC_END_USES.includes(endUse)) electricSavings += amount;
+    });
+    if (savings <= 0) return;
+
+    const cost = measure.costPerSquareFoot * squareFeet;
+    measures.push(toMeasure(measure, cost, savings,
+      `${roundTo(fraction * 100, 1)}% of ${measure.endUses.join(', ')} spend`));
+  });
+
+  const solar = selected.find(measure => measure.key === 'solar_pv');
+  if (solar) {
+    // Size to the roof, but no larger than the remaining electric load (net metering limits)
+    const roofKW = squareFeet / floors * solar.usableRoofShare * solar.wattsPerRoofSquareFoot / 1000;
+    const remainingKWh = Math.max(0, spend.electricity - electricSavings) / electricityRate;
+    const systemKW = Math.min(roofKW, remainingKWh / climate.solarYield);
+    if (systemKW > 0) {
+      const production = systemKW * climate.solarYield;
+      measures.push(toMeasure(solar, systemKW * 1000 * solar.costPerWatt, production * electricityRate,
+        `${roundTo(systemKW, 1)} kW-dc producing ${Math.round(production).toLocaleString()} kWh/yr`,
+        { systemSizeKW: roundTo(systemKW, 1), annualProductionKWh: Math.round(production) }));
+      if (systemKW < roofKW) {
+        warnings.push('Solar sized to remaining electric use rather than available roof area');
+      }
+    }
+  }
+
+  const totalCost = measures.reduce((sum, measure) => sum + measure.cost, 0);
+  const totalSavings = measures.reduce((sum, measure) => sum + measure.annualSavings, 0);
+  const recommended = measures.filter(measure => measure.costEffective);
+  if (recommended.length < measures.length) {
+    warnings.push(`${measures.length - recommended.length} measure(s) do not pay back within their useful life`);
+  }
+
+  return {
+    building: {
+      buildingType,
+      label: benchmark.label,
+      squareFeet,
+      yearBuilt,
+      climateZone: zone,
+      floors
+    },
+    baseline: {
+      source: measured ? 'measured' : 'benchmark',
+      siteEUI: roundTo(siteEUI, 1),
+      medianSiteEUI: benchmark.medianSiteEUI,
+      energyStarScore: baseline?.energyStarScore ?? null,
+      performanceFactor: roundTo(performanceFactor, 2),
+      annualEnergyKBtu: Math.round(annualEnergyKBtu),
+      annualSpend: Math.round(spend.total),
+      spendSource: spend.source,
+      electricShare: roundTo(spend.electricity / spend.total, 3),
+      endUseSpend
+    },
+    measures,
+    recommendedMeasures: recommended,
+    totals: {
+      cost: Math.round(totalCost),
+      annualSavings: Math.round(totalSavings),
+      savingsPercent: roundTo(totalSavings / spend.total, 3),
+      simplePayback: totalSavings > 0 ? roundTo(totalCost / totalSavings, 1) : null
+    },
+    assumptions: {
+      electricityRate,
+      benchmarksAsOf: ENERGY_BENCHMARKS_META.asOf,
+      note: ENERGY_BENCHMARKS_META.note
+    },
+    warnings
+  };
+}
+
+function adjustEndUses(endUses, climate) {
+  const adjusted = {
+    ...endUses,
+    heating: endUses.heating * climate.heating,
+    cooling: endUses.cooling * climate.cooling
+  };
+  const total = Object.values(adjusted).reduce((sum, share) => sum + share, 0);
+  return Object.fromEntries(Object.entries(adjusted).map(([endUse, share]) => [endUse, share / total]));
+}
+
+function resolveSpend(utilitySpend, benchmark, annualEnergyKBtu, baseline) {
+  if (typeof utilitySpend === 'number' && utilitySpend > 0) {
+    const electricShare = baseline?.electricShare ?? benchmark.electricShare;
+    return { total: utilitySpend, electricity: utilitySpend * electricShare, source: 'provided' };
+  }
+  if (utilitySpend && typeof utilitySpend === 'object') {
+    const electricity = utilitySpend.electricity || 0;
+    const total = electricity + (utilitySpend.naturalGas || 0) + (utilitySpend.other || 0);
+    if (total > 0) return { total, electricity, source: 'provided' };
+  }
+  const total = annualEnergyKBtu * DEFAULT_ENERGY_PRICES.costPerKBtu;
+  return { total, electricity: total * benchmark.electricShare, source: 'estimated' };
+}
+
+// Shaped for calculateCPACELifecycle: name, cost, annualSavings, usefulLife, degradationRate
+function toMeasure(measure, cost, savings, savingsBasis, extra = {}) {
+  return {
+    key: measure.key,
+    name: measure.name,
+    category: measure.category,
+    cost: Math.round(cost),
+    annualSavings: Math.round(savings),
+    usefulLife: measure.usefulLife,
+    degradationRate: measure.degradationRate,
+    simplePayback: roundTo(cost / savings, 1),
+    costEffective: cost / savings < measure.usefulLife,
+    savingsBasis,
+    ...extra
+  };
+}
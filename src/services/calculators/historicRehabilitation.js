@@ -0,0 +1,193 @@
+// src/services/calculators/historicRehabilitation.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+import { toDate, addDays, addMonths, formatISODate } from '../utils/dates.js';
+
+const HTC = PROGRAM_LIMITS.HISTORIC_TAX_CREDITS;
+
+// Which project cost categories count as qualified rehabilitation expenditures (IRC 47(c)(2))
+export const REHAB_COST_CATEGORIES = {
+  rehabilitation: { qualifies: true, label: 'Rehabilitation hard costs' },
+  architecture_engineering: { qualifies: true, label: 'Architectural and engineering fees' },
+  construction_interest: { qualifies: true, label: 'Construction period interest and taxes' },
+  developer_fee: { qualifies: true, label: 'Developer fee allocable to rehabilitation' },
+  legal_professional: { qualifies: true, label: 'Legal and professional fees' },
+  acquisition: { qualifies: false, label: 'Building acquisition', reason: 'Acquisition cost is never a QRE' },
+  land: { qualifies: false, label: 'Land', reason: 'Land is not depreciable' },
+  site_work: { qualifies: false, label: 'Site work', reason: 'Parking, landscaping and sidewalks are outside the building' },
+  addition: { qualifies: false, label: 'Enlargement', reason: 'Costs that expand the building volume are excluded' },
+  new_construction: { qualifies: false, label: 'New construction', reason: 'Not part of the existing building' },
+  personal_property: { qualifies: false, label: 'Furniture and equipment', reason: 'Personal property is not nonresidential real property' },
+  financing_fees: { qualifies: false, label: 'Permanent loan fees', reason: 'Amortized over the loan, not capitalized to the building' },
+  syndication: { qualifies: false, label: 'Syndication and tax credit fees', reason: 'Costs of raising equity are excluded' }
+};
+
+export function calculateQualifiedRehabilitation(inputs = {}) {
+  const {
+    costs = [],
+    adjustedBasis,
+    building = null,
+    placedInServiceDate,
+    phased = false,
+    measuringPeriodEnd = null,
+    creditRate = HTC.CREDIT_RATE
+  } = inputs;
+
+  if (!Array.isArray(costs) || costs.length === 0) {
+    throw new ValidationError('At least one project cost line is required', 'costs');
+  }
+  const placedInService = toDate(placedInServiceDate);
+  if (!placedInService) {
+    throw new ValidationError('Placed-in-service date is required', 'placedInServiceDate');
+  }
+
+  const basis = resolveAdjustedBasis(adjustedBasis, building);
+  const warnings = [];
+
+  const lines = costs.map((cost, index) => {
+    const category = REHAB_COST_CATEGORIES[cost.category];
+    if (!category) {
+      throw new ValidationError(`Cost line ${index + 1} has unknown category "${cost.category}"`, 'costs');
+    }
+    if (typeof cost.amount !== 'number' || cost.amount < 0) {
+      throw new ValidationError(`Cost line ${index + 1} needs a non-negative amount`, 'costs');
+    }
+
+    // Mixed lines (e.g. a developer fee split between rehab and site work) can set qrePercent
+    const share = category.qualifies ? (cost.qrePercent ?? 100) / 100 : 0;
+    return {
+      ...cost,
+      date: cost.date ? formatISODate(cost.date) : null,
+      label: category.label,
+      qualifies: share > 0,
+      qreAmount: cost.amount * share,
+      nonQualifyingAmount: cost.amount * (1 - share),
+      reason: category.reason || null
+    };
+  });
+
+  const qualifying = lines.filter(line => line.qreAmount > 0);
+  const totalQRE = sum(lines, 'qreAmount');
+  const totalNonQualifying = sum(lines, 'nonQualifyingAmount');
+
+  const undated = qualifying.filter(line => !line.date);
+  if (undated.length > 0) {
+    warnings.push(`${undated.length} qualifying cost line(s) have no date and are assumed to fall in the measuring period`);
+  }
+
+  // Substantial rehabilitation: QREs in the measuring period must exceed the greater of
+  // $5,000 or the building's adjusted basis
+  const periodMonths = phased ? HTC.PHASED_MEASURING_PERIOD_MONTHS : HTC.MEASURING_PERIOD_MONTHS;
+  const period = measuringPeriodEnd ?
+    windowTotal(qualifying, toDate(measuringPeriodEnd), periodMonths) :
+    bestMeasuringPeriod(qualifying, placedInService, periodMonths);
+
+  if (period.end.getUTCFullYear() !== placedInService.getUTCFullYear()) {
+    warnings.push('Measuring period must end in the taxable year the building is placed in service');
+  }
+
+  const threshold = Math.max(HTC.MIN_REHAB_COST, basis);
+  const substantiallyRehabilitated = period.total > threshold;
+
+  const creditableBasis = substantiallyRehabilitated ? totalQRE : 0;
+  const totalCredit = creditableBasis * creditRate;
+  const annualCredit = totalCredit / HTC.CLAIM_PERIOD_YEARS;
+  const firstYear = placedInService.getUTCFullYear();
+
+  return {
+    eligible: substantiallyRehabilitated,
+    qre: {
+      total: Math.round(totalQRE),
+      byCategory: groupBy(lines, 'qreAmount')
+    },
+    nonQualifying: {
+      total: Math.round(totalNonQualifying),
+      byCategory: groupBy(lines, 'nonQualifyingAmount')
+    },
+    costs: lines,
+    substantialRehabilitation: {
+      met: substantiallyRehabilitated,
+      adjustedBasis: Math.round(basis),
+      threshold: Math.round(threshold),
+      measuringPeriod: {
+        type: phased ? '60-month phased' : '24-month',
+        start: formatISODate(period.start),
+        end: formatISODate(period.end)
+      },
+      qresInPeriod: Math.round(period.total),
+      shortfall: substantiallyRehabilitated ? 0 : Math.round(threshold - period.total)
+    },
+    credit: {
+      rate: creditRate,
+      creditableBasis: Math.round(creditableBasis),
+      totalCredit: Math.round(totalCredit),
+      placedInServiceDate: formatISODate(placedInService),
+      schedule: Array.from({ length: HTC.CLAIM_PERIOD_YEARS }, (_, index) => ({
+        year: firstYear + index,
+        credit: Math.round(annualCredit)
+      }))
+    },
+    // Depreciable basis is reduced by the full credit amount
+    depreciableBasisReduction: Math.round(totalCredit),
+    warnings
+  };
+}
+
+function resolveAdjustedBasis(adjustedBasis, building) {
+  if (typeof adjustedBasis === 'number') {
+    if (adjustedBasis < 0) throw new ValidationError('Adjusted basis cannot be negative', 'adjustedBasis');
+    return adjustedBasis;
+  }
+  if (building && typeof building.acquisitionCost === 'number') {
+    const {
+      acquisitionCost,
+      landValue = 0,
+      accumulatedDepreciation = 0,
+      priorImprovements = 0
+    } = building;
+    return Math.max(0, acquisitionCost - landValue - accumulatedDepreciation + priorImprovements);
+  }
+  throw new ValidationError('Provide the building adjusted basis or its acquisition cost and land value', 'adjustedBasis');
+}
+
+// The owner picks the measuring period; use the one ending in the placed-in-service year
+// that captures the most QREs
+function bestMeasuringPeriod(lines, placedInService, months) {
+  const year = placedInService.getUTCFullYear();
+  let best = null;
+
+  for (let month = 0; month < 12; month++) {
+    const end = new Date(Date.UTC(year, month + 1, 0));
+    const window = windowTotal(lines, end, months);
+    if (!best || window.total > best.total) best = window;
+  }
+
+  return best;
+}
+
+function windowTotal(lines, end, months) {
+  const start = addMonths(end, -months);
+  const total = lines
+    .filter(line => {
+      if (!line.date) return true;
+      const date = toDate(line.date);
+      return date > start && date <= end;
+    })
+    .reduce((acc, line) => acc + line.qreAmount, 0);
+  return { start: addDays(start, 1), end, total };
+}
+
+function groupBy(lines, field) {
+  const totals = {};
+  for (const line of lines) {
+    if (line[field] > 0) {
+      totals[line.category] = roundTo((totals[line.category] || 0) + line[field]);
+    }
+  }
+  return totals;
+}
+
+function sum(lines, field) {
+  return lines.reduce((acc, line) => acc + line[field], 0);
+}
@@ -0,0 +1,218 @@
+// src/services/calculators/lihtcCredits.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+
+const LIHTC = PROGRAM_LIMITS.LIHTC;
+
+export const LIHTC_CREDIT_TYPES = {
+  NINE_PERCENT: '9%',
+  FOUR_PERCENT: '4%'
+};
+
+// Estimate annual and 10-year credits for one building. units lists the residential unit mix as
+// { bedrooms, count, squareFeet (per unit), amiLimit } with amiLimit null for market-rate units.
+// Eligible basis is taken as given or built from costs; commercial space (retail below housing)
+// and land never enter basis.
+export function calculateLIHTC(inputs = {}) {
+  const {
+    units,
+    setAside = '40-60',
+    creditType = LIHTC_CREDIT_TYPES.NINE_PERCENT,
+    eligibleBasis = null,
+    costs = {},
+    qctOrDda = false,
+    stateDesignatedBoost = false,
+    creditPrice = LIHTC.CREDIT_PRICE,
+    bondFinancing = null
+  } = inputs;
+
+  if (!Array.isArray(units) || units.length === 0) {
+    throw new ValidationError('Residential unit mix is required', 'units');
+  }
+  units.forEach(unit => {
+    if (typeof unit.count !== 'number' || unit.count <= 0) {
+      throw new ValidationError('Each unit type needs a positive count', 'units');
+    }
+    if (unit.amiLimit != null && (unit.amiLimit <= 0 || unit.amiLimit > 0.8)) {
+      throw new ValidationError('Unit AMI limits must be between 0 and 0.80', 'units');
+    }
+  });
+  if (!LIHTC.SET_ASIDES[setAside]) {
+    throw new ValidationError(`Set-aside must be one of: ${Object.keys(LIHTC.SET_ASIDES).join(', ')}`, 'setAside');
+  }
+  if (!Object.values(LIHTC_CREDIT_TYPES).includes(creditType)) {
+    throw new ValidationError(`Credit type must be one of: ${Object.values(LIHTC_CREDIT_TYPES).join(', ')}`, 'creditType');
+  }
+
+  const warnings = [];
+  const unitMix = summarizeUnits(units);
+  const setAsideTest = evaluateSetAside(units, setAside, unitMix.totalUnits);
+  if (!setAsideTest.met) {
+    warnings.push(`Unit mix does not meet the ${setAside} minimum set-aside`);
+  }
+
+  // Applicable fraction is the lesser of the unit and floor space fractions
+  const unitFraction = unitMix.lowIncomeUnits / unitMix.totalUnits;
+  const hasFloorSpace = units.every(unit => typeof unit.squareFeet === 'number' && unit.squareFeet > 0);
+  const floorFraction = hasFloorSpace ? unitMix.lowIncomeSquareFeet / unitMix.totalSquareFeet : null;
+  if (!hasFloorSpace) {
+    warnings.push('Unit square footage not provided - applicable fraction uses the unit fraction only');
+  }
+  const applicableFraction = floorFraction === null ? unitFraction : Math.min(unitFraction, floorFraction);
+
+  const basis = resolveEligibleBasis(eligibleBasis, costs);
+
+  // 4% bond deals get the boost only in a QCT or DDA; 9% deals may also be boosted by the state
+  let boosted = qctOrDda;
+  if (!qctOrDda && stateDesignatedBoost) {
+    if (creditType === LIHTC_CREDIT_TYPES.NINE_PERCENT) {
+      boosted = true;
+    } else {
+      warnings.push('State-designated basis boost is not available to 4% bond-financed buildings');
+    }
+  }
+  const boost = boosted ? LIHTC.BASIS_BOOST : 1;
+
+  const qualifiedBasis = setAsideTest.met ? basis.eligibleBasis * boost * applicableFraction : 0;
+  const creditRate = creditType === LIHTC_CREDIT_TYPES.NINE_PERCENT ? LIHTC.NINE_PERCENT_RATE : LIHTC.FOUR_PERCENT_RATE;
+  const annualCredit = qualifiedBasis * creditRate;
+  const totalCredits = annualCredit * LIHTC.CREDIT_PERIOD_YEARS;
+
+  let bondTest = null;
+  if (creditType === LIHTC_CREDIT_TYPES.FOUR_PERCENT) {
+    bondTest = evaluateBondTest(bondFinancing, basis, costs);
+    if (!bondTest.met) {
+      warnings.push(bondTest.reason);
+    }
+  }
+
+  return {
+    creditType,
+    unitMix,
+    setAside: setAsideTest,
+    applicableFraction: roundTo(applicableFraction, 4),
+    unitFraction: roundTo(unitFraction, 4),
+    floorFraction: floorFraction === null ? null : roundTo(floorFraction, 4),
+    basis: {
+      ...basis,
+      basisBoost: boost,
+      boostSource: qctOrDda ? 'qct_dda' : boosted ? 'state_designated' : null,
+      qualifiedBasis: Math.round(qualifiedBasis)
+    },
+    creditRate,
+    annualCredit: Math.round(annualCredit),
+    totalCredits: Math.round(totalCredits),
+    creditPrice,
+    equity: Math.round(totalCredits * creditPrice),
+    bondTest,
+    compliancePeriodYears: LIHTC.COMPLIANCE_PERIOD_YEARS,
+    warnings
+  };
+}
+
+function summarizeUnits(units) {
+  const summary = {
+    totalUnits: 0,
+    lowIncomeUnits: 0,
+    marketUnits: 0,
+    totalSquareFeet: 0,
+    lowIncomeSquareFeet: 0,
+    byAmi: {}
+  };
+
+  units.forEach(unit => {
+    const area = (unit.squareFeet || 0) * unit.count;
+    summary.totalUnits += unit.count;
+    summary.totalSquareFeet += area;
+    if (unit.amiLimit == null) {
+      summary.marketUnits += unit.count;
+      return;
+    }
+    summary.lowIncomeUnits += unit.count;
+    summary.lowIncomeSquareFeet += area;
+    const key = `${Math.round(unit.amiLimit * 100)}%`;
+    summary.byAmi[key] = (summary.byAmi[key] || 0) + unit.count;
+  });
+
+  return summary;
+}
+
+function evaluateSetAside(units, setAside, totalUnits) {
+  const rule = LIHTC.SET_ASIDES[setAside];
+  const qualifying = units.filter(unit => unit.amiLimit != null && unit.amiLimit <= rule.amiLimit);
+  const qualifyingUnits = qualifying.reduce((sum, unit) => sum + unit.count, 0);
+  const share = qualifyingUnits / totalUnits;
+
+  let averageAmi = null;
+  let met = share >= rule.share;
+  if (rule.averageAmiMax) {
+    averageAmi = qualifying.reduce((sum, unit) => sum + unit.amiLimit * unit.count, 0) / (qualifyingUnits || 1);
+    met = met && averageAmi <= rule.averageAmiMax;
+  }
+
+  return {
+    election: setAside,
+    met,
+    qualifyingUnits,
+    share: roundTo(share, 4),
+    requiredShare: rule.share,
+    amiLimit: rule.amiLimit,
+    averageAmi: averageAmi === null ? null : roundTo(averageAmi, 4)
+  };
+}
+
+function resolveEligibleBasis(eligibleBasis, costs) {
+  const {
+    totalDevelopmentCost = null,
+    landCost = 0,
+    commercialCost = 0,
+    ineligibleCosts = 0,
+    federalGrants = 0
+  } = costs;
+
+  if (typeof eligibleBasis === 'number' && eligibleBasis > 0) {
+    return { eligibleBasis: Math.round(eligibleBasis), source: 'provided' };
+  }
+  if (typeof totalDevelopmentCost !== 'number' || totalDevelopmentCost <= 0) {
+    throw new ValidationError('Eligible basis or total development cost is required', 'eligibleBasis');
+  }
+
+  const basis = totalDevelopmentCost - landCost - commercialCost - ineligibleCosts - federalGrants;
+  if (basis <= 0) {
+    throw new ValidationError('Excluded costs exceed total development cost', 'costs');
+  }
+
+  return {
+    eligibleBasis: Math.round(basis),
+    source: 'development_costs',
+    exclusions: {
+      land: landCost,
+      commercialSpace: commercialCost,
+      ineligibleCosts,
+      federalGrants
+    }
+  };
+}
+
+function evaluateBondTest(bondFinancing, basis, costs) {
+  if (!bondFinancing?.amount) {
+    return { met: false, reason: '4% credits need tax-exempt bond financing - bond amount not provided' };
+  }
+
+  const { amount, issueYear = new Date().getFullYear() } = bondFinancing;
+  const threshold = issueYear > 2025 ? LIHTC.BOND_TEST_2026 : LIHTC.BOND_TEST;
+  // Approximates aggregate basis with eligible basis plus commercial space when no figure is given
+  const aggregateBasis = bondFinancing.aggregateBasis ?? basis.eligibleBasis + (costs.commercialCost || 0);
+  const ratio = amount / (aggregateBasis + (costs.landCost || 0));
+  const met = ratio >= threshold;
+
+  return {
+    met,
+    ratio: roundTo(ratio, 4),
+    threshold,
+    reason: met ?
+      `Bonds finance ${roundTo(ratio * 100, 1)}% of aggregate basis and land` :
+      `Bonds finance ${roundTo(ratio * 100, 1)}% of aggregate basis and land - at least ${threshold * 100}% is needed for 4% credits without an allocation`
+  };
+}
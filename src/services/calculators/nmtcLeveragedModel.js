@@ -0,0 +1,178 @@
+// src/services/calculators/nmtcLeveragedModel.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo, presentValue } from '../utils/finance.js';
+import { toDate, addYears, formatISODate } from '../utils/dates.js';
+
+const NMTC = PROGRAM_LIMITS.NMTC;
+
+// Leveraged NMTC structure: the investor and a leverage lender (usually a QALICB affiliate)
+// capitalize an investment fund, which makes the QEI into the CDE. The CDE lends the QEI, less
+// its fees, to the QALICB as QLICI A and B notes. In year 7 the investor puts its fund interest
+// to the leverage lender, which unwinds the structure and effectively forgives the B note.
+export function calculateLeveragedNMTC(inputs = {}) {
+  const {
+    qei,
+    creditPrice = 0.80, // investor equity per dollar of credit
+    cdeUpfrontFeeRate = 0.03, // sub-allocation / closing fee, share of QEI
+    fundClosingCosts = 0, // legal, accounting and lender fees paid from the fund
+    cdeManagementFeeRate = 0.005, // annual, share of QEI
+    fundManagementFee = 0, // annual fund audit and asset management, dollars
+    reserveOngoingFees = true, // fund ongoing fees from a reserve at closing instead of B note interest
+    aNoteRate = 0.01,
+    bNoteRate = 0.01,
+    putPrice = 1000,
+    closingDate = new Date(),
+    otherSources = 0,
+    projectCost = null,
+    discountRate = null
+  } = inputs;
+
+  if (typeof qei !== 'number' || qei <= 0) {
+    throw new ValidationError('Qualified equity investment must be a positive number', 'qei');
+  }
+  if (typeof creditPrice !== 'number' || creditPrice <= 0 || creditPrice > 1.2) {
+    throw new ValidationError('Credit price must be between 0 and 1.20 per credit dollar', 'creditPrice');
+  }
+  const closing = toDate(closingDate);
+  if (!closing) {
+    throw new ValidationError('Closing date is required', 'closingDate');
+  }
+
+  const warnings = [];
+  if (qei < NMTC.MIN_INVESTMENT) {
+    warnings.push(`QEI below the typical ${NMTC.MIN_INVESTMENT.toLocaleString()} minimum - fixed costs will consume most of the subsidy`);
+  }
+
+  const totalCredits = qei * NMTC.CREDIT_RATE;
+  const investorEquity = totalCredits * creditPrice;
+
+  // The fund needs the full QEI plus its own closing costs; leverage fills the gap
+  const leverageLoan = qei + fundClosingCosts - investorEquity;
+  if (leverageLoan < 0) {
+    throw new ValidationError('Investor equity exceeds the QEI - reduce the credit price or increase the QEI', 'creditPrice');
+  }
+
+  const years = NMTC.CREDIT_SCHEDULE.length;
+  const cdeUpfrontFee = qei * cdeUpfrontFeeRate;
+  const annualOngoingFees = qei * cdeManagementFeeRate + fundManagementFee;
+  const ongoingFeeReserve = reserveOngoingFees ? annualOngoingFees * years : 0;
+
+  const qlici = qei - cdeUpfrontFee - ongoingFeeReserve;
+  // The A note mirrors the leverage loan so its interest services the lender
+  const aNote = Math.min(leverageLoan, qlici);
+  const bNote = qlici - aNote;
+  if (leverageLoan > qlici) {
+    warnings.push('Leverage loan exceeds the QLICI - fees are larger than investor equity');
+  }
+
+  const schedule = NMTC.CREDIT_SCHEDULE.map((rate, index) => {
+    const aNoteInterest = aNote * aNoteRate;
+    const bNoteInterest = bNote * bNoteRate;
+    return {
+      year: index + 1,
+      creditAllowanceDate: formatISODate(addYears(closing, index)),
+      creditRate: rate,
+      credit: Math.round(qei * rate),
+      aNoteInterest: Math.round(aNoteInterest),
+      bNoteInterest: Math.round(bNoteInterest),
+      leverageLoanInterest: Math.round(aNoteInterest),
+      ongoingFees: Math.round(annualOngoingFees),
+      qalicbDebtService: Math.round(aNoteInterest + bNoteInterest)
+    };
+  });
+
+  // Unwind after the 7-year compliance period
+  const unwindDate = addYears(closing, years);
+  const unwind = {
+    date: formatISODate(unwindDate),
+    putPrice,
+    aNoteOutstanding: Math.round(aNote),
+    bNoteForgiven: Math.round(bNote),
+    note: 'Leverage lender acquires the investor interest for the put price; the B note is cancelled or held by a related party'
+  };
+
+  // What the QALICB keeps: the B note less the interest it paid on it. Without a reserve,
+  // B note interest is what pays the ongoing fees.
+  const totalBNoteInterest = bNote * bNoteRate * years;
+  const totalFees = cdeUpfrontFee + fundClosingCosts + annualOngoingFees * years;
+  const netSubsidy = bNote - totalBNoteInterest;
+  if (!reserveOngoingFees && totalBNoteInterest < annualOngoingFees * years) {
+    warnings.push('B note interest does not cover ongoing fees - the CDE will require a higher B note rate or a reserve');
+  }
+
+  const totalSources = aNote + bNote + otherSources;
+  const gap = projectCost !== null ? projectCost - totalSources : null;
+  if (gap !== null && gap > 0) {
+    warnings.push(`Sources fall ${Math.round(gap).toLocaleString()} short of project cost`);
+  }
+
+  return {
+    qei: Math.round(qei),
+    credits: {
+      total: Math.round(totalCredits),
+      byYear: schedule.map(({ year, creditRate, credit }) => ({ year, creditRate, credit }))
+    },
+    investorEquity: Math.round(investorEquity),
+    leverageLoan: Math.round(leverageLoan),
+    fees: {
+      cdeUpfrontFee: Math.round(cdeUpfrontFee),
+      fundClosingCosts: Math.round(fundClosingCosts),
+      annualOngoingFees: Math.round(annualOngoingFees),
+      ongoingFeeReserve: Math.round(ongoingFeeReserve),
+      total: Math.round(totalFees)
+    },
+    qlici: {
+      total: Math.round(qlici),
+      aNote: { principal: Math.round(aNote), rate: aNoteRate },
+      bNote: { principal: Math.round(bNote), rate: bNoteRate }
+    },
+    schedule,
+    unwind,
+    netSubsidy: {
+      amount: Math.round(netSubsidy),
+      percentOfQEI: roundTo(netSubsidy / qei, 4),
+      // B note proceeds arrive at closing; the interest on them is paid over the compliance period
+      presentValue: discountRate !== null ?
+        Math.round(bNote - presentValueOfAnnuity(bNote * bNoteRate, discountRate, years)) :
+        null
+    },
+    sourcesAndUses: {
+      investmentFund: {
+        sources: { investorEquity: Math.round(investorEquity), leverageLoan: Math.round(leverageLoan) },
+        uses: { qei: Math.round(qei), fundClosingCosts: Math.round(fundClosingCosts) }
+      },
+      cde: {
+        sources: { qei: Math.round(qei) },
+        uses: {
+          qliciANote: Math.round(aNote),
+          qliciBNote: Math.round(bNote),
+          cdeUpfrontFee: Math.round(cdeUpfrontFee),
+          ongoingFeeReserve: Math.round(ongoingFeeReserve)
+        }
+      },
+      qalicb: {
+        sources: { qliciANote: Math.round(aNote), qliciBNote: Math.round(bNote), otherSources: Math.round(otherSources) },
+        uses: { projectCost: projectCost !== null ? Math.round(projectCost) : Math.round(totalSources) },
+        gap: gap !== null ? Math.round(gap) : null
+      }
+    },
+    assumptions: {
+      creditPrice,
+      cdeUpfrontFeeRate,
+      cdeManagementFeeRate,
+      fundManagementFee,
+      reserveOngoingFees,
+      closingDate: formatISODate(closing)
+    },
+    warnings
+  };
+}
+
+function presentValueOfAnnuity(payment, rate, years) {
+  let total = 0;
+  for (let year = 1; year <= years; year++) {
+    total += presentValue(payment, rate, year);
+  }
+  return total;
+}
@@ -0,0 +1,133 @@
+// src/services/calculators/nmtcLowIncome.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+
+const NMTC = PROGRAM_LIMITS.NMTC;
+
+// The CDFI Fund compares tract median family income to the statewide median for non-metro
+// tracts, and to the greater of the metro or statewide median for metro tracts (IRC 45D(e))
+export function selectAreaMedianIncome({ metro, metroMedianIncome = null, stateMedianIncome = null }) {
+  if (metro && metroMedianIncome !== null && (stateMedianIncome === null || metroMedianIncome >= stateMedianIncome)) {
+    return { amount: metroMedianIncome, basis: 'metropolitan' };
+  }
+  if (stateMedianIncome !== null) {
+    return { amount: stateMedianIncome, basis: 'statewide' };
+  }
+  return { amount: null, basis: null };
+}
+
+export function evaluateLowIncomeCommunity(inputs = {}) {
+  const {
+    povertyRate = null,
+    medianFamilyIncome = null,
+    metro = false,
+    metroMedianIncome = null,
+    stateMedianIncome = null
+  } = inputs;
+
+  if (povertyRate !== null && (typeof povertyRate !== 'number' || povertyRate < 0 || povertyRate > 100)) {
+    throw new ValidationError('Poverty rate must be a percentage between 0 and 100', 'povertyRate');
+  }
+  if (medianFamilyIncome !== null && (typeof medianFamilyIncome !== 'number' || medianFamilyIncome < 0)) {
+    throw new ValidationError('Median family income must be a non-negative number', 'medianFamilyIncome');
+  }
+
+  const areaMedian = selectAreaMedianIncome({ metro, metroMedianIncome, stateMedianIncome });
+  const incomeRatio = medianFamilyIncome !== null && areaMedian.amount > 0 ?
+    medianFamilyIncome / areaMedian.amount : null;
+
+  const qualifiesByPoverty = povertyRate !== null && povertyRate >= NMTC.LIC_POVERTY_RATE;
+  const qualifiesByIncome = incomeRatio !== null && incomeRatio <= NMTC.LIC_INCOME_RATIO;
+
+  const reasons = [];
+  if (qualifiesByPoverty) {
+    reasons.push(`Poverty rate: ${povertyRate}% (≥${NMTC.LIC_POVERTY_RATE}% required)`);
+  }
+  if (qualifiesByIncome) {
+    reasons.push(`Median family income: ${roundTo(incomeRatio * 100, 2)}% of ${areaMedian.basis} median (≤${NMTC.LIC_INCOME_RATIO * 100}% required)`);
+  }
+
+  const missing = [];
+  if (povertyRate === null) missing.push('poverty rate');
+  if (incomeRatio === null) missing.push('median family income ratio');
+
+  return {
+    eligible: qualifiesByPoverty || qualifiesByIncome,
+    // A tract that fails on partial data may still qualify on the missing measure
+    complete: missing.length === 0 || qualifiesByPoverty || qualifiesByIncome,
+    reasons,
+    missing,
+    povertyRate,
+    medianFamilyIncome,
+    areaMedianIncome: areaMedian.amount,
+    areaMedianBasis: areaMedian.basis,
+    medianIncomeRatio: incomeRatio !== null ? roundTo(incomeRatio, 4) : null,
+    metro,
+    qualifications: {
+      poverty: qualifiesByPoverty,
+      income: qualifiesByIncome
+    }
+  };
+}
+
+export const NMTC_DISTRESS_TIERS = {
+  NOT_ELIGIBLE: 'not_eligible',
+  ELIGIBLE: 'eligible',
+  SEVERELY_DISTRESSED: 'severely_distressed',
+  DEEPLY_DISTRESSED: 'deeply_distressed'
+};
+
+// Tiers used in CDFI Fund allocation applications. CDEs commit most of their allocation to
+// severely distressed tracts and score better for deeper distress.
+export function classifyDistress(lic, { unemploymentRate = null, nationalUnemploymentRate = null } = {}) {
+  const unemploymentRatio = unemploymentRate !== null && nationalUnemploymentRate > 0 ?
+    unemploymentRate / nationalUnemploymentRate : null;
+  const { povertyRate } = lic;
+  const incomeRatio = lic.medianIncomeRatio;
+
+  const severe = [];
+  if (povertyRate !== null && povertyRate >= NMTC.SEVERE_POVERTY_RATE) {
+    severe.push({ criterion: 'poverty', description: `Poverty rate ${povertyRate}% is at least ${NMTC.SEVERE_POVERTY_RATE}%` });
+  }
+  if (incomeRatio !== null && incomeRatio <= NMTC.SEVERE_INCOME_RATIO) {
+    severe.push({ criterion: 'income', description: `Median family income at or below ${NMTC.SEVERE_INCOME_RATIO * 100}% of area median` });
+  }
+  if (unemploymentRatio !== null && unemploymentRatio >= NMTC.SEVERE_UNEMPLOYMENT_MULTIPLE) {
+    severe.push({ criterion: 'unemployment', description: `Unemployment at least ${NMTC.SEVERE_UNEMPLOYMENT_MULTIPLE}x the national rate` });
+  }
+  if (!lic.metro) {
+    severe.push({ criterion: 'non_metro', description: 'Located in a non-metropolitan county' });
+  }
+
+  const deep = [];
+  if (povertyRate !== null && povertyRate >= NMTC.DEEP_POVERTY_RATE) {
+    deep.push({ criterion: 'poverty', description: `Poverty rate ${povertyRate}% is at least ${NMTC.DEEP_POVERTY_RATE}%` });
+  }
+  if (incomeRatio !== null && incomeRatio <= NMTC.DEEP_INCOME_RATIO) {
+    deep.push({ criterion: 'income', description: `Median family income at or below ${NMTC.DEEP_INCOME_RATIO * 100}% of area median` });
+  }
+  if (unemploymentRatio !== null && unemploymentRatio >= NMTC.DEEP_UNEMPLOYMENT_MULTIPLE) {
+    deep.push({ criterion: 'unemployment', description: `Unemployment at least ${NMTC.DEEP_UNEMPLOYMENT_MULTIPLE}x the national rate` });
+  }
+
+  // Distress tiers only apply to tracts that already qualify as low-income communities
+  let tier = NMTC_DISTRESS_TIERS.NOT_ELIGIBLE;
+  if (lic.eligible) {
+    if (deep.length > 0) tier = NMTC_DISTRESS_TIERS.DEEPLY_DISTRESSED;
+    else if (severe.length > 0) tier = NMTC_DISTRESS_TIERS.SEVERELY_DISTRESSED;
+    else tier = NMTC_DISTRESS_TIERS.ELIGIBLE;
+  }
+
+  return {
+    tier,
+    competitive: tier === NMTC_DISTRESS_TIERS.SEVERELY_DISTRESSED || tier === NMTC_DISTRESS_TIERS.DEEPLY_DISTRESSED,
+    unemploymentRate,
+    nationalUnemploymentRate,
+    unemploymentRatio: unemploymentRatio !== null ? roundTo(unemploymentRatio, 2) : null,
+    nonMetro: !lic.metro,
+    severeDistressCriteria: lic.eligible ? severe : [],
+    deepDistressCriteria: lic.eligible ? deep : [],
+    note: unemploymentRatio === null ? 'Unemployment data unavailable - tier may be understated' : null
+  };
+}
@@ -0,0 +1,182 @@
+// src/services/calculators/opportunityZoneBenefits.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+import { toDate, addDays, addYears, yearsBetween, minDate, formatISODate } from '../utils/dates.js';
+
+const OZ = PROGRAM_LIMITS.OPPORTUNITY_ZONES;
+
+export const OZ_REGIMES = {
+  // Gains invested through 2026: fixed December 31, 2026 recognition date
+  ORIGINAL: 'original',
+  // Gains invested from 2027: rolling 5-year deferral per investment
+  ROLLING: 'rolling'
+};
+
+// Compare investing a capital gain in a QOF against paying the tax and investing what is left
+export function calculateOZInvestorBenefits(inputs = {}) {
+  const {
+    gainAmount,
+    gainRealizationDate,
+    investmentDate,
+    holdingPeriodYears = 10,
+    federalRate = 0.238, // 20% long-term rate + 3.8% net investment income tax
+    stateRate = 0,
+    stateConforms = true,
+    appreciationRate = 0.04,
+    ruralFund = false
+  } = inputs;
+
+  if (typeof gainAmount !== 'number' || gainAmount <= 0) {
+    throw new ValidationError('Gain amount must be a positive number', 'gainAmount');
+  }
+  const realized = toDate(gainRealizationDate);
+  const invested = toDate(investmentDate);
+  if (!realized) {
+    throw new ValidationError('Gain realization date is required', 'gainRealizationDate');
+  }
+  if (!invested) {
+    throw new ValidationError('Investment date is required', 'investmentDate');
+  }
+  if (typeof holdingPeriodYears !== 'number' || holdingPeriodYears <= 0) {
+    throw new ValidationError('Holding period must be a positive number of years', 'holdingPeriodYears');
+  }
+
+  const warnings = [];
+  const reinvestmentDeadline = addDays(realized, OZ.REINVESTMENT_WINDOW_DAYS);
+  const withinReinvestmentWindow = invested >= realized && invested <= reinvestmentDeadline;
+  if (!withinReinvestmentWindow) {
+    warnings.push(`Investment must be made within ${OZ.REINVESTMENT_WINDOW_DAYS} days of realizing the gain (by ${formatISODate(reinvestmentDeadline)})`);
+  }
+
+  const regime = invested <= toDate(OZ.DEFERRAL_DEADLINE) ? OZ_REGIMES.ORIGINAL : OZ_REGIMES.ROLLING;
+  const exitDate = addYears(invested, holdingPeriodYears);
+  const valueAt = (date) => gainAmount * Math.pow(1 + appreciationRate, Math.max(0, yearsBetween(invested, date)));
+
+  // Deferral and basis step-up
+  const scheduledRecognition = regime === OZ_REGIMES.ORIGINAL ?
+    toDate(OZ.DEFERRAL_DEADLINE) :
+    addYears(invested, OZ.ROLLING_DEFERRAL_YEARS);
+  const recognitionDate = minDate(scheduledRecognition, exitDate);
+  const yearsHeldAtRecognition = yearsBetween(invested, recognitionDate);
+
+  // Compare anniversaries directly; a days/365.25 count misses exact anniversaries across leap days
+  const heldThrough = (years) => addYears(invested, years) <= recognitionDate;
+
+  let stepUpPercent = 0;
+  const stepUpDates = [];
+  if (regime === OZ_REGIMES.ORIGINAL) {
+    if (heldThrough(5)) {
+      stepUpPercent += OZ.FIVE_YEAR_STEP_UP;
+      stepUpDates.push({ date: formatISODate(addYears(invested, 5)), percent: OZ.FIVE_YEAR_STEP_UP });
+    }
+    if (heldThrough(7)) {
+      stepUpPercent += OZ.SEVEN_YEAR_STEP_UP;
+      stepUpDates.push({ date: formatISODate(addYears(invested, 7)), percent: OZ.SEVEN_YEAR_STEP_UP });
+    }
+  } else if (heldThrough(OZ.ROLLING_DEFERRAL_YEARS)) {
+    stepUpPercent = ruralFund ? OZ.RURAL_FIVE_YEAR_STEP_UP : OZ.FIVE_YEAR_STEP_UP;
+    stepUpDates.push({ date: formatISODate(addYears(invested, OZ.ROLLING_DEFERRAL_YEARS)), percent: stepUpPercent });
+  }
+
+  // Federal tax follows the QOF; a non-conforming state taxes the gain as if it were never deferred
+  const deferredRate = stateConforms ? federalRate + stateRate : federalRate;
+  const currentStateRate = stateConforms ? 0 : stateRate;
+
+  const basisStepUp = gainAmount * stepUpPercent;
+  const recognizedGain = Math.max(0, Math.min(gainAmount, valueAt(recognitionDate)) - basisStepUp);
+  const recognitionTax = recognizedGain * deferredRate;
+  const upfrontStateTax = gainAmount * currentStateRate;
+
+  // Exit: after 10 years the investor elects fair market value basis
+  const exitValue = valueAt(exitDate);
+  const appreciation = exitValue - gainAmount;
+  const exclusionDeadline = regime === OZ_REGIMES.ORIGINAL ? toDate(OZ.DESIGNATION_EXPIRATION) : null;
+  const tenYearExclusion = holdingPeriodYears >= OZ.MAX_BENEFIT_YEARS &&
+    withinReinvestmentWindow && (!exclusionDeadline || exitDate <= exclusionDeadline);
+
+  if (holdingPeriodYears >= OZ.MAX_BENEFIT_YEARS && exclusionDeadline && exitDate > exclusionDeadline) {
+    warnings.push(`Exit after ${OZ.DESIGNATION_EXPIRATION} falls outside the zone designation - appreciation exclusion is lost`);
+  }
+
+  let excludedAppreciation = 0;
+  if (tenYearExclusion) {
+    // Rolling-regime basis step-up to fair market value stops at 30 years
+    const capDate = regime === OZ_REGIMES.ROLLING ? addYears(invested, OZ.EXCLUSION_CAP_YEARS) : null;
+    const excludedThrough = capDate && exitDate > capDate ? capDate : exitDate;
+    excludedAppreciation = Math.max(0, valueAt(excludedThrough) - gainAmount);
+    if (excludedThrough !== exitDate) {
+      warnings.push(`Appreciation after year ${OZ.EXCLUSION_CAP_YEARS} is taxable`);
+    }
+  }
+
+  const taxableAppreciation = Math.max(0, appreciation - excludedAppreciation);
+  const exitTax = taxableAppreciation * deferredRate + Math.max(0, appreciation) * currentStateRate;
+  const ozTotalTax = recognitionTax + upfrontStateTax + exitTax;
+  const ozAfterTaxProceeds = exitValue - recognitionTax - upfrontStateTax - exitTax;
+
+  // Baseline: pay tax on the gain now and invest the remainder in the same project
+  const baselineUpfrontTax = gainAmount * (federalRate + stateRate);
+  const baselineInvested = gainAmount - baselineUpfrontTax;
+  const baselineExitValue = baselineInvested * Math.pow(1 + appreciationRate, holdingPeriodYears);
+  const baselineExitTax = Math.max(0, baselineExitValue - baselineInvested) * (federalRate + stateRate);
+  const baselineTotalTax = baselineUpfrontTax + baselineExitTax;
+  const baselineAfterTaxProceeds = baselineExitValue - baselineExitTax;
+
+  return {
+    eligible: withinReinvestmentWindow,
+    regime,
+    timeline: {
+      gainRealizationDate: formatISODate(realized),
+      reinvestmentDeadline: formatISODate(reinvestmentDeadline),
+      investmentDate: formatISODate(invested),
+      recognitionDate: formatISODate(recognitionDate),
+      exitDate: formatISODate(exitDate),
+      holdingPeriodYears,
+      stepUpDates
+    },
+    deferral: {
+      deferredGain: roundTo(gainAmount),
+      yearsDeferred: roundTo(yearsHeldAtRecognition, 2),
+      basisStepUpPercent: roundTo(stepUpPercent, 2),
+      basisStepUp: roundTo(basisStepUp),
+      recognizedGain: roundTo(recognizedGain),
+      recognitionTax: roundTo(recognitionTax),
+      upfrontStateTax: roundTo(upfrontStateTax)
+    },
+    exit: {
+      exitValue: roundTo(exitValue),
+      appreciation: roundTo(appreciation),
+      tenYearExclusion,
+      excludedAppreciation: roundTo(excludedAppreciation),
+      taxableAppreciation: roundTo(taxableAppreciation),
+      exitTax: roundTo(exitTax)
+    },
+    ozScenario: {
+      amountInvested: roundTo(gainAmount),
+      totalTax: roundTo(ozTotalTax),
+      afterTaxProceeds: roundTo(ozAfterTaxProceeds)
+    },
+    baseline: {
+      upfrontTax: roundTo(baselineUpfrontTax),
+      amountInvested: roundTo(baselineInvested),
+      exitValue: roundTo(baselineExitValue),
+      exitTax: roundTo(baselineExitTax),
+      totalTax: roundTo(baselineTotalTax),
+      afterTaxProceeds: roundTo(baselineAfterTaxProceeds)
+    },
+    comparison: {
+      taxSavings: roundTo(baselineTotalTax - ozTotalTax),
+      additionalAfterTaxProceeds: roundTo(ozAfterTaxProceeds - baselineAfterTaxProceeds),
+      taxFreeAppreciation: roundTo(excludedAppreciation)
+    },
+    assumptions: {
+      federalRate,
+      stateRate,
+      stateConforms,
+      appreciationRate,
+      ruralFund
+    },
+    warnings
+  };
+}
@@ -0,0 +1,159 @@
+// src/services/calculators/qalicbTests.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+
+const NMTC = PROGRAM_LIMITS.NMTC;
+
+// Businesses that can never be a QALICB (Treas. Reg. 1.45D-1(d)(5)(iii)). Residential rental
+// and farming are handled separately because they depend on thresholds.
+export const QALICB_EXCLUDED_BUSINESSES = {
+  golf_course: 'Golf course',
+  country_club: 'Country club',
+  massage_parlor: 'Massage parlor',
+  hot_tub_facility: 'Hot tub facility',
+  suntan_facility: 'Suntan facility',
+  racetrack: 'Racetrack',
+  gambling: 'Gambling facility',
+  liquor_store: 'Store whose principal business is selling alcohol for off-premises consumption',
+  intangibles: 'Development or holding of intangibles for sale or license'
+};
+
+export const QALICB_ENTITY_TYPES = {
+  OPERATING_BUSINESS: 'operating_business',
+  REAL_ESTATE: 'real_estate'
+};
+
+// Evaluate a questionnaire describing the borrower against each QALICB requirement
+export function evaluateQALICB(inputs = {}) {
+  const {
+    entityType = QALICB_ENTITY_TYPES.OPERATING_BUSINESS,
+    grossIncome = {},
+    tangibleProperty = {},
+    services = {},
+    propertyBasis = {},
+    activities = [],
+    rental = {},
+    farmingAssets = 0
+  } = inputs;
+
+  if (!Object.values(QALICB_ENTITY_TYPES).includes(entityType)) {
+    throw new ValidationError(`Entity type must be one of: ${Object.values(QALICB_ENTITY_TYPES).join(', ')}`, 'entityType');
+  }
+  if (typeof propertyBasis.total !== 'number' || propertyBasis.total <= 0) {
+    throw new ValidationError('Total unadjusted basis of property must be a positive number', 'propertyBasis');
+  }
+
+  const tangible = ratioTest(tangibleProperty.useInLIC, tangibleProperty.totalUse, NMTC.QALICB_TANGIBLE_PROPERTY,
+    'use of tangible property within low-income communities');
+
+  // An entity without employees passes the services and gross income tests if at least 85%
+  // of its tangible property use is in low-income communities
+  const hasEmployees = services.employees === undefined ? true : services.employees > 0;
+  const noEmployeeSafeHarbor = !hasEmployees && tangible.ratio >= NMTC.QALICB_NO_EMPLOYEE_PROPERTY;
+
+  const servicesTest = noEmployeeSafeHarbor ?
+    deemed(NMTC.QALICB_SERVICES, `No employees and ${percent(tangible.ratio)} of tangible property use is in LICs`) :
+    ratioTest(services.inLIC, services.total, NMTC.QALICB_SERVICES, 'services performed by employees within low-income communities');
+
+  // Meeting the tangible property or services test at the 50% level also satisfies the
+  // gross income test
+  let incomeTest = ratioTest(grossIncome.fromLICActivity, grossIncome.total, NMTC.QALICB_GROSS_INCOME,
+    'gross income from the active conduct of business within low-income communities');
+  if (!incomeTest.passed && noEmployeeSafeHarbor) {
+    incomeTest = deemed(NMTC.QALICB_GROSS_INCOME, 'Deemed met under the no-employee tangible property safe harbor');
+  } else if (!incomeTest.passed && (tangible.ratio >= NMTC.QALICB_GROSS_INCOME || servicesTest.ratio >= NMTC.QALICB_GROSS_INCOME)) {
+    incomeTest = deemed(NMTC.QALICB_GROSS_INCOME, 'Deemed met because at least 50% of tangible property use or services is within LICs');
+  }
+
+  // Reasonable working capital is not nonqualified financial property
+  const nqfp = Math.max(0, (propertyBasis.nonqualifiedFinancialProperty || 0) - (propertyBasis.workingCapital || 0));
+  const collectiblesTest = limitTest(propertyBasis.collectibles || 0, propertyBasis.total, NMTC.QALICB_COLLECTIBLES_MAX, 'collectibles');
+  const nqfpTest = limitTest(nqfp, propertyBasis.total, NMTC.QALICB_NQFP_MAX, 'nonqualified financial property');
+
+  const excluded = evaluateExcludedBusiness({ entityType, activities, rental, farmingAssets });
+
+  const tests = {
+    grossIncome: incomeTest,
+    tangibleProperty: tangible,
+    servicesPerformed: servicesTest,
+    collectibles: collectiblesTest,
+    nonqualifiedFinancialProperty: nqfpTest,
+    excludedBusiness: excluded
+  };
+
+  const failedTests = Object.entries(tests).filter(([, test]) => !test.passed).map(([name]) => name);
+
+  return {
+    qualified: failedTests.length === 0,
+    entityType,
+    tests,
+    failedTests,
+    reasons: failedTests.map(name => tests[name].reason)
+  };
+}
+
+function evaluateExcludedBusiness({ entityType, activities, rental, farmingAssets }) {
+  const reasons = activities
+    .filter(activity => QALICB_EXCLUDED_BUSINESSES[activity])
+    .map(activity => `${QALICB_EXCLUDED_BUSINESSES[activity]} is an excluded business`);
+
+  if (activities.includes('farming') && farmingAssets > NMTC.FARMING_ASSET_LIMIT) {
+    reasons.push(`Farming with assets over ${NMTC.FARMING_ASSET_LIMIT.toLocaleString()} is an excluded business`);
+  }
+
+  if (entityType === QALICB_ENTITY_TYPES.REAL_ESTATE) {
+    const residentialShare = rental.residentialIncomeShare || 0;
+    if (residentialShare >= NMTC.RESIDENTIAL_RENTAL_INCOME_SHARE) {
+      reasons.push(`${percent(residentialShare)} of rental income is from dwelling units - residential rental property is excluded`);
+    }
+    // Leasing real estate is only an active business when there are substantial improvements
+    if (rental.substantialImprovements === false) {
+      reasons.push('Real property rental requires substantial improvements on the property');
+    }
+  }
+
+  return {
+    passed: reasons.length === 0,
+    reason: reasons.length === 0 ? 'No excluded business activities' : reasons.join('; '),
+    excludedActivities: reasons
+  };
+}
+
+function ratioTest(numerator = 0, denominator, threshold, description) {
+  if (typeof denominator !== 'number' || denominator <= 0) {
+    return {
+      passed: false,
+      ratio: 0,
+      threshold,
+      reason: `No data for ${description}`
+    };
+  }
+  const ratio = numerator / denominator;
+  const passed = ratio >= threshold;
+  return {
+    passed,
+    ratio: roundTo(ratio, 4),
+    threshold,
+    reason: `${percent(ratio)} ${description} (at least ${percent(threshold)} required)`
+  };
+}
+
+function limitTest(amount, total, limit, label) {
+  const ratio = amount / total;
+  const passed = ratio < limit;
+  return {
+    passed,
+    ratio: roundTo(ratio, 4),
+    threshold: limit,
+    reason: `${percent(ratio)} of property basis is ${label} (must be under ${percent(limit)})`
+  };
+}
+
+function deemed(threshold, reason) {
+  return { passed: true, ratio: null, threshold, deemed: true, reason };
+}
+
+function percent(ratio) {
+  return `${roundTo(ratio * 100, 1)}%`;
+}
@@ -0,0 +1,264 @@
+// src/services/calculators/qofCompliance.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+import { toDate, addMonths, monthsBetween, formatISODate } from '../utils/dates.js';
+
+const OZ = PROGRAM_LIMITS.OPPORTUNITY_ZONES;
+const DEFAULT_UNDERPAYMENT_RATE = 0.07; // IRC 6621(a)(2) rate; update each quarter
+
+// Semiannual testing dates for a calendar-year QOF. A fund certified in the first half of the
+// year tests six months after certification; one certified in the second half tests only at year end.
+export function getQOFTestingDates(certificationDate, throughDate = new Date()) {
+  const certified = toDate(certificationDate);
+  const through = toDate(throughDate);
+  if (!certified) {
+    throw new ValidationError('QOF certification date is required', 'certificationDate');
+  }
+
+  const dates = [];
+  const firstYear = certified.getUTCFullYear();
+  const certifiedMonth = certified.getUTCMonth(); // 0-based
+
+  if (certifiedMonth < 6) {
+    dates.push(endOfMonth(firstYear, certifiedMonth + 5));
+  }
+  dates.push(endOfMonth(firstYear, 11));
+
+  for (let year = firstYear + 1; endOfMonth(year, 5) <= through; year++) {
+    dates.push(endOfMonth(year, 5));
+    dates.push(endOfMonth(year, 11));
+  }
+
+  return dates.filter(date => date <= through).map(formatISODate);
+}
+
+// Evaluate the QOF 90% asset test and the QOZB tests for each balance-sheet snapshot
+export function evaluateQOFCompliance(inputs = {}) {
+  const {
+    certificationDate = null,
+    snapshots = [],
+    underpaymentRate = DEFAULT_UNDERPAYMENT_RATE,
+    asOfDate = new Date()
+  } = inputs;
+
+  if (!Array.isArray(snapshots) || snapshots.length === 0) {
+    throw new ValidationError('At least one testing-date snapshot is required', 'snapshots');
+  }
+
+  const sorted = snapshots
+    .map((snapshot, index) => {
+      const testingDate = toDate(snapshot.testingDate);
+      if (!testingDate) {
+        throw new ValidationError(`Snapshot ${index + 1} is missing a valid testing date`, 'snapshots');
+      }
+      return { ...snapshot, testingDate };
+    })
+    .sort((a, b) => a.testingDate - b.testingDate);
+
+  let previousDate = toDate(certificationDate);
+  const results = sorted.map(snapshot => {
+    const qozb = snapshot.qozb ? evaluateQOZB(snapshot.qozb, snapshot.testingDate) : null;
+    const qof = evaluateAssetTest(snapshot.qof || {}, qozb, snapshot.testingDate);
+
+    // Penalty runs for each month since the prior testing date (six months for a full period)
+    const penaltyMonths = previousDate ?
+      Math.max(1, monthsBetween(previousDate, snapshot.testingDate)) : 6;
+    const monthlyPenalty = qof.shortfall * underpaymentRate / 12;
+    previousDate = snapshot.testingDate;
+
+    return {
+      testingDate: formatISODate(snapshot.testingDate),
+      passed: qof.passed && (!qozb || qozb.passed),
+      qof: {
+        ...qof,
+        penalty: {
+          months: qof.passed ? 0 : penaltyMonths,
+          monthlyPenalty: Math.round(monthlyPenalty),
+          total: qof.passed ? 0 : Math.round(monthlyPenalty * penaltyMonths)
+        }
+      },
+      qozb
+    };
+  });
+
+  const tested = new Set(results.map(result => result.testingDate));
+  const missingTestingDates = certificationDate ?
+    getQOFTestingDates(certificationDate, asOfDate).filter(date => !tested.has(date)) : [];
+
+  return {
+    compliant: results.every(result => result.passed) && missingTestingDates.length === 0,
+    testingDates: results,
+    missingTestingDates,
+    totalPenalty: results.reduce((sum, result) => sum + result.qof.penalty.total, 0),
+    underpaymentRate,
+    note: 'Penalties may be waived for reasonable cause; confirm the underpayment rate for each month'
+  };
+}
+
+function evaluateAssetTest(qof, qozb, testingDate) {
+  const {
+    qozBusinessProperty = 0,
+    qozbInterests = 0,
+    totalAssets,
+    newCapital = 0
+  } = qof;
+
+  if (typeof totalAssets !== 'number' || totalAssets <= 0) {
+    throw new ValidationError('QOF total assets must be a positive number', 'totalAssets');
+  }
+
+  const warnings = [];
+  // QOZB stock or partnership interests only count while the business passes its own tests
+  const countedInterests = qozb && !qozb.passed ? 0 : qozbInterests;
+  if (countedInterests !== qozbInterests) {
+    warnings.push('QOZB interests excluded because the business failed a QOZB test on this date');
+  }
+
+  const excludedNewCapital = resolveNewCapitalExclusion(newCapital, testingDate, warnings);
+  const testedAssets = totalAssets - excludedNewCapital;
+  const qualifyingProperty = qozBusinessProperty + countedInterests;
+  const ratio = testedAssets > 0 ? qualifyingProperty / testedAssets : 0;
+  const required = testedAssets * OZ.QOF_ASSET_TEST;
+  const passed = ratio >= OZ.QOF_ASSET_TEST;
+
+  return {
+    passed,
+    ratio: roundTo(ratio, 4),
+    threshold: OZ.QOF_ASSET_TEST,
+    qualifyingProperty: Math.round(qualifyingProperty),
+    testedAssets: Math.round(testedAssets),
+    excludedNewCapital: Math.round(excludedNewCapital),
+    shortfall: passed ? 0 : Math.round(required - qualifyingProperty),
+    warnings
+  };
+}
+
+// Cash contributed within the prior six months may be left out of both sides of the test.
+// newCapital lists contributions as { amount, receivedDate }; a bare number is taken as undated.
+function resolveNewCapitalExclusion(newCapital, testingDate, warnings) {
+  if (typeof newCapital === 'number') {
+    if (newCapital > 0) {
+      warnings.push(`New capital excluded without receipt dates - confirm it was received within ${OZ.NEW_CAPITAL_EXCLUSION_MONTHS} months of the testing date`);
+    }
+    return Math.max(0, newCapital);
+  }
+  if (!Array.isArray(newCapital)) {
+    throw new ValidationError('New capital must be an amount or a list of contributions', 'newCapital');
+  }
+
+  const windowStart = addMonths(testingDate, -OZ.NEW_CAPITAL_EXCLUSION_MONTHS);
+  return newCapital.reduce((sum, contribution) => {
+    const received = toDate(contribution.receivedDate);
+    if (!received) {
+      throw new ValidationError('Each new capital contribution needs a receipt date', 'newCapital');
+    }
+    if (received > testingDate) return sum;
+    if (received <= windowStart) {
+      warnings.push(`Contribution received ${formatISODate(received)} is more than ${OZ.NEW_CAPITAL_EXCLUSION_MONTHS} months old and counts in the asset test`);
+      return sum;
+    }
+    return sum + (contribution.amount || 0);
+  }, 0);
+}
+
+function evaluateQOZB(qozb, testingDate) {
+  const {
+    tangibleProperty = {},
+    grossIncome = {},
+    intangibles = {},
+    financialProperty = {},
+    workingCapital = null
+  } = qozb;
+
+  const safeHarbor = evaluateWorkingCapitalSafeHarbor(workingCapital, testingDate);
+  const shelteredCash = safeHarbor.applies ? safeHarbor.amount : 0;
+
+  // Under the safe harbor, property being built with the working capital counts as qualifying
+  const tangible = ratioTest(
+    (tangibleProperty.qualifying || 0) + (safeHarbor.applies ? tangibleProperty.underConstruction || 0 : 0),
+    tangibleProperty.total,
+    OZ.QOZB_TANGIBLE_PROPERTY
+  );
+  // Income earned on safe-harbored working capital counts toward the active-business test
+  const income = ratioTest(
+    (grossIncome.activeInZone || 0) + (safeHarbor.applies ? grossIncome.fromWorkingCapital || 0 : 0),
+    grossIncome.total,
+    OZ.QOZB_GROSS_INCOME
+  );
+  const intangible = ratioTest(intangibles.usedInZone, intangibles.total, OZ.QOZB_INTANGIBLES);
+
+  const nonqualified = Math.max(0, (financialProperty.nonqualified || 0) - shelteredCash);
+  const nqfpRatio = financialProperty.totalBasis > 0 ? nonqualified / financialProperty.totalBasis : 0;
+  const nqfp = {
+    passed: nqfpRatio < OZ.QOZB_NQFP_MAX,
+    ratio: roundTo(nqfpRatio, 4),
+    threshold: OZ.QOZB_NQFP_MAX,
+    comparison: 'below',
+    excludedWorkingCapital: Math.round(shelteredCash)
+  };
+
+  const tests = {
+    tangibleProperty: tangible,
+    grossIncome: income,
+    intangibles: intangible,
+    nonqualifiedFinancialProperty: nqfp
+  };
+
+  return {
+    passed: Object.values(tests).every(test => test.passed),
+    tests,
+    failedTests: Object.entries(tests).filter(([, test]) => !test.passed).map(([name]) => name),
+    workingCapitalSafeHarbor: safeHarbor
+  };
+}
+
+function evaluateWorkingCapitalSafeHarbor(workingCapital, testingDate) {
+  if (!workingCapital || !workingCapital.amount) {
+    return { applies: false, amount: 0, reasons: ['No working capital designated'] };
+  }
+
+  const {
+    amount,
+    receivedDate,
+    writtenPlan = false,
+    scheduleMonths = OZ.WORKING_CAPITAL_MONTHS,
+    subsequentInfusions = false,
+    consistentWithPlan = true
+  } = workingCapital;
+
+  const received = toDate(receivedDate);
+  const maxMonths = subsequentInfusions ? OZ.WORKING_CAPITAL_MAX_MONTHS : OZ.WORKING_CAPITAL_MONTHS;
+  const reasons = [];
+
+  if (!writtenPlan) reasons.push('No written designation and plan for the working capital');
+  if (!received) reasons.push('Working capital receipt date not provided');
+  if (scheduleMonths > maxMonths) reasons.push(`Written schedule of ${scheduleMonths} months exceeds ${maxMonths}`);
+  if (!consistentWithPlan) reasons.push('Working capital not used consistently with the written plan');
+
+  const scheduleEnd = received ? addMonths(received, Math.min(scheduleMonths, maxMonths)) : null;
+  if (scheduleEnd && testingDate > scheduleEnd) {
+    reasons.push(`Safe harbor period ended ${formatISODate(scheduleEnd)}`);
+  }
+
+  return {
+    applies: reasons.length === 0,
+    amount: reasons.length === 0 ? amount : 0,
+    periodEnds: formatISODate(scheduleEnd),
+    reasons
+  };
+}
+
+function ratioTest(numerator = 0, denominator, threshold) {
+  const ratio = denominator > 0 ? numerator / denominator : 0;
+  return {
+    passed: ratio >= threshold,
+    ratio: roundTo(ratio, 4),
+    threshold,
+    comparison: 'at_least'
+  };
+}
+
+function endOfMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0));
+}
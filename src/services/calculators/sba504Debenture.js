@@ -0,0 +1,119 @@
+// src/services/calculators/sba504Debenture.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo, amortizingPayment } from '../utils/finance.js';
+
+const SBA_504 = PROGRAM_LIMITS.SBA_504;
+
+export function debentureTreasuryTenor(termYears) {
+  const tenor = SBA_504.DEBENTURE_TREASURY_TENOR[termYears];
+  if (!tenor) {
+    throw new ValidationError(`Debenture term must be one of: ${Object.keys(SBA_504.DEBENTURE_TREASURY_TENOR).join(', ')} years`, 'termYears');
+  }
+  return tenor;
+}
+
+// Price a 504 debenture: the one-time fees are rolled into the gross debenture, the annual fees
+// are added to the coupon to give the borrower's note rate, and the interim loan that carries
+// the CDC portion until the debenture sells is a separate borrower cost. allInRate is the rate
+// that equates the net debenture (less interim interest) to the stream of note payments.
+export function priceSBA504Debenture(inputs = {}) {
+  const {
+    netDebenture,
+    treasuryYield,
+    termYears = 20,
+    spread = SBA_504.DEBENTURE_SPREAD,
+    cdcServicingFee = SBA_504.CDC_SERVICING_FEE,
+    closingCosts = SBA_504.CLOSING_COSTS,
+    interimMonths = 0,
+    interimRate = 0.075,
+    interimAverageOutstanding = 0.5
+  } = inputs;
+
+  if (typeof netDebenture !== 'number' || netDebenture <= 0) {
+    throw new ValidationError('Net debenture must be a positive number', 'netDebenture');
+  }
+  if (typeof treasuryYield !== 'number' || treasuryYield <= 0 || treasuryYield >= 0.2) {
+    throw new ValidationError('Treasury yield must be a decimal rate between 0 and 0.20', 'treasuryYield');
+  }
+  const treasuryTenor = debentureTreasuryTenor(termYears);
+  if (typeof interimMonths !== 'number' || interimMonths < 0) {
+    throw new ValidationError('Interim months must be a non-negative number', 'interimMonths');
+  }
+
+  const warnings = [];
+  if (netDebenture > SBA_504.MAX_SBA_AMOUNT) {
+    warnings.push(`Net debenture exceeds the $${SBA_504.MAX_SBA_AMOUNT.toLocaleString()} SBA maximum`);
+  }
+
+  // Processing and guarantee fees are charged on the net debenture; funding and underwriter
+  // fees on the gross amount. Debentures are issued in $1,000 increments.
+  const processingFee = netDebenture * SBA_504.CDC_PROCESSING_FEE;
+  const guaranteeFee = netDebenture * SBA_504.SBA_GUARANTEE_FEE;
+  const grossShareFees = SBA_504.FUNDING_FEE + SBA_504.UNDERWRITER_FEE;
+  const grossDebenture = Math.ceil((netDebenture + processingFee + guaranteeFee + closingCosts) / (1 - grossShareFees) / 1000) * 1000;
+  const fundingFee = grossDebenture * SBA_504.FUNDING_FEE;
+  const underwriterFee = grossDebenture * SBA_504.UNDERWRITER_FEE;
+  const capitalizedFees = grossDebenture - netDebenture;
+
+  const debentureRate = treasuryYield + spread;
+  const annualFees = SBA_504.SBA_ANNUAL_FEE + cdcServicingFee + SBA_504.CSA_FEE;
+  const noteRate = debentureRate + annualFees;
+
+  const periods = termYears * 12;
+  const monthlyPayment = amortizingPayment(grossDebenture, noteRate / 12, periods);
+  const totalPayments = monthlyPayment * periods;
+
+  const interimInterest = netDebenture * interimAverageOutstanding * interimRate * interimMonths / 12;
+  const allInRate = solveRate(netDebenture - interimInterest, monthlyPayment, periods) * 12;
+
+  return {
+    termYears,
+    treasuryTenor,
+    treasuryYield,
+    netDebenture: Math.round(netDebenture),
+    grossDebenture,
+    capitalizedFees: {
+      cdcProcessing: Math.round(processingFee),
+      sbaGuarantee: Math.round(guaranteeFee),
+      funding: Math.round(fundingFee),
+      underwriter: Math.round(underwriterFee),
+      closingCosts,
+      roundingAdjustment: Math.round(capitalizedFees - processingFee - guaranteeFee - fundingFee - underwriterFee - closingCosts),
+      total: Math.round(capitalizedFees)
+    },
+    rates: {
+      spread,
+      debentureRate: roundTo(debentureRate, 5),
+      sbaAnnualFee: SBA_504.SBA_ANNUAL_FEE,
+      cdcServicingFee,
+      csaFee: SBA_504.CSA_FEE,
+      noteRate: roundTo(noteRate, 5),
+      allInRate: roundTo(allInRate, 5)
+    },
+    interimLoan: {
+      months: interimMonths,
+      rate: interimRate,
+      interest: Math.round(interimInterest)
+    },
+    monthlyPayment: Math.round(monthlyPayment),
+    totalPayments: Math.round(totalPayments),
+    totalCost: Math.round(totalPayments + interimInterest - netDebenture),
+    warnings
+  };
+}
+
+// Monthly rate at which the present value of the payments equals the amount financed
+function solveRate(amount, payment, periods) {
+  let low = 0;
+  let high = 0.05;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (amortizingPayment(amount, mid, periods) < payment) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
@@ -0,0 +1,128 @@
+// src/services/calculators/sba504EquityInjection.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+
+const SBA_504 = PROGRAM_LIMITS.SBA_504;
+
+// Properties with a limited alternative use that SBA treats as special purpose
+export const SPECIAL_PURPOSE_PROPERTIES = {
+  hospitality: 'Hotel or motel',
+  car_wash: 'Car wash',
+  gas_station: 'Gas station',
+  bowling_alley: 'Bowling alley',
+  marina: 'Marina',
+  nursing_home: 'Nursing home or assisted living facility',
+  funeral_home: 'Funeral home',
+  daycare: 'Child care center',
+  school: 'School',
+  theater: 'Theater',
+  amusement: 'Amusement park or recreation facility',
+  cold_storage: 'Cold storage facility'
+};
+
+// Standard 50/40/10 split, 50/35/15 for a startup or special-purpose property, 50/30/20 for both
+export const SBA_504_STRUCTURES = [
+  { key: 'standard', label: '50% bank / 40% CDC / 10% borrower', bank: 0.50, cdc: 0.40, borrower: 0.10 },
+  { key: 'single_adder', label: '50% bank / 35% CDC / 15% borrower', bank: 0.50, cdc: 0.35, borrower: 0.15 },
+  { key: 'double_adder', label: '50% bank / 30% CDC / 20% borrower', bank: 0.50, cdc: 0.30, borrower: 0.20 }
+];
+
+// Cash, land the borrower already owns and a seller note on full standby all count toward the
+// injection. Extra equity reduces the CDC share; a CDC share over the SBA maximum moves to the bank.
+export function calculateSBA504EquityInjection(inputs = {}) {
+  const {
+    projectCost,
+    businessAge = null,
+    propertyType = null,
+    specialPurpose = null,
+    cashEquity = 0,
+    landEquity = 0,
+    sellerNote = 0,
+    sellerNoteStandby = true
+  } = inputs;
+
+  if (typeof projectCost !== 'number' || projectCost <= 0) {
+    throw new ValidationError('Project cost must be a positive number', 'projectCost');
+  }
+  [['cashEquity', cashEquity], ['landEquity', landEquity], ['sellerNote', sellerNote]].forEach(([field, value]) => {
+    if (typeof value !== 'number' || value < 0) {
+      throw new ValidationError(`${field} must be a non-negative number`, field);
+    }
+  });
+
+  const warnings = [];
+  const startup = businessAge !== null && businessAge < SBA_504.STARTUP_BUSINESS_AGE;
+  if (businessAge === null) {
+    warnings.push('Business age not provided - assumed an existing business');
+  }
+  const isSpecialPurpose = specialPurpose ?? Object.hasOwn(SPECIAL_PURPOSE_PROPERTIES, propertyType);
+
+  const adders = (startup ? 1 : 0) + (isSpecialPurpose ? 1 : 0);
+  const structure = SBA_504_STRUCTURES[adders];
+  const requiredRate = SBA_504.OWNER_EQUITY_MIN + adders * SBA_504.EQUITY_INJECTION_ADDER;
+  const required = projectCost * requiredRate;
+
+  const countedSellerNote = sellerNoteStandby ? sellerNote : 0;
+  if (sellerNote > 0 && !sellerNoteStandby) {
+    warnings.push('Seller note only counts toward the injection when subordinated and on full standby');
+  } else if (countedSellerNote > 0) {
+    warnings.push('Seller note counted as injection - it must be subordinate to the 504 loan and on full standby for 24 months');
+  }
+  if (landEquity > 0) {
+    warnings.push('Land equity counts at appraised value and the land must be part of the project cost');
+  }
+
+  const contributed = cashEquity + landEquity + countedSellerNote;
+  const shortfall = Math.max(0, required - contributed);
+
+  const borrower = Math.max(required, Math.min(contributed, projectCost));
+  let bank = projectCost * SBA_504.BANK_SHARE;
+  let cdc = Math.max(0, projectCost - bank - borrower);
+  if (cdc > SBA_504.MAX_SBA_AMOUNT) {
+    bank += cdc - SBA_504.MAX_SBA_AMOUNT;
+    cdc = SBA_504.MAX_SBA_AMOUNT;
+    warnings.push(`CDC share capped at the $${SBA_504.MAX_SBA_AMOUNT.toLocaleString()} SBA maximum - the bank carries the balance`);
+  }
+  if (bank + borrower > projectCost) {
+    bank = projectCost - borrower;
+  }
+
+  const reasons = [];
+  if (startup) reasons.push(`business under ${SBA_504.STARTUP_BUSINESS_AGE} years old`);
+  if (isSpecialPurpose) reasons.push(`special-purpose property${propertyType && SPECIAL_PURPOSE_PROPERTIES[propertyType] ? ` (${SPECIAL_PURPOSE_PROPERTIES[propertyType]})` : ''}`);
+
+  return {
+    meetsRequirement: shortfall === 0,
+    startup,
+    specialPurpose: isSpecialPurpose,
+    requiredRate: roundTo(requiredRate, 2),
+    requiredInjection: Math.round(required),
+    requirementBasis: reasons.length > 0 ? reasons.join(' and ') : 'standard project',
+    contributions: {
+      cash: Math.round(cashEquity),
+      land: Math.round(landEquity),
+      sellerNote: Math.round(countedSellerNote),
+      total: Math.round(contributed)
+    },
+    shortfall: Math.round(shortfall),
+    structure: {
+      key: structure.key,
+      label: structure.label,
+      bankLoan: Math.round(bank),
+      cdcDebenture: Math.round(cdc),
+      borrowerInjection: Math.round(borrower),
+      bankShare: roundTo(bank / projectCost, 3),
+      cdcShare: roundTo(cdc / projectCost, 3),
+      borrowerShare: roundTo(borrower / projectCost, 3)
+    },
+    variants: SBA_504_STRUCTURES.map(variant => ({
+      ...variant,
+      applies: variant.key === structure.key,
+      bankLoan: Math.round(projectCost * variant.bank),
+      cdcDebenture: Math.round(projectCost * variant.cdc),
+      borrowerInjection: Math.round(projectCost * variant.borrower)
+    })),
+    warnings
+  };
+}
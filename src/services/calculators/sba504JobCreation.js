@@ -0,0 +1,128 @@
+// src/services/calculators/sba504JobCreation.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+
+const SBA_504 = PROGRAM_LIMITS.SBA_504;
+
+// Community development and public policy goals that qualify a project which misses the job
+// ratio (13 CFR 120.862). The CDC's portfolio must still average the job ratio overall.
+export const SBA_504_POLICY_GOALS = {
+  rural_area: { type: 'community_development', label: 'Rural development' },
+  lmi_area: { type: 'community_development', label: 'Investment in a low- or moderate-income area' },
+  opportunity_zone: { type: 'community_development', label: 'Investment in an Opportunity Zone' },
+  energy_reduction: { type: 'public_policy', label: 'Energy reduction or renewable energy generation' },
+  manufacturing: { type: 'public_policy', label: 'Expansion of small manufacturers' },
+  women_owned: { type: 'public_policy', label: 'Expansion of businesses 51% owned by women' },
+  veteran_owned: { type: 'public_policy', label: 'Expansion of businesses 51% owned by veterans' },
+  minority_owned: { type: 'public_policy', label: 'Expansion of minority-owned businesses' }
+};
+
+export function isManufacturer({ naics = null, industry = null } = {}) {
+  if (naics) return /^3[1-3]/.test(String(naics));
+  return industry === 'manufacturing';
+}
+
+// Jobs created are projected minus current headcount within two years of completion; retained
+// jobs are ones that would be lost without the project and must be documented separately.
+// A ratio that cannot be measured yet (headcount or retained jobs not given) is left null.
+export function evaluateSBA504JobCreation(inputs = {}) {
+  const {
+    debentureAmount,
+    currentEmployees = null,
+    projectedEmployees = null,
+    jobsRetained = null,
+    naics = null,
+    industry = null,
+    ruralArea = false,
+    lmiArea = false,
+    opportunityZone = false,
+    energyReduction = null,
+    renewableEnergyShare = null,
+    womenOwned = false,
+    veteranOwned = false,
+    minorityOwned = false
+  } = inputs;
+
+  if (typeof debentureAmount !== 'number' || debentureAmount <= 0) {
+    throw new ValidationError('Debenture amount must be a positive number', 'debentureAmount');
+  }
+  if (jobsRetained !== null && (typeof jobsRetained !== 'number' || jobsRetained < 0)) {
+    throw new ValidationError('Jobs retained must be a non-negative number', 'jobsRetained');
+  }
+
+  const warnings = [];
+  const manufacturer = isManufacturer({ naics, industry });
+  // Small manufacturer status needs the headcount; an unknown size does not earn the higher ratio
+  const smallManufacturer = manufacturer && typeof currentEmployees === 'number' &&
+    currentEmployees <= SBA_504.SMALL_MANUFACTURER_MAX_EMPLOYEES;
+  if (manufacturer && typeof currentEmployees !== 'number') {
+    warnings.push('Current headcount needed to confirm small manufacturer status');
+  }
+  const energyGoal = (energyReduction ?? 0) >= SBA_504.ENERGY_REDUCTION_MIN ||
+    (renewableEnergyShare ?? 0) >= SBA_504.RENEWABLE_ENERGY_SHARE_MIN;
+
+  // Small manufacturers and energy public policy projects carry the higher ratio
+  const ratioThreshold = smallManufacturer || energyGoal ? SBA_504.SMALL_MANUFACTURER_JOB_RATIO : SBA_504.JOB_RATIO;
+  const jobsRequired = Math.ceil(debentureAmount / ratioThreshold);
+
+  let jobsCreated = null;
+  if (typeof currentEmployees === 'number' && typeof projectedEmployees === 'number') {
+    jobsCreated = Math.max(0, projectedEmployees - currentEmployees);
+    if (projectedEmployees < currentEmployees) {
+      warnings.push('Projected headcount is below current headcount');
+    }
+  } else {
+    warnings.push('Current and projected headcount needed to measure job creation');
+  }
+
+  const jobs = (jobsCreated ?? 0) + (jobsRetained ?? 0);
+  const debenturePerJob = jobs > 0 ? Math.round(debentureAmount / jobs) : null;
+  let meetsJobRatio = jobs > 0 && debenturePerJob <= ratioThreshold;
+  if (!meetsJobRatio && (jobsCreated === null || jobsRetained === null)) {
+    meetsJobRatio = null;
+    if (jobsRetained === null) {
+      warnings.push('Jobs retained not provided - document jobs that would be lost without the project to complete the job test');
+    }
+  }
+
+  const goals = {
+    rural_area: ruralArea,
+    lmi_area: lmiArea,
+    opportunity_zone: opportunityZone,
+    energy_reduction: energyGoal,
+    manufacturing: smallManufacturer,
+    women_owned: womenOwned,
+    veteran_owned: veteranOwned,
+    minority_owned: minorityOwned
+  };
+  const goalsMet = Object.entries(goals)
+    .filter(([, met]) => met)
+    .map(([key]) => ({ key, ...SBA_504_POLICY_GOALS[key] }));
+
+  let basis = null;
+  if (meetsJobRatio) {
+    basis = 'job_creation';
+  } else if (goalsMet.length > 0) {
+    basis = 'policy_goal';
+    warnings.push('Qualifying on a policy goal - the CDC must confirm its portfolio job ratio can absorb the project');
+  }
+
+  return {
+    qualifies: basis !== null ? true : meetsJobRatio,
+    basis,
+    jobRatio: {
+      threshold: ratioThreshold,
+      thresholdBasis: smallManufacturer ? 'small_manufacturer' : energyGoal ? 'energy_public_policy' : 'standard',
+      debentureAmount: Math.round(debentureAmount),
+      jobsCreated,
+      jobsRetained,
+      jobsRequired,
+      jobsShortfall: Math.max(0, jobsRequired - jobs),
+      debenturePerJob,
+      meetsJobRatio
+    },
+    goalsMet,
+    smallManufacturer,
+    warnings
+  };
+}
@@ -0,0 +1,201 @@
+// src/services/calculators/sba7aLoan.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo, amortizingPayment } from '../utils/finance.js';
+
+const SBA_7A = PROGRAM_LIMITS.SBA_7A;
+const SBA_504 = PROGRAM_LIMITS.SBA_504;
+
+// Uses of proceeds and which program can fund them. 504 is limited to long-lived fixed assets
+// and qualifying refinances; 7(a) also covers working capital, inventory and acquisitions.
+export const SBA_LOAN_USES = {
+  realEstate: { label: 'Purchase land or buildings', sba504: true, sba7a: true },
+  construction: { label: 'Construction or renovation', sba504: true, sba7a: true },
+  equipment: { label: 'Machinery and equipment', sba504: true, sba7a: true },
+  refinance: { label: 'Refinance business debt', sba504: true, sba7a: true },
+  workingCapital: { label: 'Working capital', sba504: false, sba7a: true },
+  inventory: { label: 'Inventory', sba504: false, sba7a: true },
+  businessAcquisition: { label: 'Business acquisition or change of ownership', sba504: false, sba7a: true }
+};
+
+export function sba7aGuaranteePercent(loanAmount) {
+  return loanAmount <= SBA_7A.SMALL_LOAN_MAX ? SBA_7A.SMALL_LOAN_GUARANTEE : SBA_7A.STANDARD_GUARANTEE;
+}
+
+export function sba7aGuaranteeFee(loanAmount, termYears = 10) {
+  const guaranteed = loanAmount * sba7aGuaranteePercent(loanAmount);
+  if (termYears <= 1) return guaranteed * SBA_7A.SHORT_TERM_GUARANTEE_FEE;
+
+  const tier = SBA_7A.GUARANTEE_FEE_TIERS.find(row => loanAmount <= row.maxLoan) ||
+    SBA_7A.GUARANTEE_FEE_TIERS[SBA_7A.GUARANTEE_FEE_TIERS.length - 1];
+  if (!tier.rateOverOneMillion) return guaranteed * tier.rate;
+  return Math.min(guaranteed, 1000000) * tier.rate +
+    Math.max(0, guaranteed - 1000000) * tier.rateOverOneMillion;
+}
+
+export function sba7aMaxSpread(loanAmount) {
+  return SBA_7A.MAX_SPREAD_TIERS.find(row => loanAmount <= row.maxLoan).spread;
+}
+
+// Mixed-purpose loans take the maturity weighted by dollars in each use
+export function sba7aMaturity(uses) {
+  const entries = Object.entries(uses).filter(([, amount]) => amount > 0);
+  const total = entries.reduce((sum, [, amount]) => sum + amount, 0);
+  if (total === 0) return SBA_7A.MAX_TERM_YEARS.realEstate;
+  const weighted = entries.reduce((sum, [use, amount]) => sum + amount * SBA_7A.MAX_TERM_YEARS[use], 0) / total;
+  return Math.round(weighted);
+}
+
+// Size and price a variable-rate 7(a) loan. uses maps SBA_LOAN_USES keys to dollars; without it
+// the whole project is treated as real estate. The guarantee fee is paid at closing.
+export function calculateSBA7aLoan(inputs = {}) {
+  const {
+    projectCost,
+    uses = null,
+    equityInjection = null,
+    businessAge = null,
+    primeRate = SBA_7A.PRIME_RATE,
+    spread = null,
+    termYears = null
+  } = inputs;
+
+  if (typeof projectCost !== 'number' || projectCost <= 0) {
+    throw new ValidationError('Project cost must be a positive number', 'projectCost');
+  }
+  const projectUses = uses || { realEstate: projectCost };
+  Object.entries(projectUses).forEach(([use, amount]) => {
+    if (!SBA_LOAN_USES[use]) {
+      throw new ValidationError(`Use of proceeds must be one of: ${Object.keys(SBA_LOAN_USES).join(', ')}`, 'uses');
+    }
+    if (typeof amount !== 'number' || amount < 0) {
+      throw new ValidationError(`${use} amount must be a non-negative number`, 'uses');
+    }
+  });
+
+  const warnings = [];
+  const startup = businessAge !== null && businessAge < SBA_504.STARTUP_BUSINESS_AGE;
+  const requiredEquity = projectCost * SBA_7A.EQUITY_MIN;
+  const equity = Math.max(requiredEquity, equityInjection ?? requiredEquity);
+  if (equityInjection !== null && equityInjection < requiredEquity) {
+    warnings.push(`Equity of $${Math.round(equityInjection).toLocaleString()} is below the ${SBA_7A.EQUITY_MIN * 100}% ${startup ? 'SBA startup minimum' : 'lenders typically require'}`);
+  }
+
+  let loanAmount = projectCost - equity;
+  if (loanAmount > SBA_7A.MAX_LOAN_AMOUNT) {
+    warnings.push(`Loan capped at the $${SBA_7A.MAX_LOAN_AMOUNT.toLocaleString()} 7(a) maximum - the balance needs other financing`);
+    loanAmount = SBA_7A.MAX_LOAN_AMOUNT;
+  }
+
+  const maxSpread = sba7aMaxSpread(loanAmount);
+  const appliedSpread = spread ?? maxSpread;
+  if (appliedSpread > maxSpread) {
+    warnings.push(`Spread of ${roundTo(appliedSpread * 100, 2)}% exceeds the SBA maximum of prime + ${roundTo(maxSpread * 100, 2)}%`);
+  }
+  const rate = primeRate + appliedSpread;
+
+  const maturity = termYears ?? sba7aMaturity(projectUses);
+  const periods = maturity * 12;
+  const guaranteePercent = sba7aGuaranteePercent(loanAmount);
+  const guaranteeFee = sba7aGuaranteeFee(loanAmount, maturity);
+  const monthlyPayment = amortizingPayment(loanAmount, rate / 12, periods);
+  const totalInterest = monthlyPayment * periods - loanAmount;
+
+  return {
+    loanAmount: Math.round(loanAmount),
+    equityRequired: Math.round(requiredEquity),
+    equityInjection: Math.round(equity),
+    guarantee: {
+      percent: guaranteePercent,
+      guaranteedAmount: Math.round(loanAmount * guaranteePercent),
+      upfrontFee: Math.round(guaranteeFee)
+    },
+    rate: {
+      type: 'variable',
+      primeRate,
+      spread: appliedSpread,
+      maxSpread,
+      interestRate: roundTo(rate, 5)
+    },
+    termYears: maturity,
+    monthlyPayment: Math.round(monthlyPayment),
+    totalInterest: Math.round(totalInterest),
+    totalCost: Math.round(totalInterest + guaranteeFee),
+    uses: projectUses,
+    warnings
+  };
+}
+
+// Side-by-side view of one project financed either way. sba504 is a calculateSBA504Payments
+// result; its bank loan amortizes over 10 years and the debenture over its own term.
+export function compareSBA504And7a({ projectCost, uses = null, sba504, sba7a }) {
+  const projectUses = uses || { realEstate: projectCost };
+  const ineligible504 = Object.entries(projectUses)
+    .filter(([use, amount]) => amount > 0 && !SBA_LOAN_USES[use].sba504)
+    .map(([use]) => SBA_LOAN_USES[use].label);
+
+  const bankInterest = sba504.bankPayment * 10 * 12 - sba504.bankLoan;
+  const sba504TotalCost = Math.round(bankInterest + (sba504.debenture?.totalCost || 0));
+
+  // A 7(a) capped at its maximum leaves part of the project unfunded, so its payment and cost
+  // cover less debt than the 504 side
+  const sba7aGap = Math.max(0, Math.round(projectCost - sba7a.equityInjection - sba7a.loanAmount));
+  const sba504Limits = [];
+  if (projectCost > SBA_504.MAX_PROJECT_COST) {
+    sba504Limits.push(`Project cost exceeds the $${SBA_504.MAX_PROJECT_COST.toLocaleString()} typical 504 project size`);
+  }
+  if (sba504.sbaLoan >= SBA_504.MAX_SBA_AMOUNT) {
+    sba504Limits.push(`504 debenture is at the $${SBA_504.MAX_SBA_AMOUNT.toLocaleString()} SBA maximum - the bank carries the balance`);
+  }
+
+  const programs = {
+    sba504: {
+      financed: Math.round(sba504.bankLoan + sba504.sbaLoan),
+      equityRequired: Math.round(sba504.ownerEquity),
+      monthlyPayment: sba504.totalMonthlyPayment,
+      totalCost: sba504TotalCost,
+      rateType: 'Fixed debenture with bank first mortgage',
+      term: sba504.debenture ? `${sba504.debenture.termYears}-year debenture, 10-year bank loan` : '10-year bank loan, no debenture',
+      permittedUses: Object.values(SBA_LOAN_USES).filter(use => use.sba504).map(use => use.label),
+      fundsAllUses: ineligible504.length === 0,
+      withinLimits: sba504Limits.length === 0
+    },
+    sba7a: {
+      financed: sba7a.loanAmount,
+      unfunded: sba7aGap,
+      equityRequired: sba7a.equityInjection,
+      monthlyPayment: sba7a.monthlyPayment,
+      totalCost: sba7a.totalCost,
+      rateType: 'Variable, prime plus spread',
+      term: `${sba7a.termYears} years`,
+      permittedUses: Object.values(SBA_LOAN_USES).filter(use => use.sba7a).map(use => use.label),
+      fundsAllUses: true
+    }
+  };
+
+  const notes = [...(sba504.notes || []), ...sba504Limits];
+  if (ineligible504.length > 0) {
+    notes.push(`504 cannot fund ${ineligible504.join(', ')} - pair it with a 7(a) or conventional loan`);
+  }
+  if (programs.sba504.equityRequired > programs.sba7a.equityRequired) {
+    notes.push(`504 requires $${(programs.sba504.equityRequired - programs.sba7a.equityRequired).toLocaleString()} more equity for this project`);
+  }
+  if (sba7aGap > 0) {
+    notes.push(`7(a) leaves $${sba7aGap.toLocaleString()} unfunded at its $${SBA_7A.MAX_LOAN_AMOUNT.toLocaleString()} maximum - payments and costs are not like-for-like`);
+  }
+  notes.push('7(a) costs assume prime stays at today\'s rate for the full term');
+
+  const likeForLike = sba7aGap === 0 && programs.sba504.withinLimits;
+  let recommended = programs.sba504.totalCost <= programs.sba7a.totalCost ? 'sba504' : 'sba7a';
+  if (sba7aGap > 0) recommended = 'sba504';
+  if (!programs.sba504.fundsAllUses || !sba504.debenture) recommended = 'sba7a';
+
+  return {
+    projectCost,
+    programs,
+    likeForLike,
+    lowerPayment: likeForLike ? (programs.sba504.monthlyPayment <= programs.sba7a.monthlyPayment ? 'sba504' : 'sba7a') : null,
+    lowerTotalCost: likeForLike ? (programs.sba504.totalCost <= programs.sba7a.totalCost ? 'sba504' : 'sba7a') : null,
+    recommended,
+    notes
+  };
+}
@@ -0,0 +1,144 @@
+// src/services/calculators/sbaSizeStandards.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS, SBA_SIZE_STANDARDS } from '../utils/constants.js';
+
+const SBA_504 = PROGRAM_LIMITS.SBA_504;
+
+export const SIZE_STANDARD_BASIS = {
+  NAICS_RECEIPTS: 'naics_receipts',
+  NAICS_EMPLOYEES: 'naics_employees',
+  INDUSTRY_ESTIMATE: 'industry_estimate',
+  ALTERNATIVE_504: 'sba_504_alternative'
+};
+
+// Receipts are averaged over the last five completed fiscal years (13 CFR 121.104)
+export function averageReceipts(receipts) {
+  return averageOf(receipts, SBA_504.RECEIPTS_AVERAGING_YEARS, 'receipts');
+}
+
+// Employees are averaged over the last 24 pay periods / months (13 CFR 121.106)
+export function averageEmployees(employees) {
+  return averageOf(employees, SBA_504.EMPLOYEE_AVERAGING_MONTHS, 'employees');
+}
+
+// Apply the NAICS standard when the code is in the table, otherwise the industry bucket from
+// constants. For 504 and 7(a), a business over its industry standard still qualifies under the
+// alternative tangible net worth / net income standard.
+export function evaluateSizeStandard(inputs = {}, naicsTable = null) {
+  const {
+    naics = null,
+    industry = 'other',
+    receipts = null,
+    employees = null,
+    tangibleNetWorth = null,
+    netIncome = null,
+    program = '504'
+  } = inputs;
+
+  const averagedReceipts = averageReceipts(receipts);
+  const averagedEmployees = averageEmployees(employees);
+  const warnings = [];
+
+  const code = naics !== null ? String(naics).trim() : null;
+  if (code !== null && !/^\d{6}$/.test(code)) {
+    throw new ValidationError('NAICS code must be 6 digits', 'naics');
+  }
+
+  const entry = code && naicsTable ? naicsTable.get(code) || null : null;
+  if (code && naicsTable && !entry) {
+    warnings.push(`NAICS ${code} not found in the size standards table - using the ${industry} industry estimate`);
+  } else if (code && !naicsTable) {
+    warnings.push('NAICS size standards table not loaded - using the industry estimate');
+  }
+
+  let industryResult;
+  if (entry) {
+    industryResult = entry.receipts !== null ?
+      compare(SIZE_STANDARD_BASIS.NAICS_RECEIPTS, averagedReceipts, entry.receipts, 'average annual receipts') :
+      compare(SIZE_STANDARD_BASIS.NAICS_EMPLOYEES, averagedEmployees, entry.employees, 'average employees');
+    if (entry.exceptions.length > 0) {
+      warnings.push(`NAICS ${code} has industry exceptions (${entry.exceptions.map(([title]) => title).join('; ')}) - confirm which applies`);
+    }
+  } else {
+    // Industry buckets may cap both receipts and employees; the business must be within each
+    const bucket = SBA_SIZE_STANDARDS[industry] || SBA_SIZE_STANDARDS.other;
+    const tests = [
+      bucket.receipts !== null && compare(SIZE_STANDARD_BASIS.INDUSTRY_ESTIMATE, averagedReceipts, bucket.receipts, 'average annual receipts'),
+      bucket.employees !== null && compare(SIZE_STANDARD_BASIS.INDUSTRY_ESTIMATE, averagedEmployees, bucket.employees, 'average employees')
+    ].filter(Boolean);
+    industryResult = tests.find(test => !test.meets) || tests[0];
+  }
+
+  const alternative = ['504', '7a'].includes(program) ? evaluateAlternativeStandard(tangibleNetWorth, netIncome) : null;
+
+  let applied = industryResult;
+  if (!industryResult.meets && alternative?.meets) {
+    applied = alternative;
+  }
+  if (industryResult.measured === null && !alternative?.meets) {
+    warnings.push(`No ${industryResult.measure} provided - size standard cannot be confirmed`);
+  }
+
+  return {
+    meetsSizeStandard: applied.meets,
+    standardApplied: applied.basis,
+    naics: entry ? { code, title: entry.title } : null,
+    industry: entry ? null : industry,
+    industryStandard: industryResult,
+    alternativeStandard: alternative,
+    averagedReceipts,
+    averagedEmployees,
+    warnings
+  };
+}
+
+function evaluateAlternativeStandard(tangibleNetWorth, netIncome) {
+  // Net income after taxes is averaged over the two preceding fiscal years
+  const averagedNetIncome = averageOf(netIncome, 2, 'netIncome');
+  if (tangibleNetWorth === null || averagedNetIncome === null) {
+    return {
+      basis: SIZE_STANDARD_BASIS.ALTERNATIVE_504,
+      meets: false,
+      reason: 'Tangible net worth and net income needed to test the SBA alternative size standard'
+    };
+  }
+
+  const meets = tangibleNetWorth <= SBA_504.ALT_TANGIBLE_NET_WORTH_MAX && averagedNetIncome <= SBA_504.ALT_NET_INCOME_MAX;
+  return {
+    basis: SIZE_STANDARD_BASIS.ALTERNATIVE_504,
+    meets,
+    tangibleNetWorth,
+    averageNetIncome: Math.round(averagedNetIncome),
+    thresholds: {
+      tangibleNetWorth: SBA_504.ALT_TANGIBLE_NET_WORTH_MAX,
+      netIncome: SBA_504.ALT_NET_INCOME_MAX
+    },
+    reason: meets ?
+      'Meets the SBA alternative size standard' :
+      `The SBA alternative size standard requires tangible net worth ≤ $${SBA_504.ALT_TANGIBLE_NET_WORTH_MAX.toLocaleString()} and average net income ≤ $${SBA_504.ALT_NET_INCOME_MAX.toLocaleString()}`
+  };
+}
+
+function compare(basis, measured, threshold, measure) {
+  const meets = measured !== null && measured <= threshold;
+  return {
+    basis,
+    meets,
+    measure,
+    measured: measured !== null ? Math.round(measured) : null,
+    threshold,
+    reason: measured === null ? `No ${measure} provided` :
+      `${measure} of ${Math.round(measured).toLocaleString()} ${meets ? 'within' : 'exceeds'} the ${threshold.toLocaleString()} standard`
+  };
+}
+
+// Accepts a single pre-averaged figure or the raw series; the most recent periods are last
+function averageOf(values, periods, field) {
+  if (values === null || values === undefined) return null;
+  if (typeof values === 'number') return values;
+  if (!Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'number')) {
+    throw new ValidationError(`${field} must be a number or an array of numbers`, field);
+  }
+  const recent = values.slice(-periods);
+  return recent.reduce((sum, value) => sum + value, 0) / recent.length;
+}
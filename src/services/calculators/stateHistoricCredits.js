@@ -0,0 +1,125 @@
+// src/services/calculators/stateHistoricCredits.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { roundTo } from '../utils/finance.js';
+import { toDate, formatISODate } from '../utils/dates.js';
+import { getStateByName } from '../data/stateFips.js';
+import { STATE_HTC_CATALOG } from '../data/stateHistoricCredits.js';
+
+const HTC = PROGRAM_LIMITS.HISTORIC_TAX_CREDITS;
+
+export function getStateHTCProgram(state) {
+  const resolved = getStateByName(state);
+  return resolved ? STATE_HTC_CATALOG[resolved.name] || null : null;
+}
+
+// Stack the federal credit and the state credit on the same QREs
+export function calculateCombinedHistoricCredits(inputs = {}) {
+  const {
+    qre,
+    state,
+    ownerOccupied = false,
+    bonusEligible = false,
+    federalEligible = true,
+    asOfDate = new Date()
+  } = inputs;
+
+  if (typeof qre !== 'number' || qre < 0) {
+    throw new ValidationError('Qualified rehabilitation expenditures must be a non-negative number', 'qre');
+  }
+
+  const warnings = [];
+
+  // The federal credit is limited to income-producing buildings
+  const federalAvailable = federalEligible && !ownerOccupied;
+  const federalCredit = federalAvailable ? qre * HTC.CREDIT_RATE : 0;
+  if (ownerOccupied) {
+    warnings.push('Owner-occupied residences do not qualify for the federal credit');
+  }
+
+  const resolved = getStateByName(state);
+  const program = resolved ? STATE_HTC_CATALOG[resolved.name] || null : null;
+  const stateResult = evaluateStateCredit(program, qre, { ownerOccupied, bonusEligible, federalEligible, asOfDate });
+  warnings.push(...stateResult.warnings);
+
+  const totalCredit = federalCredit + stateResult.credit;
+
+  return {
+    qre: Math.round(qre),
+    state: resolved ? resolved.name : state || null,
+    federal: {
+      available: federalAvailable,
+      rate: federalAvailable ? HTC.CREDIT_RATE : 0,
+      credit: Math.round(federalCredit),
+      claimPeriodYears: HTC.CLAIM_PERIOD_YEARS
+    },
+    stateCredit: stateResult.summary,
+    totalCredit: Math.round(totalCredit),
+    effectiveRate: qre > 0 ? roundTo(totalCredit / qre, 4) : 0,
+    stackable: federalCredit > 0 && stateResult.credit > 0,
+    warnings
+  };
+}
+
+function evaluateStateCredit(program, qre, { ownerOccupied, bonusEligible, federalEligible, asOfDate }) {
+  const warnings = [];
+  if (!program) {
+    return {
+      credit: 0,
+      warnings,
+      summary: { available: false, program: null, credit: 0, reasons: ['No state historic rehabilitation credit'] }
+    };
+  }
+
+  const reasons = [];
+  if (ownerOccupied && !program.ownerOccupied) reasons.push('Program does not cover owner-occupied residences');
+  if (!ownerOccupied && !program.incomeProducing) reasons.push('Program does not cover income-producing properties');
+  if (!federalEligible && program.requiresFederalCredit) {
+    reasons.push('Program requires the federal credit, and the project fails the federal substantial rehabilitation test');
+  }
+
+  const sunset = toDate(program.sunset);
+  const asOf = toDate(asOfDate);
+  if (sunset && asOf > sunset) reasons.push(`Program sunset on ${formatISODate(sunset)}`);
+
+  let rate = ownerOccupied ? program.ownerOccupiedRate ?? program.rate : program.rate;
+  if (bonusEligible && program.bonusRate && !ownerOccupied) rate = program.bonusRate;
+  const cap = ownerOccupied ?
+    program.ownerOccupiedCap ?? program.perProjectCap :
+    (bonusEligible && program.bonusCap) || program.perProjectCap;
+
+  const available = reasons.length === 0;
+  const uncapped = available ? qre * rate : 0;
+  let credit = cap != null ? Math.min(uncapped, cap) : uncapped;
+
+  // A project cannot be awarded more than the whole program can issue in a year
+  if (program.annualProgramCap != null && credit > program.annualProgramCap) {
+    credit = program.annualProgramCap;
+    warnings.push(`State credit limited to the ${program.annualProgramCap.toLocaleString()} annual program cap`);
+  }
+  if (available && program.annualProgramCap != null) {
+    warnings.push('State credits are subject to an annual program cap; awards may be reduced or deferred');
+  }
+  if (sunset && available) {
+    warnings.push(`State program scheduled to sunset ${formatISODate(sunset)}`);
+  }
+
+  return {
+    credit,
+    warnings,
+    summary: {
+      available,
+      program: program.program,
+      rate: available ? rate : 0,
+      cap: cap ?? null,
+      capped: credit < uncapped,
+      credit: Math.round(credit),
+      annualProgramCap: program.annualProgramCap,
+      refundable: program.refundable,
+      transferable: program.transferable,
+      sunset: program.sunset,
+      notes: program.notes || null,
+      reasons
+    }
+  };
+}
@@ -0,0 +1,143 @@
+// src/services/calculators/substantialImprovement.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { toDate, addMonths, addYears, daysBetween, yearsBetween, formatISODate } from '../utils/dates.js';
+
+const OZ = PROGRAM_LIMITS.OPPORTUNITY_ZONES;
+
+// Does planned capex double the building basis within 30 months of acquisition?
+// Land is excluded from the test, and a long-vacant building can qualify as original use instead.
+export function checkSubstantialImprovement(inputs = {}) {
+  const {
+    acquisitionPrice,
+    acquisitionDate,
+    landValue,
+    landAllocationPercent,
+    capex = [],
+    ruralArea = false,
+    vacancy = null,
+    asOfDate = new Date()
+  } = inputs;
+
+  if (typeof acquisitionPrice !== 'number' || acquisitionPrice <= 0) {
+    throw new ValidationError('Acquisition price must be a positive number', 'acquisitionPrice');
+  }
+  const acquired = toDate(acquisitionDate);
+  if (!acquired) {
+    throw new ValidationError('Acquisition date is required', 'acquisitionDate');
+  }
+  if (!Array.isArray(capex)) {
+    throw new ValidationError('Capex must be a list of { date, amount } items', 'capex');
+  }
+
+  let landBasis;
+  if (typeof landValue === 'number') {
+    landBasis = landValue;
+  } else if (typeof landAllocationPercent === 'number') {
+    landBasis = acquisitionPrice * landAllocationPercent / 100;
+  } else {
+    throw new ValidationError('Provide a land value or land allocation percentage', 'landValue');
+  }
+  if (landBasis < 0 || landBasis > acquisitionPrice) {
+    throw new ValidationError('Land allocation must be between zero and the acquisition price', 'landValue');
+  }
+
+  const buildingBasis = acquisitionPrice - landBasis;
+  const requiredRatio = ruralArea ? OZ.RURAL_SUBSTANTIAL_IMPROVEMENT_RATIO : OZ.SUBSTANTIAL_IMPROVEMENT_RATIO;
+  const requiredImprovement = buildingBasis * requiredRatio;
+  const deadline = addMonths(acquired, OZ.SUBSTANTIAL_IMPROVEMENT_MONTHS);
+  const today = toDate(asOfDate);
+
+  const warnings = [];
+  const items = capex.map((item, index) => {
+    const date = toDate(item.date);
+    if (!date || typeof item.amount !== 'number' || item.amount < 0) {
+      throw new ValidationError(`Capex item ${index + 1} needs a valid date and non-negative amount`, 'capex');
+    }
+    let timing = 'within_period';
+    if (date <= acquired) timing = 'before_acquisition';
+    else if (date > deadline) timing = 'after_deadline';
+    return { ...item, date: formatISODate(date), timing };
+  });
+
+  const sumFor = (timing) => items
+    .filter(item => item.timing === timing)
+    .reduce((sum, item) => sum + item.amount, 0);
+  const qualifyingCapex = sumFor('within_period');
+  const capexAfterDeadline = sumFor('after_deadline');
+  const capexBeforeAcquisition = sumFor('before_acquisition');
+
+  if (capexBeforeAcquisition > 0) {
+    warnings.push(`$${Math.round(capexBeforeAcquisition).toLocaleString()} of capex is dated on or before acquisition and does not count toward the test`);
+  }
+  if (capexAfterDeadline > 0) {
+    warnings.push(`$${Math.round(capexAfterDeadline).toLocaleString()} of capex falls after the ${formatISODate(deadline)} deadline`);
+  }
+
+  // The statute requires additions to basis to exceed (not equal) the building basis
+  const testMet = qualifyingCapex > requiredImprovement;
+  const shortfall = testMet ? 0 : requiredImprovement - qualifyingCapex;
+  if (!testMet) {
+    warnings.push(`Qualifying improvements are $${Math.round(shortfall).toLocaleString()} short of the ${Math.round(requiredRatio * 100)}% building basis requirement`);
+  }
+
+  const originalUse = evaluateOriginalUse(vacancy, acquired);
+
+  return {
+    testMet,
+    exempt: originalUse.applies,
+    acquisitionDate: formatISODate(acquired),
+    deadline: formatISODate(deadline),
+    daysRemaining: Math.max(0, daysBetween(today, deadline)),
+    deadlinePassed: today > deadline,
+    basis: {
+      acquisitionPrice,
+      landBasis: Math.round(landBasis),
+      buildingBasis: Math.round(buildingBasis)
+    },
+    requiredRatio,
+    requiredImprovement: Math.round(requiredImprovement),
+    qualifyingCapex: Math.round(qualifyingCapex),
+    capexAfterDeadline: Math.round(capexAfterDeadline),
+    capexBeforeAcquisition: Math.round(capexBeforeAcquisition),
+    shortfall: Math.round(shortfall),
+    percentOfRequirement: requiredImprovement > 0 ?
+      Math.round(qualifyingCapex / requiredImprovement * 1000) / 10 : null,
+    capex: items,
+    originalUse,
+    warnings
+  };
+}
+
+// A building vacant for 1 year (if vacant since designation) or 3 years otherwise
+// is treated as original use, so substantial improvement does not apply
+function evaluateOriginalUse(vacancy, acquired) {
+  if (!vacancy || !vacancy.vacantSince) {
+    return {
+      applies: false,
+      evaluated: false,
+      reason: 'No vacancy history provided'
+    };
+  }
+
+  const vacantSince = toDate(vacancy.vacantSince);
+  if (!vacantSince) {
+    throw new ValidationError('Vacancy start date is invalid', 'vacancy');
+  }
+
+  const requiredYears = vacancy.vacantAtDesignation ?
+    OZ.ORIGINAL_USE_VACANCY_YEARS : OZ.ORIGINAL_USE_VACANCY_YEARS_OTHER;
+  const vacancyYears = Math.round(Math.max(0, yearsBetween(vacantSince, acquired)) * 100) / 100;
+  const applies = addYears(vacantSince, requiredYears) <= acquired;
+
+  return {
+    applies,
+    evaluated: true,
+    vacantSince: formatISODate(vacantSince),
+    vacancyYears,
+    requiredYears,
+    reason: applies ?
+      `Vacant ${requiredYears}+ year(s) before acquisition - original use exemption may apply` :
+      `Vacant ${vacancyYears} years before acquisition; ${requiredYears} required for original use`
+  };
+}
@@ -0,0 +1,21 @@
+// src/services/data/acsTracts.js
+// Generated by scripts/build-acs-tracts.js - ACS 5-year tract poverty, income and unemployment for the NMTC low-income community and distress tests
+// Re-run the script to refresh; do not edit by hand.
+
+export const ACS_TRACTS_META = {
+  "vintage": "none",
+  "source": "https://api.census.gov/data/2020/acs/acs5",
+  "tractVintage": 2020,
+  "generatedAt": "2026-10-19",
+  "recordCount": 0,
+  "stateCount": 0,
+  "metroCount": 0,
+  "nationalUnemploymentRate": null,
+  "fields": ["geoid","povertyRate","medianFamilyIncome","metroCbsa","unemploymentRate"]
+};
+
+export const ACS_STATE_MEDIAN_FAMILY_INCOME = {};
+
+export const ACS_METRO_MEDIAN_FAMILY_INCOME = {};
+
+export const ACS_TRACTS = [];
@@ -0,0 +1,14 @@
+// src/services/data/cdeAllocations.js
+// Generated by scripts/build-cde-allocations.js - NMTC allocatees with service areas, focus and remaining allocation
+// Re-run the script to refresh; do not edit by hand.
+
+export const CDE_ALLOCATIONS_META = {
+  "source": "https://www.cdfifund.gov/programs-training/Programs/new-markets-tax-credit",
+  "generatedAt": "2026-10-19",
+  "recordCount": 0,
+  "awardYears": [],
+  "includesRemainingAllocation": false,
+  "fields": ["name","controllingEntity","city","state","serviceArea","serviceStates","focus","awards","remainingAllocation"]
+};
+
+export const CDE_ALLOCATIONS = [];
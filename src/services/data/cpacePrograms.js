@@ -0,0 +1,716 @@
+// src/services/data/cpacePrograms.js
+//
+// C-PACE enabling legislation and active programs by state. Opt-in programs list the counties
+// and municipalities that have joined; participantsComplete is false where only the larger
+// participants are recorded. maxLTV is the PACE assessment and maxCombinedLTV the assessment plus
+// mortgage debt, each as a share of property value; null where the program publishes no limit.
+// Participation changes monthly - confirm with the administrator.
+
+export const CPACE_REGISTRY_META = {
+  asOf: '2025-01',
+  source: 'PACENation program directory, state enabling statutes and program administrator guidelines',
+  note: 'Participating jurisdictions change frequently; confirm with the program administrator'
+};
+
+const COMMERCIAL = ['office', 'retail', 'industrial', 'hospitality', 'healthcare', 'mixed_use'];
+const COMMERCIAL_MULTIFAMILY = [...COMMERCIAL, 'multifamily'];
+export const CPACE_PROPERTY_TYPES = [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'];
+const ALL_TYPES = CPACE_PROPERTY_TYPES;
+
+export const CPACE_REGISTRY = {
+  'Arkansas': {
+    legislation: { status: 'active', citation: 'Ark. Code §14-184-101 et seq.', enacted: 2013 },
+    programs: [
+      {
+        id: 'ar-eid',
+        name: 'Arkansas Energy Improvement Districts',
+        administrator: 'Local energy improvement districts',
+        participation: 'opt_in',
+        counties: ['Pulaski', 'Washington'],
+        municipalities: ['Fayetteville', 'Little Rock'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 20,
+        website: null
+      }
+    ]
+  },
+  'California': {
+    legislation: { status: 'active', citation: 'Cal. Sts. & High. Code §5898.10 et seq.', enacted: 2008 },
+    programs: [
+      {
+        id: 'ca-cscda-open-pace',
+        name: 'CSCDA Open PACE',
+        administrator: 'California Statewide Communities Development Authority',
+        participation: 'opt_in',
+        counties: ['Alameda', 'Contra Costa', 'Fresno', 'Kern', 'Los Angeles', 'Orange', 'Riverside',
+          'Sacramento', 'San Bernardino', 'San Diego', 'San Joaquin', 'San Mateo', 'Santa Clara', 'Ventura'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'cscda.org'
+      },
+      {
+        id: 'ca-cmfa-pace',
+        name: 'California Municipal Finance Authority C-PACE',
+        administrator: 'California Municipal Finance Authority',
+        participation: 'opt_in',
+        counties: ['Los Angeles', 'Riverside', 'San Bernardino', 'Sacramento', 'Placer'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'cmfa-ca.com'
+      }
+    ]
+  },
+  'Colorado': {
+    legislation: { status: 'active', citation: 'C.R.S. §32-20-101 et seq.', enacted: 2010 },
+    programs: [
+      {
+        id: 'co-cpace',
+        name: 'Colorado C-PACE',
+        administrator: 'Colorado New Energy Improvement District (Sustainable Real Estate Solutions)',
+        participation: 'opt_in',
+        counties: ['Adams', 'Arapahoe', 'Boulder', 'Broomfield', 'Denver', 'Douglas', 'Eagle', 'El Paso',
+          'Garfield', 'Jefferson', 'La Plata', 'Larimer', 'Mesa', 'Pitkin', 'Pueblo', 'Routt', 'Summit', 'Weld'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: 0.35,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'copace.com'
+      }
+    ]
+  },
+  'Connecticut': {
+    legislation: { status: 'active', citation: 'Conn. Gen. Stat. §16a-40g', enacted: 2012 },
+    programs: [
+      {
+        id: 'ct-cpace',
+        name: 'Connecticut C-PACE',
+        administrator: 'Connecticut Green Bank',
+        participation: 'opt_in',
+        counties: [],
+        municipalities: ['Bridgeport', 'Danbury', 'Greenwich', 'Hartford', 'Meriden', 'Middletown',
+          'New Britain', 'New Haven', 'New London', 'Norwalk', 'Stamford', 'Waterbury', 'West Hartford'],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: 0.25,
+        maxCombinedLTV: null,
+        maxTermYears: 25,
+        website: 'cpace.com'
+      }
+    ]
+  },
+  'Delaware': {
+    legislation: { status: 'active', citation: 'Delaware C-PACE Act (2021)', enacted: 2021 },
+    programs: [
+      {
+        id: 'de-cpace',
+        name: 'Delaware C-PACE',
+        administrator: 'Delaware Sustainable Energy Utility',
+        participation: 'statewide',
+        counties: [],
+        municipalities: [],
+        participantsComplete: true,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'energizedelaware.org'
+      }
+    ]
+  },
+  'District of Columbia': {
+    legislation: { status: 'active', citation: 'D.C. Code §8-1778.01 et seq.', enacted: 2010 },
+    programs: [
+      {
+        id: 'dc-pace',
+        name: 'DC PACE',
+        administrator: 'DC Green Bank',
+        participation: 'statewide',
+        counties: [],
+        municipalities: [],
+        participantsComplete: true,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'dcgreenbank.com'
+      }
+    ]
+  },
+  'Florida': {
+    legislation: { status: 'active', citation: 'Fla. Stat. §163.08', enacted: 2010 },
+    programs: [
+      {
+        id: 'fl-fred',
+        name: 'Florida Resiliency and Energy District',
+        administrator: 'Florida Resiliency and Energy District',
+        participation: 'opt_in',
+        counties: ['Broward', 'Hillsborough', 'Miami-Dade', 'Orange', 'Palm Beach', 'Pinellas'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: COMMERCIAL_MULTIFAMILY,
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'fredpace.org'
+      },
+      {
+        id: 'fl-green-corridor',
+        name: 'Green Corridor PACE District',
+        administrator: 'Green Corridor Property Assessment Clean Energy District',
+        participation: 'opt_in',
+        counties: ['Miami-Dade'],
+        municipalities: ['Coral Gables', 'Cutler Bay', 'Miami', 'Miami Beach', 'Palmetto Bay', 'Pinecrest'],
+        participantsComplete: false,
+        propertyTypes: COMMERCIAL_MULTIFAMILY,
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'greencorridorpace.com'
+      }
+    ]
+  },
+  'Georgia': {
+    legislation: { status: 'active', citation: 'O.C.G.A. §36-62-2 (development authority PACE)', enacted: 2017 },
+    programs: [
+      {
+        id: 'ga-pace',
+        name: 'Georgia PACE',
+        administrator: 'Local development authorities',
+        participation: 'opt_in',
+        counties: ['Fulton', 'DeKalb'],
+        municipalities: ['Atlanta'],
+        participantsComplete: false,
+        propertyTypes: COMMERCIAL_MULTIFAMILY,
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: null
+      }
+    ]
+  },
+  'Illinois': {
+    legislation: { status: 'active', citation: '50 ILCS 50 (Property Assessed Clean Energy Act)', enacted: 2017 },
+    programs: [
+      {
+        id: 'il-pace',
+        name: 'Illinois C-PACE',
+        administrator: 'County and municipal PACE programs',
+        participation: 'opt_in',
+        counties: ['Cook', 'DuPage', 'Lake'],
+        municipalities: ['Chicago'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: null
+      }
+    ]
+  },
+  'Kentucky': {
+    legislation: { status: 'active', citation: 'KRS 65.205 et seq. (Energy Project Assessment Districts)', enacted: 2015 },
+    programs: [
+      {
+        id: 'ky-epad',
+        name: 'Kentucky EPAD',
+        administrator: 'Local energy project assessment districts',
+        participation: 'opt_in',
+        counties: ['Jefferson'],
+        municipalities: ['Louisville'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 20,
+        website: null
+      }
+    ]
+  },
+  'Maryland': {
+    legislation: { status: 'active', citation: 'Md. Code, Local Gov\'t §1-1101 et seq.', enacted: 2009 },
+    programs: [
+      {
+        id: 'md-pace',
+        name: 'MD-PACE',
+        administrator: 'Maryland Clean Energy Center',
+        participation: 'opt_in',
+        counties: ['Anne Arundel', 'Baltimore', 'Baltimore City', 'Charles', 'Frederick', 'Harford',
+          'Howard', 'Prince George\'s', 'Washington', 'Wicomico'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 25,
+        website: 'mdpace.com'
+      },
+      {
+        id: 'md-montgomery-cpace',
+        name: 'Montgomery County Commercial PACE',
+        administrator: 'Montgomery County Green Bank',
+        participation: 'opt_in',
+        counties: ['Montgomery'],
+        municipalities: [],
+        participantsComplete: true,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 25,
+        website: 'mcgreenbank.org'
+      }
+    ]
+  },
+  'Massachusetts': {
+    legislation: { status: 'active', citation: 'M.G.L. c. 23M', enacted: 2016 },
+    programs: [
+      {
+        id: 'ma-pace',
+        name: 'PACE Massachusetts',
+        administrator: 'MassDevelopment',
+        participation: 'opt_in',
+        counties: [],
+        municipalities: ['Boston', 'Cambridge', 'Lowell', 'Newton', 'Somerville', 'Springfield', 'Worcester'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: 0.20,
+        maxCombinedLTV: null,
+        maxTermYears: 20,
+        website: 'massdevelopment.com'
+      }
+    ]
+  },
+  'Michigan': {
+    legislation: { status: 'active', citation: 'MCL 460.931 et seq. (PA 270 of 2010)', enacted: 2010 },
+    programs: [
+      {
+        id: 'mi-lean-green',
+        name: 'Lean & Green Michigan',
+        administrator: 'Levin Energy Partners',
+        participation: 'opt_in',
+        counties: ['Genesee', 'Ingham', 'Kalamazoo', 'Kent', 'Macomb', 'Oakland', 'Washtenaw', 'Wayne'],
+        municipalities: ['Ann Arbor', 'Detroit', 'Grand Rapids', 'Lansing'],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'leanandgreenmi.com'
+      }
+    ]
+  },
+  'Minnesota': {
+    legislation: { status: 'active', citation: 'Minn. Stat. §216C.435 et seq.', enacted: 2010 },
+    programs: [
+      {
+        id: 'mn-pace',
+        name: 'PACE of MN',
+        administrator: 'Saint Paul Port Authority',
+        participation: 'opt_in',
+        counties: ['Anoka', 'Dakota', 'Hennepin', 'Olmsted', 'Ramsey', 'St. Louis', 'Washington'],
+        municipalities: ['Bloomington', 'Duluth', 'Minneapolis', 'Rochester', 'Saint Paul'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'],
+        newConstruction: false,
+        maxLTV: 0.20,
+        maxCombinedLTV: null,
+        maxTermYears: 20,
+        website: 'paceofmn.org'
+      }
+    ]
+  },
+  'Missouri': {
+    legislation: { status: 'active', citation: 'Mo. Rev. Stat. §67.2800 et seq.', enacted: 2010 },
+    programs: [
+      {
+        id: 'mo-mced',
+        name: 'Missouri Clean Energy District',
+        administrator: 'Missouri Clean Energy District',
+        participation: 'opt_in',
+        counties: ['Boone', 'Clay', 'Greene', 'Jackson', 'Jefferson', 'Platte', 'St. Charles'],
+        municipalities: ['Columbia', 'Kansas City', 'Springfield'],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 25,
+        website: 'mced.mo.gov'
+      },
+      {
+        id: 'mo-set-the-pace',
+        name: 'Set the PACE St. Louis',
+        administrator: 'Set the PACE St. Louis',
+        participation: 'opt_in',
+        counties: ['St. Louis', 'St. Louis City'],
+        municipalities: ['St. Louis'],
+        participantsComplete: true,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 25,
+        website: 'setthepacestl.com'
+      }
+    ]
+  },
+  'Nebraska': {
+    legislation: { status: 'active', citation: 'Neb. Rev. Stat. §13-3201 et seq.', enacted: 2016 },
+    programs: [
+      {
+        id: 'ne-pace',
+        name: 'Nebraska PACE',
+        administrator: 'Municipal PACE districts',
+        participation: 'opt_in',
+        counties: ['Douglas', 'Lancaster'],
+        municipalities: ['Lincoln', 'Omaha'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 20,
+        website: null
+      }
+    ]
+  },
+  'Nevada': {
+    legislation: { status: 'enacted', citation: 'NRS Chapter 271 (SB 407, 2017)', enacted: 2017 },
+    programs: []
+  },
+  'New Jersey': {
+    legislation: { status: 'active', citation: 'New Jersey C-PACE Act (P.L. 2021)', enacted: 2021 },
+    programs: [
+      {
+        id: 'nj-cpace',
+        name: 'New Jersey C-PACE',
+        administrator: 'New Jersey Economic Development Authority (county improvement authorities)',
+        participation: 'opt_in',
+        counties: ['Atlantic', 'Bergen', 'Camden', 'Morris', 'Passaic', 'Union'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'],
+        newConstruction: true,
+        maxLTV: 0.35,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'njeda.gov'
+      }
+    ]
+  },
+  'New York': {
+    legislation: { status: 'active', citation: 'N.Y. Gen. Mun. Law Art. 5-L', enacted: 2009 },
+    programs: [
+      {
+        id: 'ny-energize',
+        name: 'Energize NY Finance',
+        administrator: 'Energy Improvement Corporation',
+        participation: 'opt_in',
+        counties: ['Albany', 'Erie', 'Monroe', 'Onondaga', 'Putnam', 'Rockland', 'Tompkins', 'Ulster', 'Westchester'],
+        municipalities: ['Albany', 'Buffalo', 'Ithaca', 'Rochester', 'Syracuse', 'Yonkers'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'],
+        newConstruction: true,
+        maxLTV: 0.35,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'energizeny.org'
+      },
+      {
+        id: 'ny-nyc-pace',
+        name: 'NYC Accelerator PACE Financing',
+        administrator: 'New York City Energy Efficiency Corporation',
+        participation: 'opt_in',
+        counties: ['Bronx', 'Kings', 'New York', 'Queens', 'Richmond'],
+        municipalities: ['New York'],
+        participantsComplete: true,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: 0.35,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'nyceec.com'
+      }
+    ]
+  },
+  'Ohio': {
+    legislation: { status: 'active', citation: 'Ohio Rev. Code Ch. 1710 and §5709.40', enacted: 2009 },
+    programs: [
+      {
+        id: 'oh-port-authorities',
+        name: 'Ohio PACE (special improvement districts)',
+        administrator: 'County port authorities and energy special improvement districts',
+        participation: 'opt_in',
+        counties: ['Butler', 'Cuyahoga', 'Franklin', 'Hamilton', 'Lucas', 'Montgomery', 'Stark', 'Summit'],
+        municipalities: ['Cincinnati', 'Cleveland', 'Columbus', 'Dayton', 'Toledo'],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'ohiopace.org'
+      }
+    ]
+  },
+  'Oregon': {
+    legislation: { status: 'active', citation: 'ORS 223.680', enacted: 2016 },
+    programs: [
+      {
+        id: 'or-multnomah',
+        name: 'Multnomah County PACE',
+        administrator: 'Multnomah County',
+        participation: 'opt_in',
+        counties: ['Multnomah'],
+        municipalities: ['Portland'],
+        participantsComplete: true,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 20,
+        website: null
+      }
+    ]
+  },
+  'Pennsylvania': {
+    legislation: { status: 'active', citation: 'Act 30 of 2018 (53 P.S. §10101 et seq.)', enacted: 2018 },
+    programs: [
+      {
+        id: 'pa-philadelphia',
+        name: 'Philadelphia C-PACE',
+        administrator: 'Philadelphia Energy Authority',
+        participation: 'opt_in',
+        counties: ['Philadelphia'],
+        municipalities: ['Philadelphia'],
+        participantsComplete: true,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'philadelphiaenergyauthority.org'
+      },
+      {
+        id: 'pa-county-cpace',
+        name: 'Pennsylvania county C-PACE programs',
+        administrator: 'Participating county economic development authorities',
+        participation: 'opt_in',
+        counties: ['Allegheny', 'Berks', 'Bucks', 'Chester', 'Cumberland', 'Delaware', 'Lancaster',
+          'Lehigh', 'Montgomery', 'Northampton', 'York'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'pennsylvaniacpace.org'
+      }
+    ]
+  },
+  'Rhode Island': {
+    legislation: { status: 'active', citation: 'R.I. Gen. Laws §45-73', enacted: 2015 },
+    programs: [
+      {
+        id: 'ri-cpace',
+        name: 'Rhode Island C-PACE',
+        administrator: 'Rhode Island Infrastructure Bank',
+        participation: 'opt_in',
+        counties: [],
+        municipalities: ['Cranston', 'East Providence', 'Newport', 'North Kingstown', 'Pawtucket',
+          'Providence', 'Warwick', 'Woonsocket'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'],
+        newConstruction: false,
+        maxLTV: 0.35,
+        maxCombinedLTV: null,
+        maxTermYears: 25,
+        website: 'riib.org'
+      }
+    ]
+  },
+  'Tennessee': {
+    legislation: { status: 'active', citation: 'Tenn. Code Ann. §65-36-101 et seq.', enacted: 2017 },
+    programs: [
+      {
+        id: 'tn-pace',
+        name: 'Tennessee C-PACE',
+        administrator: 'Local PACE programs',
+        participation: 'opt_in',
+        counties: ['Davidson', 'Knox', 'Shelby'],
+        municipalities: ['Knoxville', 'Memphis', 'Nashville'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: false,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 20,
+        website: null
+      }
+    ]
+  },
+  'Texas': {
+    legislation: { status: 'active', citation: 'Tex. Local Gov\'t Code Ch. 399', enacted: 2013 },
+    programs: [
+      {
+        id: 'tx-pace-authority',
+        name: 'PACE in a Box',
+        administrator: 'Texas PACE Authority',
+        participation: 'opt_in',
+        counties: ['Bexar', 'Cameron', 'El Paso', 'Fort Bend', 'Harris', 'Hidalgo', 'Montgomery', 'Travis', 'Williamson'],
+        municipalities: ['Austin', 'Houston', 'San Antonio', 'Fort Worth', 'El Paso'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'],
+        newConstruction: true,
+        maxLTV: 0.25,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'texaspaceauthority.org'
+      },
+      {
+        id: 'tx-dallas',
+        name: 'Dallas County PACE',
+        administrator: 'Dallas County',
+        participation: 'opt_in',
+        counties: ['Dallas'],
+        municipalities: ['Dallas'],
+        participantsComplete: true,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: 0.25,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'dallascounty.org'
+      }
+    ]
+  },
+  'Utah': {
+    legislation: { status: 'active', citation: 'Utah Code §11-42a', enacted: 2017 },
+    programs: [
+      {
+        id: 'ut-cpace',
+        name: 'Utah C-PACE',
+        administrator: 'Utah Office of Energy Development',
+        participation: 'opt_in',
+        counties: ['Davis', 'Salt Lake', 'Summit', 'Utah', 'Washington', 'Weber'],
+        municipalities: ['Ogden', 'Park City', 'Provo', 'Salt Lake City'],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'energy.utah.gov'
+      }
+    ]
+  },
+  'Vermont': {
+    legislation: { status: 'enacted', citation: '24 V.S.A. Ch. 87', enacted: 2009 },
+    programs: []
+  },
+  'Virginia': {
+    legislation: { status: 'active', citation: 'Va. Code §15.2-958.3', enacted: 2015 },
+    programs: [
+      {
+        id: 'va-pace-authority',
+        name: 'Virginia PACE Authority C-PACE',
+        administrator: 'Virginia PACE Authority',
+        participation: 'opt_in',
+        counties: ['Chesterfield', 'Fairfax', 'Henrico', 'Loudoun', 'Prince William'],
+        municipalities: ['Alexandria', 'Charlottesville', 'Norfolk', 'Richmond', 'Virginia Beach'],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit', 'agricultural'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'virginiapace.com'
+      },
+      {
+        id: 'va-arlington',
+        name: 'Arlington C-PACE',
+        administrator: 'Arlington County',
+        participation: 'opt_in',
+        counties: ['Arlington'],
+        municipalities: [],
+        participantsComplete: true,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'arlingtoncpace.com'
+      }
+    ]
+  },
+  'Washington': {
+    legislation: { status: 'active', citation: 'RCW 36.165 (C-PACER)', enacted: 2020 },
+    programs: [
+      {
+        id: 'wa-cpacer',
+        name: 'Washington C-PACER',
+        administrator: 'County C-PACER programs',
+        participation: 'opt_in',
+        counties: ['King'],
+        municipalities: [],
+        participantsComplete: false,
+        propertyTypes: [...COMMERCIAL_MULTIFAMILY, 'nonprofit'],
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: null
+      }
+    ]
+  },
+  'Wisconsin': {
+    legislation: { status: 'active', citation: 'Wis. Stat. §66.0627(8)', enacted: 2009 },
+    programs: [
+      {
+        id: 'wi-pace',
+        name: 'PACE Wisconsin',
+        administrator: 'Wisconsin PACE Commission',
+        participation: 'opt_in',
+        counties: ['Brown', 'Dane', 'Kenosha', 'La Crosse', 'Marathon', 'Milwaukee', 'Outagamie',
+          'Racine', 'Rock', 'Sheboygan', 'Waukesha', 'Winnebago'],
+        municipalities: ['Madison', 'Milwaukee'],
+        participantsComplete: false,
+        propertyTypes: ALL_TYPES,
+        newConstruction: true,
+        maxLTV: null,
+        maxCombinedLTV: null,
+        maxTermYears: 30,
+        website: 'pacewi.org'
+      }
+    ]
+  }
+};
@@ -0,0 +1,155 @@
+// src/services/data/energyBenchmarks.js
+//
+// Benchmark tables for Level 1 (walk-through) energy audit estimates. Site EUIs are the ENERGY
+// STAR Portfolio Manager national medians (kBtu/sf/yr); end-use shares follow CBECS 2018 and RECS
+// for multifamily. Measure costs and savings fractions are typical retrofit ranges - a Level 2
+// audit should replace them before closing.
+
+export const ENERGY_BENCHMARKS_META = {
+  asOf: '2024-06',
+  source: 'ENERGY STAR Portfolio Manager Technical Reference (U.S. median site EUI), EIA CBECS 2018, NREL ATB',
+  note: 'Screening estimates only; programs require an engineering study or Level 2 audit'
+};
+
+// electricShare: share of energy cost that is electricity when the utility split is unknown
+export const BUILDING_BENCHMARKS = {
+  office: {
+    label: 'Office',
+    medianSiteEUI: 52.9,
+    electricShare: 0.80,
+    endUses: { lighting: 0.17, heating: 0.20, cooling: 0.11, ventilation: 0.15, waterHeating: 0.04, plugLoads: 0.33 }
+  },
+  retail: {
+    label: 'Retail store',
+    medianSiteEUI: 47.1,
+    electricShare: 0.78,
+    endUses: { lighting: 0.25, heating: 0.24, cooling: 0.13, ventilation: 0.12, waterHeating: 0.03, plugLoads: 0.23 }
+  },
+  industrial: {
+    label: 'Warehouse / light industrial',
+    medianSiteEUI: 22.7,
+    electricShare: 0.65,
+    endUses: { lighting: 0.22, heating: 0.38, cooling: 0.05, ventilation: 0.08, waterHeating: 0.03, plugLoads: 0.24 }
+  },
+  hospitality: {
+    label: 'Hotel',
+    medianSiteEUI: 63.0,
+    electricShare: 0.68,
+    endUses: { lighting: 0.12, heating: 0.21, cooling: 0.10, ventilation: 0.10, waterHeating: 0.19, plugLoads: 0.28 }
+  },
+  healthcare: {
+    label: 'Medical office',
+    medianSiteEUI: 51.2,
+    electricShare: 0.78,
+    endUses: { lighting: 0.15, heating: 0.22, cooling: 0.12, ventilation: 0.17, waterHeating: 0.05, plugLoads: 0.29 }
+  },
+  multifamily: {
+    label: 'Multifamily housing',
+    medianSiteEUI: 59.6,
+    electricShare: 0.62,
+    endUses: { lighting: 0.08, heating: 0.33, cooling: 0.08, ventilation: 0.04, waterHeating: 0.18, plugLoads: 0.29 }
+  },
+  mixed_use: {
+    label: 'Mixed-use property',
+    medianSiteEUI: 55.0,
+    electricShare: 0.74,
+    endUses: { lighting: 0.15, heating: 0.24, cooling: 0.10, ventilation: 0.12, waterHeating: 0.09, plugLoads: 0.30 }
+  }
+};
+
+// Older buildings use more energy and have more to gain from HVAC and envelope work
+export const VINTAGE_FACTORS = [
+  { builtBefore: 1980, euiFactor: 1.15, savingsFactor: 1.20, ledInstalled: 0 },
+  { builtBefore: 2000, euiFactor: 1.05, savingsFactor: 1.05, ledInstalled: 0 },
+  { builtBefore: 2012, euiFactor: 0.95, savingsFactor: 0.90, ledInstalled: 0.25 },
+  { builtBefore: Infinity, euiFactor: 0.85, savingsFactor: 0.75, ledInstalled: 0.70 }
+];
+
+// IECC climate zones 1 (hot) to 8 (subarctic): shift load between heating and cooling and
+// set typical fixed-tilt PV yield (kWh per kW-dc per year)
+export const CLIMATE_ZONE_FACTORS = {
+  1: { heating: 0.20, cooling: 2.00, solarYield: 1450 },
+  2: { heating: 0.50, cooling: 1.60, solarYield: 1450 },
+  3: { heating: 0.80, cooling: 1.20, solarYield: 1500 },
+  4: { heating: 1.00, cooling: 1.00, solarYield: 1300 },
+  5: { heating: 1.20, cooling: 0.80, solarYield: 1250 },
+  6: { heating: 1.40, cooling: 0.60, solarYield: 1200 },
+  7: { heating: 1.60, cooling: 0.40, solarYield: 1150 },
+  8: { heating: 1.90, cooling: 0.20, solarYield: 950 }
+};
+
+// Candidate measures. savingsFraction applies to the listed end uses; cost is per square foot
+// of floor area unless priced per watt (solar)
+export const AUDIT_MEASURES = [
+  {
+    key: 'led_lighting',
+    name: 'LED lighting retrofit with controls',
+    category: 'energyEfficiency',
+    endUses: ['lighting'],
+    savingsFraction: 0.55,
+    costPerSquareFoot: 1.5,
+    usefulLife: 12,
+    degradationRate: 0,
+    vintageSensitive: false
+  },
+  {
+    key: 'hvac_replacement',
+    name: 'High-efficiency HVAC replacement',
+    category: 'energyEfficiency',
+    endUses: ['heating', 'cooling'],
+    savingsFraction: 0.25,
+    costPerSquareFoot: 10.0,
+    usefulLife: 20,
+    degradationRate: 0.01,
+    vintageSensitive: true
+  },
+  {
+    key: 'controls',
+    name: 'Building automation and variable frequency drives',
+    category: 'energyEfficiency',
+    endUses: ['heating', 'cooling', 'ventilation'],
+    savingsFraction: 0.12,
+    costPerSquareFoot: 2.0,
+    usefulLife: 15,
+    degradationRate: 0.02,
+    vintageSensitive: true
+  },
+  {
+    key: 'envelope',
+    name: 'Envelope upgrades (air sealing, insulation, windows)',
+    category: 'energyEfficiency',
+    endUses: ['heating', 'cooling'],
+    savingsFraction: 0.15,
+    costPerSquareFoot: 4.0,
+    usefulLife: 30,
+    degradationRate: 0,
+    vintageSensitive: true
+  },
+  {
+    key: 'water_heating',
+    name: 'High-efficiency water heating',
+    category: 'energyEfficiency',
+    endUses: ['waterHeating'],
+    savingsFraction: 0.25,
+    costPerSquareFoot: 0.8,
+    usefulLife: 15,
+    degradationRate: 0,
+    vintageSensitive: true
+  },
+  {
+    key: 'solar_pv',
+    name: 'Rooftop solar photovoltaic system',
+    category: 'renewableEnergy',
+    endUses: [],
+    costPerWatt: 2.75,
+    wattsPerRoofSquareFoot: 15,
+    usableRoofShare: 0.5,
+    usefulLife: 25,
+    degradationRate: 0.005
+  }
+];
+
+export const DEFAULT_ENERGY_PRICES = {
+  electricityPerKWh: 0.13,
+  costPerKBtu: 0.030 // blended, used when utility spend is not provided
+};
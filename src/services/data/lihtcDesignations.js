@@ -0,0 +1,19 @@
+// src/services/data/lihtcDesignations.js
+// Generated by scripts/build-lihtc-designations.js - HUD Qualified Census Tracts and Difficult Development Areas
+// Re-run the script to refresh; do not edit by hand.
+
+export const LIHTC_DESIGNATIONS_META = {
+  "year": null,
+  "source": "https://www.huduser.gov/portal/datasets/qct.html",
+  "tractVintage": 2020,
+  "generatedAt": "2026-10-19",
+  "qctCount": 0,
+  "smallAreaDDACount": 0,
+  "nonMetroDDACount": 0
+};
+
+export const LIHTC_QCTS = [];
+
+export const LIHTC_SMALL_AREA_DDAS = [];
+
+export const LIHTC_NONMETRO_DDAS = [];
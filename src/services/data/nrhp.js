@@ -0,0 +1,17 @@
+// src/services/data/nrhp.js
+// Generated by scripts/build-nrhp.js - National Register listed properties and historic district boundaries
+// Re-run the script to refresh; do not edit by hand.
+
+export const NRHP_META = {
+  "version": "none",
+  "source": "https://www.nps.gov/subjects/nationalregister/database-research.htm",
+  "generatedAt": "2026-10-19",
+  "propertyCount": 0,
+  "districtCount": 0,
+  "propertyFields": ["refnum","name","lat","lon","listedDate","resourceType","city","state"],
+  "districtFields": ["refnum","name","listedDate","state","bbox","polygons"]
+};
+
+export const NRHP_PROPERTIES = [];
+
+export const NRHP_DISTRICTS = [];
@@ -0,0 +1,15 @@
+// src/services/data/opportunityZoneTracts.js
+// Generated by scripts/build-oz-tracts.js - designated Qualified Opportunity Zone census tracts
+// Re-run the script to refresh; do not edit by hand.
+
+export const OZ_TRACTS_META = {
+  "version": "none",
+  "source": "https://www.cdfifund.gov/Documents/Designated%20QOZs.12.14.18.xlsx",
+  "tractVintage": 2010,
+  "generatedAt": "2026-10-19",
+  "recordCount": 0,
+  "expectedCount": 8764,
+  "fields": ["geoid","tractType","round"]
+};
+
+export const OZ_TRACTS = [];
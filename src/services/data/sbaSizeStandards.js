@@ -0,0 +1,13 @@
+// src/services/data/sbaSizeStandards.js
+// Generated by scripts/build-sba-size-standards.js - SBA size standards by 6-digit NAICS code
+// Re-run the script to refresh; do not edit by hand.
+
+export const SBA_SIZE_STANDARDS_META = {
+  "source": "https://www.sba.gov/document/support-table-size-standards",
+  "effectiveDate": null,
+  "generatedAt": "2026-10-19",
+  "recordCount": 0,
+  "fields": ["naics","title","receipts","employees","footnote","exceptions"]
+};
+
+export const SBA_NAICS_SIZE_STANDARDS = [];
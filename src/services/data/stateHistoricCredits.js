@@ -0,0 +1,523 @@
+// src/services/data/stateHistoricCredits.js
+//
+// State historic rehabilitation tax credits. Rates are fractions of QREs; caps are dollars,
+// null where the program has no cap (or none is recorded). Program terms change with most
+// legislative sessions - confirm with the State Historic Preservation Office before relying on them.
+// requiresFederalCredit marks programs that only award projects passing the federal substantial
+// rehabilitation test.
+
+export const STATE_HTC_CATALOG_META = {
+  asOf: '2025-01',
+  source: 'State Historic Preservation Office program guidance and enabling statutes',
+  note: 'Caps and sunsets change frequently; verify with the SHPO'
+};
+
+export const STATE_HTC_CATALOG = {
+  'Alabama': {
+    program: 'Alabama Historic Rehabilitation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: 5000000,
+    annualProgramCap: 20000000,
+    refundable: true,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: '2027-12-31'
+  },
+  'Arkansas': {
+    program: 'Arkansas Historic Rehabilitation Income Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: 400000,
+    ownerOccupiedCap: 25000,
+    annualProgramCap: 4000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'California': {
+    program: 'California Historic Rehabilitation Tax Credit',
+    rate: 0.20,
+    bonusRate: 0.25,
+    bonusCriteria: 'Affordable housing, transit-oriented or military base reuse projects',
+    ownerOccupiedRate: null,
+    perProjectCap: null,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null,
+    notes: 'Awards depend on annual budget appropriations; Mills Act property tax contracts are separate'
+  },
+  'Colorado': {
+    program: 'Colorado Historic Preservation Tax Credit',
+    rate: 0.25,
+    bonusRate: 0.30,
+    bonusCriteria: 'Rural projects and declared disaster areas',
+    ownerOccupiedRate: 0.20,
+    perProjectCap: 2000000,
+    ownerOccupiedCap: 50000,
+    annualProgramCap: 10000000,
+    refundable: true,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: '2029-12-31'
+  },
+  'Connecticut': {
+    program: 'Connecticut Historic Rehabilitation Tax Credit',
+    rate: 0.25,
+    bonusRate: 0.30,
+    bonusCriteria: 'Projects with affordable housing or in opportunity zones',
+    ownerOccupiedRate: 0.30,
+    perProjectCap: 5000000,
+    ownerOccupiedCap: 30000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Delaware': {
+    program: 'Delaware Historic Preservation Tax Credit',
+    rate: 0.20,
+    bonusRate: 0.30,
+    bonusCriteria: 'Low-income housing projects',
+    ownerOccupiedRate: 0.30,
+    perProjectCap: null,
+    annualProgramCap: 8000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Georgia': {
+    program: 'Georgia State Income Tax Credit for Rehabilitated Historic Property',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: 5000000,
+    ownerOccupiedCap: 100000,
+    annualProgramCap: 25000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Hawaii': {
+    program: 'Hawaii Historic Preservation Income Tax Credit',
+    rate: 0.30,
+    ownerOccupiedRate: 0.30,
+    perProjectCap: 1000000,
+    annualProgramCap: null,
+    refundable: true,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Illinois': {
+    program: 'Illinois Historic Preservation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: null,
+    perProjectCap: 3000000,
+    annualProgramCap: 15000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null
+  },
+  'Iowa': {
+    program: 'Iowa Historic Preservation Tax Credit',
+    rate: 0.20,
+    ownerOccupiedRate: 0.20,
+    perProjectCap: null,
+    annualProgramCap: 45000000,
+    refundable: true,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Kansas': {
+    program: 'Kansas Historic Rehabilitation Tax Credit',
+    rate: 0.25,
+    bonusRate: 0.30,
+    bonusCriteria: 'Projects under $500,000 in small communities',
+    ownerOccupiedRate: 0.25,
+    perProjectCap: null,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Kentucky': {
+    program: 'Kentucky Historic Preservation Tax Credit',
+    rate: 0.20,
+    ownerOccupiedRate: 0.30,
+    perProjectCap: null,
+    ownerOccupiedCap: 120000,
+    annualProgramCap: 100000000,
+    refundable: true,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Louisiana': {
+    program: 'Louisiana Commercial Tax Credit for Historic Rehabilitation',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: 5000000,
+    ownerOccupiedCap: 25000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: '2028-12-31',
+    notes: 'Property must be in a downtown development district or cultural district'
+  },
+  'Maine': {
+    program: 'Maine Historic Rehabilitation Tax Credit',
+    rate: 0.25,
+    bonusRate: 0.30,
+    bonusCriteria: 'Affordable housing projects',
+    ownerOccupiedRate: null,
+    perProjectCap: 5000000,
+    annualProgramCap: null,
+    refundable: true,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: '2033-12-31'
+  },
+  'Maryland': {
+    program: 'Maryland Historic Revitalization Tax Credit',
+    rate: 0.20,
+    bonusRate: 0.25,
+    bonusCriteria: 'High-performance buildings or affordable housing',
+    ownerOccupiedRate: 0.20,
+    perProjectCap: 5000000,
+    ownerOccupiedCap: 50000,
+    annualProgramCap: 20000000,
+    refundable: true,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: '2028-06-30',
+    notes: 'Commercial credits are awarded competitively'
+  },
+  'Massachusetts': {
+    program: 'Massachusetts Historic Rehabilitation Tax Credit',
+    rate: 0.20,
+    ownerOccupiedRate: null,
+    perProjectCap: null,
+    annualProgramCap: 55000000,
+    refundable: true,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: '2027-12-31',
+    notes: 'Competitive awards of up to 20%; most projects receive less'
+  },
+  'Michigan': {
+    program: 'Michigan Historic Preservation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: null,
+    annualProgramCap: 5000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: '2030-12-31'
+  },
+  'Mississippi': {
+    program: 'Mississippi Historic Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: null,
+    annualProgramCap: 12000000,
+    refundable: true,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Missouri': {
+    program: 'Missouri Historic Preservation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: null,
+    annualProgramCap: 90000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Montana': {
+    program: 'Montana Historic Property Preservation Credit',
+    rate: 0.05, // 25% of the federal 20% credit
+    ownerOccupiedRate: null,
+    perProjectCap: null,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null
+  },
+  'Nebraska': {
+    program: 'Nebraska Historic Tax Credit',
+    rate: 0.20,
+    ownerOccupiedRate: 0.20,
+    perProjectCap: 1000000,
+    annualProgramCap: 15000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'New Jersey': {
+    program: 'New Jersey Historic Property Reinvestment Program',
+    rate: 0.40,
+    bonusRate: 0.45,
+    bonusCriteria: 'Projects in a qualified incentive tract or government-restricted municipality',
+    ownerOccupiedRate: null,
+    perProjectCap: 4000000,
+    annualProgramCap: 50000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null,
+    requiresFederalCredit: true,
+    notes: 'Awarded by the NJ Economic Development Authority; the project must meet the federal substantial rehabilitation test'
+  },
+  'New Mexico': {
+    program: 'New Mexico Historic Preservation Tax Credit',
+    rate: 0.50,
+    ownerOccupiedRate: 0.50,
+    perProjectCap: 25000,
+    bonusCap: 50000,
+    bonusCriteria: 'Projects in certified arts and cultural districts',
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'New York': {
+    program: 'New York State Historic Commercial Properties Tax Credit',
+    rate: 0.20,
+    bonusRate: 0.30,
+    bonusCriteria: 'Projects with QREs of $2.5 million or less',
+    ownerOccupiedRate: 0.20,
+    perProjectCap: 5000000,
+    ownerOccupiedCap: 50000,
+    annualProgramCap: null,
+    refundable: true,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: '2029-12-31',
+    requiresFederalCredit: true,
+    notes: 'Property must be in an eligible census tract and also receive the federal credit'
+  },
+  'North Carolina': {
+    program: 'North Carolina Historic Rehabilitation Tax Credit',
+    rate: 0.15,
+    ownerOccupiedRate: 0.15,
+    perProjectCap: null,
+    ownerOccupiedCap: 22500,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: '2030-12-31',
+    notes: '15% on the first $10M of QREs and 10% from $10M to $20M; bonuses for development tier 3/4 counties and former mills'
+  },
+  'North Dakota': {
+    program: 'North Dakota Historic Preservation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: null,
+    perProjectCap: 5000000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null
+  },
+  'Ohio': {
+    program: 'Ohio Historic Preservation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: null,
+    perProjectCap: 5000000,
+    annualProgramCap: 60000000,
+    refundable: true,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null,
+    notes: 'Awarded in competitive semiannual rounds'
+  },
+  'Oklahoma': {
+    program: 'Oklahoma Historic Rehabilitation Tax Credit',
+    rate: 0.20,
+    ownerOccupiedRate: null,
+    perProjectCap: null,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null
+  },
+  'Pennsylvania': {
+    program: 'Pennsylvania Historic Preservation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: null,
+    perProjectCap: 500000,
+    annualProgramCap: 5000000,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null,
+    requiresFederalCredit: true,
+    notes: 'Awarded by lottery among applications that have federal Part 2 approval'
+  },
+  'Rhode Island': {
+    program: 'Rhode Island Historic Preservation Tax Credit',
+    rate: 0.20,
+    bonusRate: 0.25,
+    bonusCriteria: 'Projects with at least 25% affordable or workforce housing',
+    ownerOccupiedRate: null,
+    perProjectCap: 5000000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null
+  },
+  'South Carolina': {
+    program: 'South Carolina Historic Rehabilitation Incentives',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: 1000000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null,
+    notes: 'Owner may elect 10% without the per-building cap'
+  },
+  'Texas': {
+    program: 'Texas Historic Preservation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: null,
+    perProjectCap: null,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null,
+    notes: 'Applied against franchise or insurance premium tax'
+  },
+  'Utah': {
+    program: 'Utah Historic Preservation Tax Credit',
+    rate: 0.20,
+    ownerOccupiedRate: 0.20,
+    perProjectCap: null,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: false,
+    ownerOccupied: true,
+    sunset: null,
+    notes: 'Residential properties only'
+  },
+  'Vermont': {
+    program: 'Vermont Downtown and Village Center Tax Credit',
+    rate: 0.10,
+    ownerOccupiedRate: null,
+    perProjectCap: 50000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: false,
+    sunset: null,
+    notes: 'Limited to designated downtowns and village centers'
+  },
+  'Virginia': {
+    program: 'Virginia Historic Rehabilitation Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: 5000000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: false,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null,
+    notes: 'Cap is per taxpayer per year; credits are allocated through partnership interests'
+  },
+  'West Virginia': {
+    program: 'West Virginia Historic Rehabilitated Buildings Investment Tax Credit',
+    rate: 0.25,
+    ownerOccupiedRate: 0.20,
+    perProjectCap: null,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  },
+  'Wisconsin': {
+    program: 'Wisconsin Historic Rehabilitation Tax Credit',
+    rate: 0.20,
+    ownerOccupiedRate: 0.25,
+    perProjectCap: 3500000,
+    ownerOccupiedCap: 10000,
+    annualProgramCap: null,
+    refundable: false,
+    transferable: true,
+    incomeProducing: true,
+    ownerOccupied: true,
+    sunset: null
+  }
+};
+
+// Property tax relief that is not a credit against QREs
+export const STATE_HISTORIC_PROPERTY_TAX_PROGRAMS = {
+  'California': {
+    program: 'Mills Act Property Tax Reduction',
+    benefits: 'Property tax reduction up to 50-75%',
+    additionalInfo: 'Local program administered by municipalities'
+  },
+  'Florida': {
+    program: 'Special Assessment for Historic Properties',
+    benefits: 'Property tax assessment cap',
+    additionalInfo: 'Limits annual assessment increases'
+  }
+};
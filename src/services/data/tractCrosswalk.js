@@ -0,0 +1,15 @@
+// src/services/data/tractCrosswalk.js
+// Generated by scripts/build-tract-crosswalk.js - 2020 to 2010 census tract relationships
+// Re-run the script to refresh; do not edit by hand.
+
+export const TRACT_CROSSWALK_META = {
+  "source": "https://www2.census.gov/geo/docs/maps-data/data/rel2020/tract/tab20_tract20_tract10_natl.txt",
+  "fromVintage": 2020,
+  "toVintage": 2010,
+  "generatedAt": "2026-10-19",
+  "tracts2020": 0,
+  "changedTracts": 0,
+  "fields": ["geoid2010","shareOf2020","shareOf2010"]
+};
+
+export const TRACT_CROSSWALK = {};
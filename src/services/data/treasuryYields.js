@@ -0,0 +1,16 @@
+// src/services/data/treasuryYields.js
+//
+// Local Treasury yield file used when the Fiscal Data API is unreachable or when an analysis
+// should be priced at a fixed rate. Yields are decimals keyed by tenor in years; update both
+// figures and asOf together.
+
+export const TREASURY_YIELDS_META = {
+  asOf: '2025-01-31',
+  source: 'U.S. Treasury note auction high yields',
+  note: 'Snapshot rates - refresh before quoting a debenture rate'
+};
+
+export const TREASURY_YIELDS = {
+  5: 0.0433,
+  10: 0.0460
+};
@@ -0,0 +1,355 @@
+// src/services/importers/portfolioManager.js
+import { ValidationError } from '../errors/index.js';
+import { parseCSVRecords, pick, parseNumber } from '../utils/csv.js';
+import { roundTo } from '../utils/finance.js';
+import { toDate, addDays, daysBetween, formatISODate } from '../utils/dates.js';
+
+// ENERGY STAR Portfolio Manager site energy conversion factors to kBtu. Energy units convert the
+// same for every fuel; volume and mass units depend on the meter's fuel.
+const KBTU_PER_UNIT = {
+  'kbtu': 1,
+  'mbtu': 1000,
+  'mmbtu': 1000,
+  'kwh': 3.412,
+  'mwh': 3412,
+  'therms': 100,
+  'therm': 100,
+  'gj': 947.817
+};
+
+// Checked in order, so numbered fuel oils come before the generic #2 match
+const FUEL_KBTU_PER_UNIT = [
+  [/natural gas/i, {
+    'ccf': 102.6,
+    'kcf': 1026,
+    'mcf': 1026000, // million cubic feet in Portfolio Manager
+    'cf': 1.026,
+    'cubic feet': 1.026
+  }],
+  [/propane/i, { 'gallons': 91.6, 'liters': 24.2, 'cf': 2.516, 'cubic feet': 2.516, 'ccf': 251.6, 'kcf': 2516 }],
+  [/kerosene|no\.?\s*1\b/i, { 'gallons': 135, 'liters': 35.66 }],
+  [/no\.?\s*4\b/i, { 'gallons': 145.1, 'liters': 38.33 }],
+  [/no\.?\s*[56]\b/i, { 'gallons': 149.7, 'liters': 39.55 }],
+  [/fuel oil|diesel/i, { 'gallons': 138.6, 'liters': 36.61 }],
+  [/steam/i, { 'pounds': 1.194, 'klbs': 1194, 'mlbs': 1194000 }]
+];
+
+const FUEL_TYPES = [
+  [/solar|wind|onsite/i, 'onsiteRenewable'],
+  [/electric/i, 'electricity'],
+  [/natural gas/i, 'naturalGas'],
+  [/propane/i, 'propane'],
+  [/fuel oil|diesel|kerosene/i, 'fuelOil'],
+  [/steam/i, 'districtSteam'],
+  [/hot water|chilled water/i, 'districtWater']
+];
+
+// Portfolio Manager primary functions mapped onto the building types the audit benchmarks use
+const PRIMARY_FUNCTION_TYPES = [
+  [/medical office|outpatient|urgent care/i, 'healthcare'],
+  [/office|bank branch|financial office/i, 'office'],
+  [/retail|mall|grocery|supermarket/i, 'retail'],
+  [/warehouse|distribution|manufacturing|industrial|self-storage/i, 'industrial'],
+  [/hotel|lodging|motel/i, 'hospitality'],
+  [/multifamily|residence hall|senior living/i, 'multifamily'],
+  [/mixed use/i, 'mixed_use']
+];
+
+// Combine property and meter exports (XML or CSV) into a measured energy baseline
+export function importPortfolioManager({ property = null, meters = [] } = {}) {
+  if (!property && (!meters || meters.length === 0)) {
+    throw new ValidationError('A Portfolio Manager property or meter export is required', 'property');
+  }
+
+  const warnings = [];
+  const propertyData = property ? parsePropertyExport(property) : null;
+  const meterExports = (Array.isArray(meters) ? meters : [meters]).map(parseMeterExport);
+  const meterList = meterExports.flatMap(result => result.meters);
+  const entries = meterExports.flatMap(result => result.entries);
+  meterExports.forEach(result => warnings.push(...result.warnings));
+
+  const monthly = calendarize(entries);
+  // The latest twelve fully metered months are the baseline year; bills rarely start on the 1st
+  const baselineMonths = monthly.filter(month => month.complete).slice(-12);
+  if (entries.length > 0 && baselineMonths.length < 12) {
+    warnings.push(`Only ${baselineMonths.length} months of meter data - annual totals are partial`);
+  }
+
+  const fuelTotals = {};
+  let annualCost = 0;
+  let costComplete = baselineMonths.length > 0;
+  const costByFuel = {};
+  baselineMonths.forEach(month => {
+    Object.entries(month.byFuel).forEach(([fuel, kbtu]) => {
+      fuelTotals[fuel] = (fuelTotals[fuel] || 0) + kbtu;
+    });
+    Object.entries(month.costByFuel).forEach(([fuel, cost]) => {
+      costByFuel[fuel] = (costByFuel[fuel] || 0) + cost;
+    });
+    if (month.cost === null) costComplete = false;
+    annualCost += month.cost || 0;
+  });
+
+  const meteredKBtu = Object.values(fuelTotals).reduce((sum, kbtu) => sum + kbtu, 0);
+  const annualEnergyKBtu = meteredKBtu > 0 ? meteredKBtu : propertyData?.annualEnergyKBtu ?? null;
+  const fuelKBtu = meteredKBtu > 0 ? fuelTotals : propertyData?.fuelKBtu || {};
+  const fuelTotal = Object.values(fuelKBtu).reduce((sum, kbtu) => sum + kbtu, 0);
+
+  const grossFloorArea = propertyData?.grossFloorArea ?? null;
+  let siteEUI = propertyData?.siteEUI ?? null;
+  if (meteredKBtu > 0 && grossFloorArea && baselineMonths.length === 12) {
+    siteEUI = meteredKBtu / grossFloorArea;
+  }
+  if (siteEUI === null) {
+    warnings.push('Site EUI unavailable - include the property export with gross floor area');
+  }
+
+  const electricCost = costByFuel.electricity || 0;
+
+  return {
+    property: propertyData ? propertyData.property : null,
+    buildingType: propertyData ? mapPrimaryFunction(propertyData.property.primaryFunction) : null,
+    siteEUI: siteEUI !== null ? roundTo(siteEUI, 1) : null,
+    sourceEUI: propertyData?.sourceEUI ?? null,
+    weatherNormalizedSiteEUI: propertyData?.weatherNormalizedSiteEUI ?? null,
+    energyStarScore: propertyData?.energyStarScore ?? null,
+    annualEnergyKBtu: annualEnergyKBtu !== null ? Math.round(annualEnergyKBtu) : null,
+    annualCost: costComplete ? Math.round(annualCost) : null,
+    costByFuel: costComplete ? roundValues(costByFuel, 0) : null,
+    fuelMix: fuelTotal > 0 ?
+      Object.fromEntries(Object.entries(fuelKBtu).map(([fuel, kbtu]) => [fuel, roundTo(kbtu / fuelTotal, 3)])) :
+      null,
+    electricShare: costComplete && annualCost > 0 ? roundTo(electricCost / annualCost, 3) :
+      fuelTotal > 0 ? roundTo((fuelKBtu.electricity || 0) / fuelTotal, 3) : null,
+    period: baselineMonths.length > 0 ?
+      { start: baselineMonths[0].month, end: baselineMonths[baselineMonths.length - 1].month, months: baselineMonths.length } :
+      null,
+    monthly: monthly.map(month => ({
+      month: month.month,
+      totalKBtu: Math.round(month.totalKBtu),
+      byFuel: roundValues(month.byFuel, 0),
+      cost: month.cost !== null ? Math.round(month.cost) : null,
+      complete: month.complete
+    })),
+    meters: meterList,
+    warnings
+  };
+}
+
+export function mapPrimaryFunction(primaryFunction) {
+  const match = PRIMARY_FUNCTION_TYPES.find(([pattern]) => pattern.test(primaryFunction || ''));
+  return match ? match[1] : null;
+}
+
+function parsePropertyExport(text) {
+  return isXML(text) ? parsePropertyXML(text) : parsePropertyCSV(text);
+}
+
+function parsePropertyXML(xml) {
+  const metrics = {};
+  xmlElements(xml, 'metric').forEach(({ attributes, inner }) => {
+    metrics[attributes.name] = parseNumber(xmlText(inner, 'value'));
+  });
+  const floorArea = xmlElements(xml, 'grossFloorArea')[0];
+  const grossFloorArea = floorArea ? parseNumber(xmlText(floorArea.inner, 'value')) : null;
+
+  return {
+    property: {
+      id: xmlText(xml, 'id'),
+      name: xmlText(xml, 'name'),
+      primaryFunction: xmlText(xml, 'primaryFunction'),
+      yearBuilt: parseNumber(xmlText(xml, 'yearBuilt')),
+      grossFloorArea
+    },
+    grossFloorArea,
+    siteEUI: metrics.siteIntensity ?? null,
+    sourceEUI: metrics.sourceIntensity ?? null,
+    weatherNormalizedSiteEUI: metrics.siteIntensityWN ?? null,
+    energyStarScore: metrics.score ?? null,
+    annualEnergyKBtu: metrics.siteTotal ?? null,
+    fuelKBtu: compact({
+      electricity: metrics.siteElectricityUse ?? metrics.siteEnergyUseElectricity,
+      naturalGas: metrics.siteNaturalGasUse ?? metrics.siteEnergyUseNaturalGas,
+      fuelOil: metrics.siteEnergyUseFuelOil2,
+      districtSteam: metrics.siteEnergyUseDistrictSteam
+    })
+  };
+}
+
+// Custom report CSV; the first row is the property of interest
+function parsePropertyCSV(text) {
+  const [record] = parseCSVRecords(text);
+  if (!record) {
+    throw new ValidationError('Portfolio Manager property export has no rows', 'property');
+  }
+  const number = (...columns) => parseNumber(pick(record, ...columns));
+  const grossFloorArea = number('Property GFA - Self-Reported (ft²)', 'Property GFA - Calculated (Buildings and Parking) (ft²)',
+    'Gross Floor Area', 'Property Floor Area (Buildings and Parking) (ft²)');
+
+  return {
+    property: {
+      id: pick(record, 'Property Id', 'Portfolio Manager Property ID'),
+      name: pick(record, 'Property Name'),
+      primaryFunction: pick(record, 'Primary Property Type - Self Selected', 'Primary Property Type - Portfolio Manager-Calculated',
+        'Primary Function', 'Property Type'),
+      yearBuilt: number('Year Built'),
+      grossFloorArea
+    },
+    grossFloorArea,
+    siteEUI: number('Site EUI (kBtu/ft²)', 'Site EUI (kBtu/sq ft)'),
+    sourceEUI: number('Source EUI (kBtu/ft²)', 'Source EUI (kBtu/sq ft)'),
+    weatherNormalizedSiteEUI: number('Weather Normalized Site EUI (kBtu/ft²)', 'Weather Normalized Site EUI (kBtu/sq ft)'),
+    energyStarScore: number('ENERGY STAR Score'),
+    annualEnergyKBtu: number('Site Energy Use (kBtu)'),
+    fuelKBtu: compact({
+      electricity: number('Electricity Use - Grid Purchase (kBtu)'),
+      naturalGas: number('Natural Gas Use (kBtu)'),
+      fuelOil: number('Fuel Oil #2 Use (kBtu)'),
+      districtSteam: number('District Steam Use (kBtu)'),
+      onsiteRenewable: number('Electricity Use - Generated from Onsite Renewable Systems and Used Onsite (kBtu)')
+    })
+  };
+}
+
+function parseMeterExport(text) {
+  return isXML(text) ? parseMeterXML(text) : parseMeterCSV(text);
+}
+
+function parseMeterXML(xml) {
+  const warnings = [];
+  const meters = xmlElements(xml, 'meter').map(({ inner }) => ({
+    id: xmlText(inner, 'id'),
+    name: xmlText(inner, 'name'),
+    type: xmlText(inner, 'type'),
+    unitOfMeasure: xmlText(inner, 'unitOfMeasure')
+  }));
+  const byId = new Map(meters.map(meter => [meter.id, meter]));
+
+  // Consumption is nested in <meterData> blocks, one per meter, or carries a meterId attribute
+  const blocks = xmlElements(xml, 'meterData');
+  const sources = blocks.length > 0 ? blocks : [{ attributes: {}, inner: xml }];
+  const entries = sources.flatMap(({ attributes, inner }) => {
+    const blockMeter = byId.get(attributes.meterId || xmlText(inner, 'meterId')) || (meters.length === 1 ? meters[0] : null);
+    return xmlElements(inner, 'meterConsumption').map(({ inner: row }) => ({
+      meter: byId.get(xmlText(row, 'meterId')) || blockMeter,
+      startDate: xmlText(row, 'startDate'),
+      endDate: xmlText(row, 'endDate'),
+      usage: parseNumber(xmlText(row, 'usage')),
+      cost: parseNumber(xmlText(row, 'cost'))
+    }));
+  });
+
+  return { meters, entries: entries.map(entry => toEntry(entry, warnings)).filter(Boolean), warnings };
+}
+
+// "Download data" meter spreadsheets: one row per bill
+function parseMeterCSV(text) {
+  const warnings = [];
+  const meters = new Map();
+  const entries = parseCSVRecords(text).map(record => {
+    const id = pick(record, 'Meter ID', 'Portfolio Manager Meter ID', 'Meter Id') || pick(record, 'Meter Name');
+    if (!meters.has(id)) {
+      meters.set(id, {
+        id,
+        name: pick(record, 'Meter Name'),
+        type: pick(record, 'Meter Type', 'Energy Type'),
+        unitOfMeasure: pick(record, 'Usage Units', 'Units', 'Unit of Measure')
+      });
+    }
+    return toEntry({
+      meter: meters.get(id),
+      startDate: pick(record, 'Start Date'),
+      endDate: pick(record, 'End Date'),
+      usage: parseNumber(pick(record, 'Usage/Quantity', 'Usage', 'Quantity')),
+      cost: parseNumber(pick(record, 'Cost ($)', 'Cost'))
+    }, warnings);
+  }).filter(Boolean);
+
+  return { meters: [...meters.values()], entries, warnings };
+}
+
+function toEntry({ meter, startDate, endDate, usage, cost }, warnings) {
+  const start = toDate(startDate);
+  const end = toDate(endDate);
+  if (!meter || !start || !end || usage === null) {
+    warnings.push(`Skipped meter entry ${startDate || '?'} - ${endDate || '?'}: missing meter, dates or usage`);
+    return null;
+  }
+  // "kWh (thousand Watt-hours)", "KLbs. (thousand pounds)" -> kwh, klbs
+  const unit = String(meter.unitOfMeasure || '').toLowerCase().replace(/\s*\(.*\)\s*$/, '').replace(/\./g, '').trim();
+  const fuelFactors = FUEL_KBTU_PER_UNIT.find(([pattern]) => pattern.test(meter.type || ''))?.[1] || {};
+  const factor = KBTU_PER_UNIT[unit] ?? fuelFactors[unit];
+  if (!factor) {
+    warnings.push(`Unknown unit "${meter.unitOfMeasure}" for ${meter.type || 'unknown fuel'} on meter ${meter.name || meter.id}`);
+    return null;
+  }
+  const fuel = FUEL_TYPES.find(([pattern]) => pattern.test(meter.type || ''))?.[1] || 'other';
+  return { fuel, start, end, kbtu: usage * factor, cost };
+}
+
+// Spread each bill across calendar months by day, as Portfolio Manager does
+function calendarize(entries) {
+  const months = new Map();
+  entries.forEach(entry => {
+    // Bill periods include both the start and end dates
+    const totalDays = daysBetween(entry.start, entry.end) + 1;
+    for (let day = entry.start; day <= entry.end; day = addDays(day, 1)) {
+      const key = formatISODate(day).substring(0, 7);
+      if (!months.has(key)) months.set(key, { month: key, byFuel: {}, costByFuel: {}, totalKBtu: 0, cost: 0, days: new Set() });
+      const month = months.get(key);
+      month.days.add(day.getUTCDate());
+      const kbtu = entry.kbtu / totalDays;
+      month.byFuel[entry.fuel] = (month.byFuel[entry.fuel] || 0) + kbtu;
+      month.totalKBtu += kbtu;
+      if (entry.cost === null || month.cost === null) {
+        month.cost = null;
+      } else {
+        month.cost += entry.cost / totalDays;
+        month.costByFuel[entry.fuel] = (month.costByFuel[entry.fuel] || 0) + entry.cost / totalDays;
+      }
+    }
+  });
+  return [...months.values()]
+    .map(({ days, ...month }) => {
+      const [year, monthNumber] = month.month.split('-').map(Number);
+      return { ...month, complete: days.size === new Date(Date.UTC(year, monthNumber, 0)).getUTCDate() };
+    })
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+function isXML(text) {
+  return /^\s*(<\?xml|<)/.test(text);
+}
+
+// Portfolio Manager XML is flat and well formed, so a tag scanner is enough
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  return [...xml.matchAll(pattern)].map(match => ({
+    attributes: Object.fromEntries([...(match[1] || '').matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value])),
+    inner: match[2] || ''
+  }));
+}
+
+function xmlText(xml, tag) {
+  const element = xmlElements(xml, tag)[0];
+  if (!element) return null;
+  const text = element.inner.replace(/<[^>]+>/g, '').trim();
+  return text === '' ? null : decodeEntities(text);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function compact(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null && value !== undefined));
+}
+
+function roundValues(values, decimals) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, roundTo(value, decimals)]));
+}
@@ -21,6 +21,7 @@ export const API_ENDPOINTS = {
   HUD_USER: 'https://www.huduser.gov/PORTAL',
   SBA_API: 'https://api.sba.gov',
   TREASURY_API: 'https://api.fiscaldata.treasury.gov',
+  CENSUS_ACS: 'https://api.census.gov/data/2020/acs/acs5',
   
   // Third-party APIs
   NOMINATIM: 'https://nominatim.openstreetmap.org',
@@ -30,7 +31,9 @@ export const API_ENDPOINTS = {
   NMTC_DIRECTORY: 'https://www.cdfifund.gov/programs-training/Programs/new-markets-tax-credit',
   HISTORIC_PLACES: 'https://www.nps.gov/subjects/nationalregister/database-research.htm',
   PACE_PROGRAMS: 'https://pacenation.org/pace-programs/',
-  SBA_LENDERS: 'https://www.sba.gov/funding-programs/loans/lender-match'
+  SBA_LENDERS: 'https://www.sba.gov/funding-programs/loans/lender-match',
+  SBA_SIZE_STANDARDS: 'https://www.sba.gov/document/support-table-size-standards',
+  HUD_QCT_DDA: 'https://www.huduser.gov/portal/datasets/qct.html'
 };
 
 // Program Configuration
@@ -38,32 +41,156 @@ export const PROGRAM_LIMITS = {
   OPPORTUNITY_ZONES: {
     MIN_INVESTMENT: 1000000,
     MAX_BENEFIT_YEARS: 10,
-    DEFERRAL_DEADLINE: '2026-12-31'
+    DEFERRAL_DEADLINE: '2026-12-31',
+    REINVESTMENT_WINDOW_DAYS: 180,
+    FIVE_YEAR_STEP_UP: 0.10,
+    SEVEN_YEAR_STEP_UP: 0.05, // Additional, on top of the 5-year step-up
+    RURAL_FIVE_YEAR_STEP_UP: 0.30, // Qualified rural opportunity funds, investments after 2026
+    ROLLING_DEFERRAL_YEARS: 5, // Investments after 2026
+    EXCLUSION_CAP_YEARS: 30,
+    DESIGNATION_EXPIRATION: '2047-12-31',
+    SUBSTANTIAL_IMPROVEMENT_MONTHS: 30,
+    SUBSTANTIAL_IMPROVEMENT_RATIO: 1.00, // Additions must exceed 100% of building basis
+    RURAL_SUBSTANTIAL_IMPROVEMENT_RATIO: 0.50,
+    ORIGINAL_USE_VACANCY_YEARS: 1, // Vacant since the zone was designated
+    ORIGINAL_USE_VACANCY_YEARS_OTHER: 3,
+    QOF_ASSET_TEST: 0.90,
+    QOZB_TANGIBLE_PROPERTY: 0.70,
+    QOZB_GROSS_INCOME: 0.50,
+    QOZB_INTANGIBLES: 0.40,
+    QOZB_NQFP_MAX: 0.05,
+    WORKING_CAPITAL_MONTHS: 31,
+    WORKING_CAPITAL_MAX_MONTHS: 62, // With subsequent infusions under a consistent plan
+    NEW_CAPITAL_EXCLUSION_MONTHS: 6
   },
   HISTORIC_TAX_CREDITS: {
     CREDIT_RATE: 0.20,
     MIN_REHAB_COST: 5000,
-    CLAIM_PERIOD_YEARS: 5
+    CLAIM_PERIOD_YEARS: 5,
+    MEASURING_PERIOD_MONTHS: 24,
+    PHASED_MEASURING_PERIOD_MONTHS: 60, // Requires plans and specs completed before rehab begins
+    NPS_REVIEW_DAYS: 30, // NPS review target for a complete application
+    PART_3_GRACE_MONTHS: 30 // Part 3 must follow a credit claimed on Part 2 approval
   },
   NMTC: {
     CREDIT_RATE: 0.39,
     CREDIT_PERIOD_YEARS: 7,
-    MIN_INVESTMENT: 1000000
+    CREDIT_SCHEDULE: [0.05, 0.05, 0.05, 0.06, 0.06, 0.06, 0.06], // by credit allowance date
+    MIN_INVESTMENT: 1000000,
+    LIC_POVERTY_RATE: 20, // percent
+    LIC_INCOME_RATIO: 0.80, // tract median family income / area median
+    SEVERE_POVERTY_RATE: 30,
+    SEVERE_INCOME_RATIO: 0.60,
+    SEVERE_UNEMPLOYMENT_MULTIPLE: 1.5, // tract unemployment / national rate
+    DEEP_POVERTY_RATE: 40,
+    DEEP_INCOME_RATIO: 0.40,
+    DEEP_UNEMPLOYMENT_MULTIPLE: 2.5,
+    QALICB_GROSS_INCOME: 0.50,
+    QALICB_TANGIBLE_PROPERTY: 0.40,
+    QALICB_SERVICES: 0.40,
+    QALICB_NO_EMPLOYEE_PROPERTY: 0.85, // deems the services and gross income tests met
+    QALICB_COLLECTIBLES_MAX: 0.05,
+    QALICB_NQFP_MAX: 0.05,
+    RESIDENTIAL_RENTAL_INCOME_SHARE: 0.80, // building is residential rental at or above this share
+    FARMING_ASSET_LIMIT: 500000
   },
   SBA_504: {
     MAX_SBA_AMOUNT: 5500000,
     MAX_PROJECT_COST: 13750000,
     OWNER_EQUITY_MIN: 0.10,
-    OWNER_OCCUPANCY_MIN: 0.51
+    // Each of startup (under 2 years) and special-purpose property adds 5% to the injection,
+    // taken out of the CDC share; the bank's first lien stays at 50%
+    EQUITY_INJECTION_ADDER: 0.05,
+    STARTUP_BUSINESS_AGE: 2,
+    BANK_SHARE: 0.50,
+    OWNER_OCCUPANCY_MIN: 0.51,
+    // 504 alternative size standard (13 CFR 121.301(b))
+    ALT_TANGIBLE_NET_WORTH_MAX: 20000000,
+    ALT_NET_INCOME_MAX: 6500000,
+    RECEIPTS_AVERAGING_YEARS: 5,
+    EMPLOYEE_AVERAGING_MONTHS: 24,
+    // Debenture dollars per job created or retained (13 CFR 120.861)
+    JOB_RATIO: 90000,
+    SMALL_MANUFACTURER_JOB_RATIO: 140000,
+    SMALL_MANUFACTURER_MAX_EMPLOYEES: 500,
+    ENERGY_REDUCTION_MIN: 0.10,
+    RENEWABLE_ENERGY_SHARE_MIN: 0.15,
+    // Debenture pricing. Fees are FY2024 levels - SBA resets the annual fee each fiscal year.
+    // 10-year debentures price off the 5-year Treasury, 20- and 25-year off the 10-year.
+    DEBENTURE_TREASURY_TENOR: { 10: 5, 20: 10, 25: 10 },
+    DEBENTURE_SPREAD: 0.006,
+    CDC_PROCESSING_FEE: 0.015,
+    SBA_GUARANTEE_FEE: 0.005,
+    FUNDING_FEE: 0.0025,
+    UNDERWRITER_FEE: 0.004,
+    CLOSING_COSTS: 2500,
+    SBA_ANNUAL_FEE: 0.003314,
+    CDC_SERVICING_FEE: 0.00625,
+    CSA_FEE: 0.001
+  },
+  SBA_7A: {
+    MAX_LOAN_AMOUNT: 5000000,
+    SMALL_LOAN_MAX: 150000,
+    SMALL_LOAN_GUARANTEE: 0.85,
+    STANDARD_GUARANTEE: 0.75,
+    // Upfront fee on the guaranteed portion for maturities over 12 months (FY2025). The top tier
+    // charges a higher rate on the guaranteed portion above $1M.
+    GUARANTEE_FEE_TIERS: [
+      { maxLoan: 150000, rate: 0.02 },
+      { maxLoan: 700000, rate: 0.03 },
+      { maxLoan: 5000000, rate: 0.035, rateOverOneMillion: 0.0375 }
+    ],
+    SHORT_TERM_GUARANTEE_FEE: 0.0025,
+    // Maximum spread over prime for variable-rate loans
+    MAX_SPREAD_TIERS: [
+      { maxLoan: 50000, spread: 0.065 },
+      { maxLoan: 250000, spread: 0.06 },
+      { maxLoan: 350000, spread: 0.045 },
+      { maxLoan: Infinity, spread: 0.03 }
+    ],
+    MAX_TERM_YEARS: {
+      realEstate: 25,
+      construction: 25,
+      equipment: 10,
+      workingCapital: 10,
+      inventory: 10,
+      refinance: 10,
+      businessAcquisition: 10
+    },
+    // SBA requires 10% from startups; lenders typically ask the same of existing businesses
+    EQUITY_MIN: 0.10,
+    PRIME_RATE: 0.075
+  },
+  LIHTC: {
+    BASIS_BOOST: 1.30,
+    NINE_PERCENT_RATE: 0.09, // Fixed floors under IRC 42(b)(2)(A) and 42(b)(3)
+    FOUR_PERCENT_RATE: 0.04,
+    CREDIT_PERIOD_YEARS: 10,
+    COMPLIANCE_PERIOD_YEARS: 15,
+    // Minimum set-asides: share of units and the AMI limit they are rented under
+    SET_ASIDES: {
+      '20-50': { share: 0.20, amiLimit: 0.50 },
+      '40-60': { share: 0.40, amiLimit: 0.60 },
+      income_averaging: { share: 0.40, amiLimit: 0.80, averageAmiMax: 0.60 }
+    },
+    // Share of aggregate basis plus land financed with tax-exempt bonds for 4% credits without
+    // an allocation; 25% for bonds issued after 2025
+    BOND_TEST: 0.50,
+    BOND_TEST_2026: 0.25,
+    CREDIT_PRICE: 0.85
   },
   CPACE: {
     MAX_TERM_YEARS: 30,
     TYPICAL_RATE_RANGE: [0.04, 0.08],
-    MAX_LTV_RATIO: 0.30
+    MAX_LTV_RATIO: 0.30,
+    MAX_COMBINED_LTV_RATIO: 0.90,
+    MIN_SIR: 1.0,
+    TAX_BILL_PAYMENTS_PER_YEAR: [1, 2]
   }
 };
 
-// SBA Size Standards (simplified - actual standards vary by detailed NAICS codes)
+// Industry-level SBA size standards, used only when no NAICS code is given or the NAICS table
+// (scripts/build-sba-size-standards.js) is not loaded
 export const SBA_SIZE_STANDARDS = {
   'retail': { employees: 500, receipts: 8000000 },
   'manufacturing': { employees: 1500, receipts: null },
@@ -79,14 +206,19 @@ export const SBA_SIZE_STANDARDS = {
 // State Program Availability
 export const STATE_PROGRAMS = {
   CPACE_STATES: [
-    'California', 'New York', 'Texas', 'Florida', 'Colorado', 'Connecticut',
-    'Maryland', 'Minnesota', 'Nevada', 'New Jersey', 'Ohio', 'Rhode Island',
-    'Virginia', 'Wisconsin', 'Missouri', 'Michigan', 'Utah', 'Vermont'
+    'California', 'Colorado', 'Connecticut', 'District of Columbia', 'Florida',
+    'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Missouri', 'Nevada',
+    'New Jersey', 'New York', 'Ohio', 'Pennsylvania', 'Rhode Island', 'Texas',
+    'Utah', 'Vermont', 'Virginia', 'Wisconsin'
   ],
   HISTORIC_CREDIT_STATES: [
-    'California', 'New York', 'Texas', 'Georgia', 'Louisiana', 'Maryland',
-    'Massachusetts', 'Missouri', 'New Mexico', 'North Carolina', 'Ohio',
-    'South Carolina', 'Virginia', 'Wisconsin'
+    'Alabama', 'Arkansas', 'California', 'Colorado', 'Connecticut',
+    'Delaware', 'Georgia', 'Hawaii', 'Illinois', 'Iowa', 'Kansas',
+    'Kentucky', 'Louisiana', 'Maine', 'Maryland', 'Massachusetts',
+    'Michigan', 'Mississippi', 'Missouri', 'Montana', 'Nebraska', 'New Jersey',
+    'New Mexico', 'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma',
+    'Pennsylvania', 'Rhode Island', 'South Carolina', 'Texas', 'Utah', 'Vermont', 'Virginia',
+    'West Virginia', 'Wisconsin'
   ]
 };
 
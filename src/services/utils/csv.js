@@ -0,0 +1,82 @@
+// src/services/utils/csv.js
+
+// Minimal RFC 4180 parser - enough for the agency spreadsheets and Portfolio Manager exports we read
+export function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse into objects keyed by normalized header (lowercase, single spaces)
+export function parseCSVRecords(text, delimiter = ',') {
+  const [header, ...rows] = parseCSV(text, delimiter);
+  if (!header) return [];
+
+  const keys = header.map(normalizeHeader);
+  return rows.map(row => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (row[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+export function normalizeHeader(value) {
+  return value.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Pick the first non-empty value among several possible column names
+export function pick(record, ...columns) {
+  for (const column of columns) {
+    const value = record[normalizeHeader(column)];
+    if (value !== undefined && value !== '') return value;
+  }
+  return null;
+}
+
+export function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const cleaned = String(value).replace(/[$,%\s]/g, '');
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
@@ -0,0 +1,55 @@
+// src/services/utils/dates.js
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// All calculations work in UTC so 'YYYY-MM-DD' strings never shift a day with the local timezone
+export function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export function addDays(date, days) {
+  return new Date(toDate(date).getTime() + days * MS_PER_DAY);
+}
+
+export function addMonths(date, months) {
+  const result = toDate(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  // Clamp to month end (Aug 31 + 6 months = Feb 28/29, not Mar 3)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+export function addYears(date, years) {
+  return addMonths(date, years * 12);
+}
+
+export function daysBetween(start, end) {
+  return Math.round((toDate(end).getTime() - toDate(start).getTime()) / MS_PER_DAY);
+}
+
+export function yearsBetween(start, end) {
+  return daysBetween(start, end) / 365.25;
+}
+
+export function monthsBetween(start, end) {
+  const from = toDate(start);
+  const to = toDate(end);
+  let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  if (to.getUTCDate() < from.getUTCDate()) months--;
+  return months;
+}
+
+export function minDate(...dates) {
+  return dates.map(toDate).filter(Boolean).reduce((min, date) => (date < min ? date : min));
+}
+
+export function formatISODate(date) {
+  const value = toDate(date);
+  return value ? value.toISOString().substring(0, 10) : null;
+}
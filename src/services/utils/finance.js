@@ -0,0 +1,19 @@
+// src/services/utils/finance.js
+
+export function roundTo(value, decimals = 0) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Level payment for a fully amortizing loan; rate is per period
+export function amortizingPayment(principal, ratePerPeriod, periods) {
+  if (periods <= 0) return 0;
+  if (ratePerPeriod === 0) return principal / periods;
+  return principal *
+    (ratePerPeriod * Math.pow(1 + ratePerPeriod, periods)) /
+    (Math.pow(1 + ratePerPeriod, periods) - 1);
+}
+
+export function presentValue(amount, rate, years) {
+  return amount / Math.pow(1 + rate, years);
+}
@@ -0,0 +1,77 @@
+// src/services/utils/geo.js
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LAT = 69.0;
+
+export function haversineMiles(from, to) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLon = toRad(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+// Ray casting against GeoJSON-style rings ([lon, lat] pairs); the first ring is the
+// outer boundary and any others are holes
+export function pointInPolygon(point, rings) {
+  if (!rings || rings.length === 0) return false;
+  if (!pointInRing(point, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+function pointInRing({ lat, lon }, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lon < (xj - xi) * (lat - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// bbox is [minLon, minLat, maxLon, maxLat]
+export function bboxContains(bbox, { lat, lon }) {
+  return lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+}
+
+// Fixed-size lat/lon grid so radius queries only scan nearby cells
+export class GridIndex {
+  constructor(cellSizeDegrees = 0.1) {
+    this.cellSize = cellSizeDegrees;
+    this.cells = new Map();
+  }
+
+  key(lat, lon) {
+    return `${Math.floor(lat / this.cellSize)}:${Math.floor(lon / this.cellSize)}`;
+  }
+
+  insert(item) {
+    const key = this.key(item.lat, item.lon);
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(item);
+  }
+
+  withinRadius(center, radiusMiles) {
+    const latSpan = radiusMiles / MILES_PER_DEGREE_LAT;
+    const lonSpan = radiusMiles / (MILES_PER_DEGREE_LAT * Math.max(Math.cos(center.lat * Math.PI / 180), 0.01));
+    const minRow = Math.floor((center.lat - latSpan) / this.cellSize);
+    const maxRow = Math.floor((center.lat + latSpan) / this.cellSize);
+    const minCol = Math.floor((center.lon - lonSpan) / this.cellSize);
+    const maxCol = Math.floor((center.lon + lonSpan) / this.cellSize);
+
+    const results = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        for (const item of this.cells.get(`${row}:${col}`) || []) {
+          const distance = haversineMiles(center, item);
+          if (distance <= radiusMiles) results.push({ item, distance });
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+}
@@ -0,0 +1,70 @@
+// src/services/utils/tractCrosswalk.js
+import { TRACT_CROSSWALK, TRACT_CROSSWALK_META } from '../data/tractCrosswalk.js';
+
+// Share of a 2020 tract's land area above which we treat it as wholly inside one 2010 tract
+const WHOLLY_CONTAINED = 0.99;
+
+export const TRACT_RELATIONSHIPS = {
+  UNCHANGED: 'unchanged',
+  RENUMBERED: 'renumbered',
+  SPLIT: 'split',           // 2020 tract is one piece of a larger 2010 tract
+  MULTIPLE: 'multiple',     // 2020 tract overlaps more than one 2010 tract
+  UNVERIFIED: 'unverified'  // relationship file not loaded; GEOID assumed unchanged
+};
+
+// Map a 2020 tract GEOID to the 2010 tract(s) it was drawn from
+export function crosswalkTract2020To2010(geoid2020) {
+  const parts = TRACT_CROSSWALK[geoid2020];
+
+  if (!parts) {
+    return {
+      geoid2020,
+      relationship: TRACT_CROSSWALK_META.tracts2020 > 0 ? TRACT_RELATIONSHIPS.UNCHANGED : TRACT_RELATIONSHIPS.UNVERIFIED,
+      parents: [{ geoid2010: geoid2020, shareOf2020: 1, shareOf2010: 1 }],
+      partialOverlap: false
+    };
+  }
+
+  let parents = parts.map(([geoid2010, shareOf2020, shareOf2010]) => ({
+    geoid2010,
+    shareOf2020,
+    shareOf2010
+  }));
+
+  // Parts are sorted by share, so anything beside a wholly-containing parent is a sliver
+  if (parents[0].shareOf2020 >= WHOLLY_CONTAINED) {
+    parents = [parents[0]];
+  }
+
+  const [primary] = parents;
+  let relationship;
+  if (parents.length > 1) {
+    relationship = TRACT_RELATIONSHIPS.MULTIPLE;
+  } else if (primary.shareOf2010 < WHOLLY_CONTAINED) {
+    relationship = TRACT_RELATIONSHIPS.SPLIT;
+  } else if (primary.geoid2010 !== geoid2020) {
+    relationship = TRACT_RELATIONSHIPS.RENUMBERED;
+  } else {
+    relationship = TRACT_RELATIONSHIPS.UNCHANGED;
+  }
+
+  return {
+    geoid2020,
+    relationship,
+    parents,
+    partialOverlap: relationship === TRACT_RELATIONSHIPS.MULTIPLE
+  };
+}
+
+export function getCrosswalkInfo() {
+  const loaded = TRACT_CROSSWALK_META.tracts2020 > 0;
+  return {
+    source: TRACT_CROSSWALK_META.source,
+    fromVintage: TRACT_CROSSWALK_META.fromVintage,
+    toVintage: TRACT_CROSSWALK_META.toVintage,
+    changedTracts: TRACT_CROSSWALK_META.changedTracts,
+    loaded,
+    note: loaded ? null :
+      'Tract relationship file not loaded - 2020 GEOIDs are assumed to match their 2010 tracts'
+  };
+}
@@ -0,0 +1,303 @@
+// src/services/workflows/HTCCertificationTracker.js
+import { ValidationError } from '../errors/index.js';
+import { PROGRAM_LIMITS } from '../utils/constants.js';
+import { toDate, addDays, addMonths, formatISODate } from '../utils/dates.js';
+
+const HTC = PROGRAM_LIMITS.HISTORIC_TAX_CREDITS;
+
+export const HTC_PARTS = {
+  part1: { label: 'Part 1 - Evaluation of Significance' },
+  part2: { label: 'Part 2 - Description of Rehabilitation' },
+  part3: { label: 'Part 3 - Request for Certification of Completed Work' }
+};
+
+export const HTC_DECISIONS = {
+  APPROVED: 'approved',
+  CONDITIONAL: 'conditionally_approved',
+  DENIED: 'denied'
+};
+
+const DECISION_VALUES = Object.values(HTC_DECISIONS);
+
+// Records NPS review history for one rehabilitation project. State is plain data so it can be
+// persisted with toJSON() and restored with HTCCertificationTracker.fromJSON().
+class HTCCertificationTracker {
+  constructor({ projectId = null, projectName = null, phased = false } = {}) {
+    this.projectId = projectId;
+    this.projectName = projectName;
+    this.phased = phased;
+    this.parts = {
+      part1: emptyPart(),
+      part2: emptyPart(),
+      part3: emptyPart()
+    };
+    this.amendments = [];
+    this.construction = { startDate: null, completionDate: null };
+    this.placedInServiceDate = null;
+  }
+
+  static fromJSON(state = {}) {
+    const tracker = new HTCCertificationTracker(state);
+    for (const part of Object.keys(HTC_PARTS)) {
+      if (state.parts?.[part]) tracker.parts[part] = { ...emptyPart(), ...state.parts[part] };
+    }
+    tracker.amendments = (state.amendments || []).map(amendment => ({ ...amendment }));
+    tracker.construction = { ...tracker.construction, ...state.construction };
+    tracker.placedInServiceDate = state.placedInServiceDate || null;
+    return tracker;
+  }
+
+  toJSON() {
+    return {
+      projectId: this.projectId,
+      projectName: this.projectName,
+      phased: this.phased,
+      parts: JSON.parse(JSON.stringify(this.parts)),
+      amendments: this.amendments.map(amendment => ({ ...amendment })),
+      construction: { ...this.construction },
+      placedInServiceDate: this.placedInServiceDate
+    };
+  }
+
+  recordSubmission(part, date) {
+    const record = this.getPart(part);
+    const submitted = requireDate(date, 'submittedDate');
+
+    // Part 3 certifies completed work against an approved Part 2
+    if (part === 'part3' && !isApproved(this.parts.part2)) {
+      throw new ValidationError('Part 3 cannot be submitted before Part 2 is approved', 'part3');
+    }
+
+    record.submittedDate = submitted;
+    record.decision = null;
+    record.decisionDate = null;
+    return this;
+  }
+
+  recordDecision(part, { date, decision, conditions = [] } = {}) {
+    const record = this.getPart(part);
+    if (!record.submittedDate) {
+      throw new ValidationError(`${HTC_PARTS[part].label} has not been submitted`, part);
+    }
+    if (!DECISION_VALUES.includes(decision)) {
+      throw new ValidationError(`Decision must be one of: ${DECISION_VALUES.join(', ')}`, 'decision');
+    }
+    const decided = requireDate(date, 'decisionDate');
+    if (decided < record.submittedDate) {
+      throw new ValidationError('Decision date cannot precede the submission date', 'decisionDate');
+    }
+
+    record.decision = decision;
+    record.decisionDate = decided;
+    record.conditions = decision === HTC_DECISIONS.CONDITIONAL ?
+      conditions.map((description, index) => ({
+        id: `${part}-c${index + 1}`,
+        description,
+        satisfiedDate: null
+      })) :
+      [];
+    return this;
+  }
+
+  satisfyCondition(conditionId, date) {
+    const condition = Object.values(this.parts)
+      .flatMap(record => record.conditions)
+      .find(candidate => candidate.id === conditionId);
+    if (!condition) {
+      throw new ValidationError(`Unknown condition "${conditionId}"`, 'conditionId');
+    }
+    condition.satisfiedDate = requireDate(date, 'satisfiedDate');
+    return this;
+  }
+
+  // Amendments change the scope of an approved (or pending) Part 1 or Part 2
+  recordAmendment({ part = 'part2', submittedDate, description } = {}) {
+    this.getPart(part);
+    if (part === 'part3') {
+      throw new ValidationError('Amendments apply to Part 1 or Part 2', 'part');
+    }
+    if (!this.parts[part].submittedDate) {
+      throw new ValidationError(`${HTC_PARTS[part].label} must be submitted before it can be amended`, part);
+    }
+
+    const amendment = {
+      id: `amendment-${this.amendments.length + 1}`,
+      part,
+      description: description || null,
+      submittedDate: requireDate(submittedDate, 'submittedDate'),
+      decision: null,
+      decisionDate: null
+    };
+    this.amendments.push(amendment);
+    return amendment.id;
+  }
+
+  recordAmendmentDecision(amendmentId, { date, decision } = {}) {
+    const amendment = this.amendments.find(candidate => candidate.id === amendmentId);
+    if (!amendment) {
+      throw new ValidationError(`Unknown amendment "${amendmentId}"`, 'amendmentId');
+    }
+    if (!DECISION_VALUES.includes(decision)) {
+      throw new ValidationError(`Decision must be one of: ${DECISION_VALUES.join(', ')}`, 'decision');
+    }
+    amendment.decision = decision;
+    amendment.decisionDate = requireDate(date, 'decisionDate');
+    return this;
+  }
+
+  recordConstructionStart(date) {
+    this.construction.startDate = requireDate(date, 'constructionStartDate');
+    return this;
+  }
+
+  recordConstructionCompletion(date) {
+    this.construction.completionDate = requireDate(date, 'constructionCompletionDate');
+    return this;
+  }
+
+  recordPlacedInService(date) {
+    this.placedInServiceDate = requireDate(date, 'placedInServiceDate');
+    return this;
+  }
+
+  getPart(part) {
+    if (!HTC_PARTS[part]) {
+      throw new ValidationError(`Unknown application part "${part}"`, 'part');
+    }
+    return this.parts[part];
+  }
+
+  getWarnings(asOfDate = new Date()) {
+    const asOf = formatISODate(asOfDate);
+    const warnings = [];
+    const { part1, part2, part3 } = this.parts;
+    const start = this.construction.startDate;
+
+    if (start && (!isApproved(part2) || part2.decisionDate > start)) {
+      warnings.push(`Construction started ${start} before Part 2 approval - work is at the owner's risk and may have to be reversed`);
+    }
+    if (start && !part1.submittedDate) {
+      warnings.push('Construction started before Part 1 was submitted');
+    }
+
+    for (const [part, record] of Object.entries(this.parts)) {
+      if (record.decision === HTC_DECISIONS.DENIED) {
+        warnings.push(`${HTC_PARTS[part].label} was denied`);
+      }
+      if (record.submittedDate && !record.decision) {
+        const expected = formatISODate(addDays(record.submittedDate, HTC.NPS_REVIEW_DAYS));
+        if (asOf > expected) {
+          warnings.push(`${HTC_PARTS[part].label} has been under review past the ${HTC.NPS_REVIEW_DAYS}-day target (${expected})`);
+        }
+      }
+    }
+
+    const openConditions = this.getOpenConditions();
+    if (openConditions.length > 0 && part3.submittedDate) {
+      warnings.push(`${openConditions.length} approval condition(s) still open at Part 3 submission`);
+    }
+
+    const pending = this.amendments.filter(amendment => !amendment.decision);
+    if (pending.length > 0 && start) {
+      warnings.push(`${pending.length} amendment(s) pending - do not start the affected work until approved`);
+    }
+
+    const claim = this.getCreditClaim();
+    if (claim.part3Deadline && !isApproved(part3) && asOf > claim.part3Deadline) {
+      warnings.push(`Part 3 approval is overdue - credit claimed for ${claim.firstClaimYear} needed certification by ${claim.part3Deadline}`);
+    }
+
+    return warnings;
+  }
+
+  getOpenConditions() {
+    return Object.values(this.parts)
+      .flatMap(record => record.conditions)
+      .filter(condition => !condition.satisfiedDate);
+  }
+
+  // The credit is claimed for the taxable year the building is placed in service. Without a
+  // recorded date, substantial completion is the best estimate.
+  getCreditClaim() {
+    const placedInService = this.placedInServiceDate || this.construction.completionDate;
+    if (!placedInService) {
+      return {
+        placedInServiceDate: null,
+        source: null,
+        firstClaimYear: null,
+        schedule: [],
+        claimable: false,
+        part3Deadline: null
+      };
+    }
+
+    const firstClaimYear = Number(placedInService.substring(0, 4));
+    const taxYearEnd = `${firstClaimYear}-12-31`;
+    const part3Approved = isApproved(this.parts.part3);
+    // A credit can be claimed on an approved Part 2 if Part 3 follows within 30 months
+    const claimable = part3Approved || isApproved(this.parts.part2);
+
+    return {
+      placedInServiceDate: placedInService,
+      source: this.placedInServiceDate ? 'recorded' : 'construction_completion',
+      firstClaimYear,
+      measuringPeriodEndsBy: taxYearEnd,
+      claimable,
+      part3Deadline: part3Approved ? null : formatISODate(addMonths(taxYearEnd, HTC.PART_3_GRACE_MONTHS)),
+      schedule: Array.from({ length: HTC.CLAIM_PERIOD_YEARS }, (_, index) => ({
+        year: firstClaimYear + index,
+        share: 1 / HTC.CLAIM_PERIOD_YEARS
+      }))
+    };
+  }
+
+  getCurrentStage() {
+    const { part1, part2, part3 } = this.parts;
+    if (isApproved(part3)) return 'certified';
+    if (part3.submittedDate) return 'part3_review';
+    if ((this.placedInServiceDate || this.construction.completionDate) && isApproved(part2)) return 'completed';
+    if (this.construction.startDate && isApproved(part2)) return 'construction';
+    if (isApproved(part2)) return 'part2_approved';
+    if (part2.submittedDate) return 'part2_review';
+    if (part1.submittedDate) return 'part1_review';
+    return 'not_started';
+  }
+
+  getStatus(asOfDate = new Date()) {
+    return {
+      projectId: this.projectId,
+      projectName: this.projectName,
+      stage: this.getCurrentStage(),
+      parts: Object.fromEntries(Object.entries(this.parts).map(([part, record]) => [part, {
+        label: HTC_PARTS[part].label,
+        submittedDate: record.submittedDate,
+        decision: record.decision,
+        decisionDate: record.decisionDate,
+        conditions: record.conditions.map(condition => ({ ...condition }))
+      }])),
+      amendments: this.amendments.map(amendment => ({ ...amendment })),
+      openConditions: this.getOpenConditions().map(condition => condition.id),
+      construction: { ...this.construction },
+      creditClaim: this.getCreditClaim(),
+      warnings: this.getWarnings(asOfDate)
+    };
+  }
+}
+
+function emptyPart() {
+  return { submittedDate: null, decision: null, decisionDate: null, conditions: [] };
+}
+
+function isApproved(record) {
+  return record.decision === HTC_DECISIONS.APPROVED || record.decision === HTC_DECISIONS.CONDITIONAL;
+}
+
+function requireDate(value, field) {
+  const date = toDate(value);
+  if (!date) {
+    throw new ValidationError(`A valid ${field} is required`, field);
+  }
+  return formatISODate(date);
+}
+
+export default HTCCertificationTracker;